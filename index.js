@@ -1,11 +1,52 @@
 import app from './src/app.js';
 import { initDatabase } from './src/config/db.js';
 import { verifyToken } from './src/utils/jwt.js';
-import { addConnection, removeConnection } from './src/services/websocket.service.js';
+import { assertActiveSession } from './src/services/session.service.js';
+import { addConnection, removeConnection, replayUserEvents, startRealtimeFanout, getConnectedUsers } from './src/services/websocket.service.js';
+import { getLatestUserEventSeq, pruneUserEvents } from './src/services/outbox.service.js';
+import { startTyping, stopTyping, stopAllTyping, expireTypingIndicators } from './src/services/typing.service.js';
+import { handleSocketCommand } from './src/routes/socket.js';
+import { markMessagesDelivered } from './src/services/chat.service.js';
+import { sendDueDigests } from './src/services/email.service.js';
+import { touchLastSeen } from './src/services/user.service.js';
+import { pruneRateLimits } from './src/config/rateLimits.js';
 
 // Initialize database
 await initDatabase();
 
+// Receive realtime events from other server instances.
+// Not awaited: with an unreachable Redis the subscription waits for the connection
+// (the adapter keeps reconnecting) and the server still has to come up.
+startRealtimeFanout().catch(err => console.error('Realtime fan-out error:', err));
+
+// Prune the WebSocket event outbox hourly
+const OUTBOX_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+setInterval(() => {
+	pruneUserEvents().catch(err => console.error('Outbox prune error:', err));
+}, OUTBOX_PRUNE_INTERVAL_MS);
+
+// Expire typing indicators whose clients stopped refreshing them
+const TYPING_EXPIRY_INTERVAL_MS = 2000;
+setInterval(() => {
+	expireTypingIndicators().catch(err => console.error('Typing expiry error:', err));
+}, TYPING_EXPIRY_INTERVAL_MS);
+
+// Keep last_seen_at fresh for users connected to this instance (digests go by it)
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+setInterval(() => {
+	touchLastSeen(getConnectedUsers()).catch(err => console.error('Last seen update error:', err));
+}, LAST_SEEN_INTERVAL_MS);
+
+// Send email digests to users whose digest interval has passed
+const EMAIL_DIGEST_INTERVAL_MS = 5 * 60 * 1000;
+setInterval(() => {
+	sendDueDigests().catch(err => console.error('Email digest error:', err));
+}, EMAIL_DIGEST_INTERVAL_MS);
+
+// Drop idle rate limit counters
+const RATE_LIMIT_PRUNE_INTERVAL_MS = 60 * 1000;
+setInterval(pruneRateLimits, RATE_LIMIT_PRUNE_INTERVAL_MS);
+
 const port = process.env.PORT || 8000;
 
 // Start Bun server with WebSocket support
@@ -17,24 +58,41 @@ Bun.serve({
 		const url = new URL(req.url);
 
 		if (url.pathname === '/ws') {
-			const upgraded = server.upgrade(req);
+			// Keep device details for the connection registry
+			const forwardedFor = req.headers.get('x-forwarded-for');
+			const upgraded = server.upgrade(req, {
+				data: {
+					device: {
+						user_agent: req.headers.get('user-agent'),
+						ip_address: forwardedFor ? forwardedFor.split(',')[0].trim() : server.requestIP(req)?.address
+					}
+				}
+			});
 			if (upgraded) {
 				return undefined; // Connection upgraded to WebSocket
 			}
 			return new Response('WebSocket upgrade failed', { status: 400 });
 		}
 
-		// Handle regular HTTP requests through Hono
-		return app.fetch(req);
+		// Handle regular HTTP requests through Hono (server is c.env, used for client IPs)
+		return app.fetch(req, server);
 	},
 
 	websocket: {
 		open(ws) {
 			console.log('🔌 New WebSocket connection');
-			ws.data = { authenticated: false, userId: null };
+			ws.data = {
+				...ws.data,
+				authenticated: false,
+				userId: null,
+				sessionId: null,
+				connectionId: null,
+				projectChannels: new Set(),
+				channelMode: false
+			};
 		},
 
-		message(ws, message) {
+		async message(ws, message) {
 			try {
 				const data = JSON.parse(message);
 
@@ -42,27 +100,79 @@ Bun.serve({
 				if (data.type === 'auth') {
 					try {
 						const decoded = verifyToken(data.token);
+
+						// Reject tokens whose session was signed out
+						await assertActiveSession(decoded.sessionId, decoded.userId);
+
+						// Re-authenticating on the same socket replaces its registry entry
+						if (ws.data.connectionId) {
+							removeConnection(ws.data.userId, ws.data.connectionId);
+						}
+
 						ws.data.userId = decoded.userId;
+						ws.data.sessionId = decoded.sessionId;
 						ws.data.authenticated = true;
 
-						// Store connection
-						addConnection(decoded.userId, ws);
+						// Store connection (one user can have many)
+						const connectionId = addConnection(decoded.userId, ws, {
+							...ws.data.device,
+							device_name: data.device_name
+						});
 
 						// Send success response
 						ws.send(JSON.stringify({
 							type: 'auth_success',
-							message: 'WebSocket authenticated successfully'
+							message: 'WebSocket authenticated successfully',
+							connection_id: connectionId,
+							latest_seq: await getLatestUserEventSeq(decoded.userId)
 						}));
+
+						// Reconnecting client - replay events it missed while offline
+						if (data.last_seq !== undefined && data.last_seq !== null) {
+							await replayUserEvents(ws, decoded.userId, Math.max(parseInt(data.last_seq) || 0, 0));
+						}
+
+						touchLastSeen([decoded.userId])
+							.catch(error => console.error('Last seen update failed:', error.message));
+
+						// Messages that arrived while the user was offline are now delivered
+						markMessagesDelivered(decoded.userId)
+							.catch(error => console.error('Delivery sync failed:', error.message));
 					} catch (err) {
 						console.error('WebSocket auth error:', err.message);
 						ws.send(JSON.stringify({
 							type: 'auth_error',
-							message: 'Invalid token'
+							message: err.message || 'Invalid token'
 						}));
 						ws.close();
 					}
 				}
 
+				// Request/response commands (send, react, mark read, channels) - see src/routes/socket.js
+				if (data.type === 'command') {
+					await handleSocketCommand(ws, data);
+					return;
+				}
+
+				// Handle typing indicators ({ type, session_id } or { type, project_id })
+				if (data.type === 'typing_start' || data.type === 'typing_stop') {
+					if (!ws.data.authenticated) {
+						ws.send(JSON.stringify({ type: 'error', message: 'Not authenticated' }));
+						return;
+					}
+
+					try {
+						const target = { session_id: data.session_id, project_id: data.project_id };
+						if (data.type === 'typing_start') {
+							await startTyping(ws.data.userId, target);
+						} else {
+							await stopTyping(ws.data.userId, target);
+						}
+					} catch (err) {
+						ws.send(JSON.stringify({ type: 'error', message: err.message }));
+					}
+				}
+
 				// Handle ping/pong for connection keep-alive
 				if (data.type === 'ping') {
 					ws.send(JSON.stringify({ type: 'pong' }));
@@ -73,8 +183,14 @@ Bun.serve({
 		},
 
 		close(ws) {
-			if (ws.data.userId) {
-				removeConnection(ws.data.userId);
+			if (ws.data.connectionId) {
+				const wasLastSocket = removeConnection(ws.data.userId, ws.data.connectionId);
+
+				// User has gone away entirely - clear their typing indicators
+				if (wasLastSocket) {
+					stopAllTyping(ws.data.userId).catch(err => console.error('Typing cleanup error:', err));
+					touchLastSeen([ws.data.userId]).catch(err => console.error('Last seen update error:', err));
+				}
 			}
 		},
 
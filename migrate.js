@@ -0,0 +1,57 @@
+import { runMigrations, rollbackMigrations, getMigrationStatus, formatVersion } from './src/migrations/runner.js';
+
+// Usage: bun migrate up|down [steps]|status [--dry-run]
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const [command = 'status', stepsArg] = args.filter(arg => arg !== '--dry-run');
+
+// Print statements a dry run would have executed
+function printDryRun(results) {
+	if (results.length === 0) {
+		console.log('Nothing to do');
+		return;
+	}
+
+	for (const result of results) {
+		console.log(`-- ${formatVersion(result.version)}_${result.name}`);
+		for (const sql of result.statements) {
+			console.log(`${sql};`);
+		}
+		console.log('');
+	}
+}
+
+async function main() {
+	if (command === 'up') {
+		const result = await runMigrations({ dryRun });
+		if (dryRun) {
+			printDryRun(result.applied);
+		} else {
+			console.log(`🎉 ${result.applied.length} migration(s) applied`);
+		}
+	} else if (command === 'down') {
+		const steps = stepsArg ? parseInt(stepsArg) : 1;
+		const result = await rollbackMigrations({ steps, dryRun });
+		if (dryRun) {
+			printDryRun(result.rolledBack);
+		} else {
+			console.log(`🎉 ${result.rolledBack.length} migration(s) rolled back`);
+		}
+	} else if (command === 'status') {
+		const status = await getMigrationStatus();
+		for (const m of status) {
+			const state = m.missing ? 'applied (file missing)' : m.applied ? 'applied' : 'pending';
+			const when = m.applied_at ? ` at ${new Date(Number(m.applied_at)).toISOString()}` : '';
+			console.log(`${formatVersion(m.version)}_${m.name}: ${state}${when}`);
+		}
+	} else {
+		throw new Error(`Unknown command "${command}" - use up, down [steps] or status`);
+	}
+}
+
+main()
+	.then(() => process.exit(0))
+	.catch((error) => {
+		console.error('❌ Error:', error.message);
+		process.exit(1);
+	});
@@ -0,0 +1,145 @@
+import jwt from 'jsonwebtoken';
+import { generateKeyPairSync, createHash, randomBytes } from 'crypto';
+
+// Local OpenID Connect provider for trying out and testing sign-in without a real IdP.
+// Usage: bun mock-oidc.js  (then OIDC_PROVIDERS=mock OIDC_MOCK_ISSUER=http://localhost:9400 OIDC_MOCK_CLIENT_ID=local)
+// The authorize page asks for an email and name; scripts can skip it by adding
+// &email=...&name=...&email_verified=true to the authorization URL and reading the redirect.
+
+const port = parseInt(process.env.MOCK_OIDC_PORT || '9400');
+const issuer = `http://localhost:${port}`;
+const kid = randomBytes(8).toString('hex');
+const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// code -> { client_id, redirect_uri, code_challenge, nonce, claims }
+const codes = new Map();
+
+// Escape text for HTML output
+function escapeHtml(value) {
+	return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Sign-in form that resubmits the authorization request with the chosen identity
+function renderLoginForm(params) {
+	const hidden = [...params].map(([key, value]) =>
+		`<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`).join('');
+
+	return `<!DOCTYPE html>
+<html><body style="font-family:sans-serif;max-width:320px;margin:48px auto;">
+  <h2>Mock sign-in</h2>
+  <form method="get" action="/authorize">
+    ${hidden}
+    <p><input name="email" placeholder="Email" required style="width:100%"></p>
+    <p><input name="name" placeholder="Name" style="width:100%"></p>
+    <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+    <button>Sign in</button>
+  </form>
+</body></html>`;
+}
+
+// Authorization endpoint - issues a code for the submitted identity
+function authorize(url) {
+	const params = url.searchParams;
+
+	if (params.get('response_type') !== 'code' || !params.get('redirect_uri') || !params.get('client_id')) {
+		return Response.json({ error: 'invalid_request' }, { status: 400 });
+	}
+
+	if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+		return Response.json({ error: 'invalid_request', error_description: 'PKCE S256 is required' }, { status: 400 });
+	}
+
+	const email = params.get('email');
+	if (!email) {
+		return new Response(renderLoginForm(params), { headers: { 'Content-Type': 'text/html' } });
+	}
+
+	const code = randomBytes(16).toString('hex');
+	codes.set(code, {
+		client_id: params.get('client_id'),
+		redirect_uri: params.get('redirect_uri'),
+		code_challenge: params.get('code_challenge'),
+		nonce: params.get('nonce'),
+		claims: {
+			sub: `mock-${createHash('sha256').update(email.toLowerCase()).digest('hex').substring(0, 16)}`,
+			email,
+			email_verified: params.get('email_verified') === 'true',
+			name: params.get('name') || email.split('@')[0],
+			preferred_username: email.split('@')[0]
+		}
+	});
+
+	const redirect = new URL(params.get('redirect_uri'));
+	redirect.searchParams.set('code', code);
+	if (params.get('state')) {
+		redirect.searchParams.set('state', params.get('state'));
+	}
+
+	return Response.redirect(redirect.toString(), 302);
+}
+
+// Token endpoint - checks the code and PKCE verifier, returns a signed ID token
+async function token(req) {
+	const form = new URLSearchParams(await req.text());
+	const entry = codes.get(form.get('code'));
+	codes.delete(form.get('code'));
+
+	if (!entry || form.get('grant_type') !== 'authorization_code') {
+		return Response.json({ error: 'invalid_grant' }, { status: 400 });
+	}
+
+	const basic = req.headers.get('Authorization')?.replace(/^Basic /, '');
+	const clientId = form.get('client_id') ||
+		(basic ? decodeURIComponent(Buffer.from(basic, 'base64').toString().split(':')[0]) : null);
+	const challenge = createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+
+	if (clientId !== entry.client_id || form.get('redirect_uri') !== entry.redirect_uri || challenge !== entry.code_challenge) {
+		return Response.json({ error: 'invalid_grant', error_description: 'Client, redirect URI or PKCE verifier mismatch' }, { status: 400 });
+	}
+
+	const idToken = jwt.sign(
+		{ ...entry.claims, nonce: entry.nonce },
+		privateKey,
+		{ algorithm: 'RS256', keyid: kid, issuer, audience: entry.client_id, expiresIn: 300 }
+	);
+
+	return Response.json({
+		access_token: randomBytes(16).toString('hex'),
+		token_type: 'Bearer',
+		expires_in: 300,
+		id_token: idToken
+	});
+}
+
+Bun.serve({
+	port,
+
+	async fetch(req) {
+		const url = new URL(req.url);
+
+		switch (url.pathname) {
+			case '/.well-known/openid-configuration':
+				return Response.json({
+					issuer,
+					authorization_endpoint: `${issuer}/authorize`,
+					token_endpoint: `${issuer}/token`,
+					jwks_uri: `${issuer}/jwks`,
+					response_types_supported: ['code'],
+					subject_types_supported: ['public'],
+					id_token_signing_alg_values_supported: ['RS256'],
+					code_challenge_methods_supported: ['S256'],
+					token_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'client_secret_post']
+				});
+			case '/jwks':
+				return Response.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+			case '/authorize':
+				return authorize(url);
+			case '/token':
+				return req.method === 'POST' ? token(req) : new Response('Method not allowed', { status: 405 });
+			default:
+				return new Response('Not found', { status: 404 });
+		}
+	}
+});
+
+console.log(`🔑 Mock OpenID provider running on ${issuer}`);
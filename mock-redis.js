@@ -0,0 +1,148 @@
+// Local Redis stand-in for trying out and testing multi-instance fan-out without a real Redis.
+// Usage: bun mock-redis.js  (then start each instance with PUBSUB_URL=redis://localhost:6380)
+// Speaks just enough RESP for src/utils/pubsubRedis.js: AUTH, PING, PUBLISH, SUBSCRIBE, UNSUBSCRIBE.
+// Set MOCK_REDIS_PASSWORD to require AUTH like a password-protected Redis.
+
+const port = parseInt(process.env.MOCK_REDIS_PORT || '6380');
+const password = process.env.MOCK_REDIS_PASSWORD || null;
+
+// channel -> Set(socket)
+const channels = new Map();
+
+// Encode reply values as RESP
+function encode(value) {
+	if (value instanceof Error) {
+		return `-${value.message}\r\n`;
+	}
+	if (typeof value === 'number') {
+		return `:${value}\r\n`;
+	}
+	if (Array.isArray(value)) {
+		return `*${value.length}\r\n${value.map(encode).join('')}`;
+	}
+	if (value === null) {
+		return '$-1\r\n';
+	}
+	return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+// Parse one command (RESP array of bulk strings) from buffer - returns { args, pos } or null if incomplete
+function parseCommand(buffer, pos) {
+	const headerEnd = buffer.indexOf('\r\n', pos);
+	if (headerEnd === -1) {
+		return null;
+	}
+	if (buffer[pos] !== 0x2a) { // '*'
+		throw new Error('Protocol error: expected array');
+	}
+
+	const count = parseInt(buffer.toString('utf8', pos + 1, headerEnd));
+	const args = [];
+	let cursor = headerEnd + 2;
+
+	for (let i = 0; i < count; i++) {
+		const lineEnd = buffer.indexOf('\r\n', cursor);
+		if (lineEnd === -1) {
+			return null;
+		}
+		const length = parseInt(buffer.toString('utf8', cursor + 1, lineEnd));
+		const start = lineEnd + 2;
+		if (buffer.length < start + length + 2) {
+			return null;
+		}
+		args.push(buffer.toString('utf8', start, start + length));
+		cursor = start + length + 2;
+	}
+
+	return { args, pos: cursor };
+}
+
+// Run one command for a client socket
+function runCommand(socket, [name, ...args]) {
+	const command = String(name).toUpperCase();
+	const state = socket.data;
+
+	if (command === 'AUTH') {
+		if (!password || args[args.length - 1] === password) {
+			state.authenticated = true;
+			return socket.write(encode('OK'));
+		}
+		return socket.write(encode(new Error('WRONGPASS invalid username-password pair')));
+	}
+
+	if (password && !state.authenticated) {
+		return socket.write(encode(new Error('NOAUTH Authentication required.')));
+	}
+
+	switch (command) {
+		case 'PING':
+			return socket.write(encode('PONG'));
+
+		case 'PUBLISH': {
+			const [channel, message] = args;
+			const subscribers = channels.get(channel) || new Set();
+			for (const subscriber of subscribers) {
+				subscriber.write(encode(['message', channel, message]));
+			}
+			return socket.write(encode(subscribers.size));
+		}
+
+		case 'SUBSCRIBE':
+			for (const channel of args) {
+				if (!channels.has(channel)) {
+					channels.set(channel, new Set());
+				}
+				channels.get(channel).add(socket);
+				state.channels.add(channel);
+				socket.write(encode(['subscribe', channel, state.channels.size]));
+			}
+			return;
+
+		case 'UNSUBSCRIBE':
+			for (const channel of args.length > 0 ? args : [...state.channels]) {
+				channels.get(channel)?.delete(socket);
+				state.channels.delete(channel);
+				socket.write(encode(['unsubscribe', channel, state.channels.size]));
+			}
+			return;
+
+		default:
+			return socket.write(encode(new Error(`ERR unknown command '${name}'`)));
+	}
+}
+
+Bun.listen({
+	hostname: '127.0.0.1',
+	port,
+	socket: {
+		open(socket) {
+			socket.data = { buffer: Buffer.alloc(0), channels: new Set(), authenticated: false };
+		},
+
+		data(socket, chunk) {
+			const state = socket.data;
+			state.buffer = Buffer.concat([state.buffer, chunk]);
+
+			try {
+				let pos = 0;
+				let parsed;
+				while (pos < state.buffer.length && (parsed = parseCommand(state.buffer, pos))) {
+					pos = parsed.pos;
+					runCommand(socket, parsed.args);
+				}
+				state.buffer = state.buffer.subarray(pos);
+			} catch (error) {
+				socket.write(encode(new Error(`ERR ${error.message}`)));
+				socket.end();
+			}
+		},
+
+		close(socket) {
+			for (const channel of socket.data.channels) {
+				channels.get(channel)?.delete(socket);
+			}
+		}
+	}
+});
+
+console.log(`📮 Mock Redis pub/sub running on redis://localhost:${port}`);
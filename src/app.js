@@ -6,6 +6,8 @@ import friends from './routes/friends.js';
 import projects from './routes/projects.js';  // UPDATED: Changed from rooms to projects
 import admin from './routes/admin.js';
 import media from './routes/media.js';
+import search from './routes/search.js';
+import notifications from './routes/notifications.js';
 
 const app = new Hono();
 
@@ -14,7 +16,7 @@ app.use('/*', cors({
 	origin: '*',  // Allow all origins (for development only!)
 	credentials: true,
 	allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-	allowHeaders: ['Content-Type', 'Authorization']
+	allowHeaders: ['Content-Type', 'Authorization', 'X-Device-Name']
 }));
 
 // Health check
@@ -34,5 +36,7 @@ app.route('/api/friends', friends);
 app.route('/api/projects', projects);  // UPDATED: Changed from /api/rooms to /api/projects
 app.route('/api/admin', admin);
 app.route('/api/media', media);
+app.route('/api/search', search);
+app.route('/api/notifications', notifications);
 
 export default app;
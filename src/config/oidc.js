@@ -0,0 +1,45 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// OpenID Connect sign-in providers.
+// OIDC_PROVIDERS=google,mock lists them; each one is configured with OIDC_<NAME>_* variables:
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com   (discovery at /.well-known/openid-configuration)
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...                    (optional - public clients rely on PKCE alone)
+//   OIDC_GOOGLE_REDIRECT_URI=...                     (default: APP_URL/auth/oidc/google/callback)
+//   OIDC_GOOGLE_LABEL=Google                         (button text, default: the name)
+//   OIDC_GOOGLE_SCOPES="openid email profile"
+function loadProviders() {
+	const appUrl = process.env.APP_URL || 'http://localhost:3000';
+	const names = (process.env.OIDC_PROVIDERS || '')
+		.split(',')
+		.map(name => name.trim().toLowerCase())
+		.filter(Boolean);
+
+	const providers = {};
+
+	for (const name of names) {
+		const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+		const issuer = process.env[`${prefix}ISSUER`];
+		const clientId = process.env[`${prefix}CLIENT_ID`];
+
+		if (!issuer || !clientId) {
+			throw new Error(`OIDC provider "${name}" needs ${prefix}ISSUER and ${prefix}CLIENT_ID`);
+		}
+
+		providers[name] = {
+			name,
+			label: process.env[`${prefix}LABEL`] || name,
+			issuer: issuer.replace(/\/$/, ''),
+			clientId,
+			clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+			redirectUri: process.env[`${prefix}REDIRECT_URI`] || `${appUrl}/auth/oidc/${name}/callback`,
+			scopes: process.env[`${prefix}SCOPES`] || 'openid email profile'
+		};
+	}
+
+	return providers;
+}
+
+export const oidcProviders = loadProviders();
@@ -0,0 +1,12 @@
+import dotenv from 'dotenv';
+import { createMemoryPubSub } from '../utils/pubsubMemory.js';
+import { createRedisPubSub } from '../utils/pubsubRedis.js';
+
+dotenv.config();
+
+// Realtime fan-out between server instances.
+// Set PUBSUB_URL=redis://[:password@]host:6379 when running more than one Bun.serve process;
+// without it events only reach sockets on the local instance.
+export const pubsub = process.env.PUBSUB_URL
+	? createRedisPubSub(process.env.PUBSUB_URL)
+	: createMemoryPubSub();
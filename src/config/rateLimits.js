@@ -0,0 +1,22 @@
+import { createRateLimiter } from '../utils/rateLimiter.js';
+
+// Request limits for abuse-prone endpoints (sliding windows, counted per IP or per user)
+export const rateLimits = {
+	// Password guessing across many accounts from one address
+	login: createRateLimiter({ windowMs: 15 * 60 * 1000, max: 20 }),
+	// Guest account creation
+	guestLogin: createRateLimiter({ windowMs: 60 * 60 * 1000, max: 10 }),
+	// Invite code guessing
+	inviteJoin: createRateLimiter({ windowMs: 15 * 60 * 1000, max: 30 }),
+	// Email verification / password reset endpoints
+	accountEmail: createRateLimiter({ windowMs: 15 * 60 * 1000, max: 10 }),
+	// Chat and project messages, shared by REST and WebSocket sends
+	messageSend: createRateLimiter({ windowMs: 60 * 1000, max: 60 })
+};
+
+// Drop idle counters (called periodically from index.js)
+export function pruneRateLimits() {
+	for (const limiter of Object.values(rateLimits)) {
+		limiter.prune();
+	}
+}
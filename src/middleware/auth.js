@@ -1,5 +1,9 @@
 import { verifyToken } from '../utils/jwt.js';
 import { getUserById } from '../services/user.service.js';
+import { assertActiveSession } from '../services/session.service.js';
+import { needsStaffTwoFactor } from '../services/twoFactor.service.js';
+import { getProjectMemberRole, hasProjectPermission, projectPermissionError } from '../services/projectRole.service.js';
+import { projectColumns } from '../services/project.service.js';
 import { db } from '../config/db.js';
 
 // Verify JWT token middleware
@@ -15,6 +19,9 @@ export async function authMiddleware(c, next) {
 		// Verify token
 		const decoded = verifyToken(token);
 
+		// Reject tokens whose session was signed out
+		await assertActiveSession(decoded.sessionId, decoded.userId);
+
 		// Get user from database
 		const user = await getUserById(decoded.userId);
 
@@ -54,8 +61,9 @@ export async function authMiddleware(c, next) {
 			}
 		}
 
-		// Attach user to context
+		// Attach user and session to context
 		c.set('user', user);
+		c.set('sessionId', decoded.sessionId);
 		await next();
 	} catch (error) {
 		return c.json({ error: error.message || 'Authentication failed' }, 401);
@@ -80,8 +88,49 @@ export async function requireRegistered(c, next) {
 	await next();
 }
 
+// Check if user confirmed their email address
+export async function requireVerifiedEmail(c, next) {
+	const user = c.get('user');
+	if (!user.email_verified_at) {
+		return c.json({ error: 'Please verify your email address first' }, 403);
+	}
+	await next();
+}
+
+// Response for staff who must enroll in 2FA before using staff tools
+function staffTwoFactorRequired(c) {
+	return c.json({
+		error: 'Two-factor authentication is required for your role',
+		two_factor_setup_required: true
+	}, 403);
+}
+
 // Check if user is admin
 export async function requireAdmin(c, next) {
+	const user = c.get('user');
+	if (user.role !== 'admin') {
+		return c.json({ error: 'Admin access required' }, 403);
+	}
+	if (await needsStaffTwoFactor(user)) {
+		return staffTwoFactorRequired(c);
+	}
+	await next();
+}
+
+// Check if user is moderator or admin (admin panel)
+export async function requireModerator(c, next) {
+	const user = c.get('user');
+	if (!['moderator', 'admin'].includes(user.role)) {
+		return c.json({ error: 'Moderator access required' }, 403);
+	}
+	if (await needsStaffTwoFactor(user)) {
+		return staffTwoFactorRequired(c);
+	}
+	await next();
+}
+
+// Check if user is admin (admin panel actions moderators can't take)
+export async function requireAdminOnly(c, next) {
 	const user = c.get('user');
 	if (user.role !== 'admin') {
 		return c.json({ error: 'Admin access required' }, 403);
@@ -109,7 +158,7 @@ export async function requireProjectAccess(c, next) {
 
 	// Check if user is project creator
 	const projectResult = await db.execute({
-		sql: 'SELECT * FROM projects WHERE id = ?',
+		sql: `SELECT ${projectColumns()} FROM projects WHERE id = ?`,
 		args: [projectId]
 	});
 
@@ -130,6 +179,7 @@ export async function requireProjectAccess(c, next) {
 	if (project.creator_id === user.id) {
 		c.set('project', project);
 		c.set('isProjectCreator', true);
+		c.set('projectRole', 'owner');
 		await next();
 		return;
 	}
@@ -143,6 +193,7 @@ export async function requireProjectAccess(c, next) {
 	if (memberResult.rows.length > 0) {
 		c.set('project', project);
 		c.set('isProjectCreator', false);
+		c.set('projectRole', memberResult.rows[0].role);
 		await next();
 		return;
 	}
@@ -166,7 +217,7 @@ export async function requireProjectCreator(c, next) {
 	}
 
 	const projectResult = await db.execute({
-		sql: 'SELECT * FROM projects WHERE id = ? AND creator_id = ?',
+		sql: `SELECT ${projectColumns()} FROM projects WHERE id = ? AND creator_id = ?`,
 		args: [projectId, user.id]
 	});
 
@@ -178,6 +229,44 @@ export async function requireProjectCreator(c, next) {
 	await next();
 }
 
+// Check if user's project role allows an action (see projectRole.service.js), admins always pass
+export function requireProjectPermission(permission) {
+	return async (c, next) => {
+		const user = c.get('user');
+		const projectId = c.req.param('id') || c.req.param('projectId');
+
+		if (!projectId) {
+			return c.json({ error: 'Project ID required' }, 400);
+		}
+
+		const projectResult = await db.execute({
+			sql: `SELECT ${projectColumns()} FROM projects WHERE id = ?`,
+			args: [projectId]
+		});
+
+		if (projectResult.rows.length === 0) {
+			return c.json({ error: 'Project not found' }, 404);
+		}
+
+		if (user.role !== 'admin') {
+			const role = await getProjectMemberRole(projectId, user.id);
+
+			if (!role) {
+				return c.json({ error: 'You do not have access to this project' }, 403);
+			}
+
+			if (!hasProjectPermission(role, permission)) {
+				return c.json({ error: projectPermissionError(permission) }, 403);
+			}
+
+			c.set('projectRole', role);
+		}
+
+		c.set('project', projectResult.rows[0]);
+		await next();
+	};
+}
+
 // Check if user has pro plan (for storage/feature limits)
 export async function requireProPlan(c, next) {
 	const user = c.get('user');
@@ -233,7 +322,7 @@ export async function authOrGuestWithInvite(c, next) {
 		if (decoded.type === 'guest' && decoded.projectId) {
 			// Verify guest has access to this project
 			const projectResult = await db.execute({
-				sql: 'SELECT * FROM projects WHERE id = ? AND status = ?',
+				sql: `SELECT ${projectColumns()} FROM projects WHERE id = ? AND status = ?`,
 				args: [decoded.projectId, 'active']
 			});
 
@@ -254,8 +343,10 @@ export async function authOrGuestWithInvite(c, next) {
 		}
 
 		// Otherwise, treat as regular user
+		await assertActiveSession(decoded.sessionId, decoded.userId);
 		const user = await getUserById(decoded.userId);
 		c.set('user', user);
+		c.set('sessionId', decoded.sessionId);
 		await next();
 	} catch (error) {
 		return c.json({ error: error.message || 'Authentication failed' }, 401);
@@ -0,0 +1,31 @@
+import { getClientIp } from '../utils/device.js';
+
+// Rate limit middleware - limiter from config/rateLimits.js, counted per route name and
+//   by: 'ip' (default), 'user' (needs authMiddleware first) or (c) => key
+// Sets RateLimit-* headers, and Retry-After when rejecting with 429
+export function rateLimit(name, limiter, by = 'ip') {
+	return async (c, next) => {
+		let key;
+		if (typeof by === 'function') {
+			key = by(c);
+		} else if (by === 'user') {
+			key = c.get('user')?.id;
+		} else {
+			key = getClientIp(c);
+		}
+
+		const result = limiter.hit(`${name}:${key}`);
+
+		c.header('RateLimit-Limit', String(result.limit));
+		c.header('RateLimit-Remaining', String(result.remaining));
+		c.header('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+
+		if (!result.allowed) {
+			const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+			c.header('Retry-After', String(retryAfter));
+			return c.json({ error: 'Too many requests, please slow down', retry_after: retryAfter }, 429);
+		}
+
+		await next();
+	};
+}
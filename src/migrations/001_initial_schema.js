@@ -0,0 +1,541 @@
+// Baseline schema - everything src/config/db.js used to create on boot.
+// Every statement is idempotent so databases created before the migration
+// runner existed are adopted as-is when this is recorded as applied.
+
+// 1. Users table - UPDATED for freelancer platform
+async function createUsersTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE,
+      password TEXT,
+      name TEXT NOT NULL,
+      gender TEXT CHECK(gender IN ('male', 'female', 'other')),
+      age INTEGER CHECK(age >= 18),
+      role TEXT DEFAULT 'freelancer' CHECK(role IN ('guest', 'client', 'freelancer', 'admin')),
+      is_guest BOOLEAN DEFAULT 0,
+      plan TEXT DEFAULT 'free' CHECK(plan IN ('free', 'pro')),
+      storage_used INTEGER DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      last_login INTEGER,
+      is_online BOOLEAN DEFAULT 0,
+      last_seen_at INTEGER
+    )
+  `);
+}
+
+// 2. Friendships table (friend requests for registered users only)
+async function createFriendshipsTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS friendships (
+      id TEXT PRIMARY KEY,
+      requester_id TEXT NOT NULL,
+      recipient_id TEXT NOT NULL,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'accepted', 'rejected', 'blocked')),
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER,
+      FOREIGN KEY (requester_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (recipient_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(requester_id, recipient_id)
+    )
+  `);
+}
+
+// 3. Chat sessions - UPDATED with Telegram-style auto-delete
+async function createChatSessionsTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS chat_sessions (
+      id TEXT PRIMARY KEY,
+      user1_id TEXT NOT NULL,
+      user2_id TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      auto_delete_duration INTEGER DEFAULT 0,
+      user1_logged_out BOOLEAN DEFAULT 0,
+      user2_logged_out BOOLEAN DEFAULT 0,
+      is_active BOOLEAN DEFAULT 1,
+      user1_last_read_message_id TEXT,
+      user2_last_read_message_id TEXT,
+      FOREIGN KEY (user1_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (user2_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user1_id, user2_id)
+    )
+  `);
+}
+
+// 4. Messages - UPDATED with new media types
+async function createMessagesTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS messages (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      sender_id TEXT NOT NULL,
+      content TEXT NOT NULL,
+      type TEXT DEFAULT 'text' CHECK(type IN (
+        'text', 'image', 'gif', 'audio', 'video', 'pdf', 'document',
+        'spreadsheet', 'presentation', 'archive', 'code', 'emoji'
+      )),
+      created_at INTEGER NOT NULL,
+      is_read BOOLEAN DEFAULT 0,
+      visible_to_user1 BOOLEAN DEFAULT 1,
+      visible_to_user2 BOOLEAN DEFAULT 1,
+      reply_to_message_id TEXT,
+      caption TEXT,
+      status TEXT DEFAULT 'sent' CHECK(status IN ('sent', 'delivered', 'read', 'deleted')),
+      delivered_at INTEGER,
+      read_at INTEGER,
+      deleted_at INTEGER,
+      deleted_by TEXT,
+      edited_at INTEGER,
+      is_edited BOOLEAN DEFAULT 0,
+      media_id TEXT REFERENCES media(id),
+      FOREIGN KEY (session_id) REFERENCES chat_sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (reply_to_message_id) REFERENCES messages(id) ON DELETE SET NULL
+    )
+  `);
+}
+
+// 5. Message reactions (for private chat)
+async function createMessageReactionsTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS message_reactions (
+      id TEXT PRIMARY KEY,
+      message_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      emoji TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// 6. User sessions (track login/logout for chat deletion logic)
+async function createUserSessionsTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      login_at INTEGER NOT NULL,
+      logout_at INTEGER,
+      is_active BOOLEAN DEFAULT 1,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// 7. Projects table - RENAMED from rooms, UPDATED for freelancer platform
+async function createProjectsTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS projects (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      creator_id TEXT NOT NULL,
+      invite_code TEXT UNIQUE NOT NULL,
+      status TEXT DEFAULT 'active' CHECK(status IN ('active', 'completed', 'archived')),
+      created_at INTEGER NOT NULL,
+      completed_at INTEGER,
+      archived_at INTEGER,
+      FOREIGN KEY (creator_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// 8. Project messages - RENAMED from room_messages, UPDATED with new media types
+async function createProjectMessagesTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS project_messages (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      sender_id TEXT NOT NULL,
+      recipient_id TEXT,
+      content TEXT NOT NULL,
+      type TEXT DEFAULT 'text' CHECK(type IN (
+        'text', 'image', 'gif', 'audio', 'video', 'pdf', 'document',
+        'spreadsheet', 'presentation', 'archive', 'code', 'emoji', 'system', 'secret'
+      )),
+      created_at INTEGER NOT NULL,
+      is_read BOOLEAN DEFAULT 0,
+      caption TEXT,
+      reply_to_message_id TEXT,
+      deleted_at INTEGER,
+      deleted_by TEXT,
+      edited_at INTEGER,
+      is_edited BOOLEAN DEFAULT 0,
+      media_id TEXT REFERENCES media(id),
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (recipient_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (reply_to_message_id) REFERENCES project_messages(id) ON DELETE SET NULL
+    )
+  `);
+}
+
+// 9. Project message reactions - RENAMED from room_message_reactions
+async function createProjectMessageReactionsTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS project_message_reactions (
+      id TEXT PRIMARY KEY,
+      message_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      emoji TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (message_id) REFERENCES project_messages(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// 10. Project members - RENAMED from room_members
+async function createProjectMembersTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS project_members (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      joined_at INTEGER NOT NULL,
+      last_read_message_id TEXT,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(project_id, user_id)
+    )
+  `);
+}
+
+// 11. Bans table (track temporary and permanent bans)
+async function createBansTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS bans (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      banned_by TEXT NOT NULL,
+      reason TEXT,
+      duration_days INTEGER,
+      banned_at INTEGER NOT NULL,
+      expires_at INTEGER,
+      is_permanent BOOLEAN DEFAULT 0,
+      is_active BOOLEAN DEFAULT 1,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (banned_by) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// 12. Media table - UPDATED with new media types
+async function createMediaTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS media (
+      id TEXT PRIMARY KEY,
+      public_id TEXT NOT NULL UNIQUE,
+      user_id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      type TEXT NOT NULL CHECK(type IN (
+        'image', 'gif', 'audio', 'video', 'pdf', 'document',
+        'spreadsheet', 'presentation', 'archive', 'code'
+      )),
+      filename TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// 13. Typing indicators - UPDATED for projects
+async function createTypingIndicatorsTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS typing_indicators (
+      id TEXT PRIMARY KEY,
+      session_id TEXT,
+      project_id TEXT,
+      user_id TEXT NOT NULL,
+      is_typing BOOLEAN DEFAULT 1,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (session_id) REFERENCES chat_sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// 14. Project milestones (deliverables with client approval)
+async function createProjectMilestonesTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS project_milestones (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      amount REAL DEFAULT 0,
+      currency TEXT DEFAULT 'USD',
+      due_date INTEGER,
+      position INTEGER NOT NULL DEFAULT 0,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'submitted', 'changes_requested', 'approved')),
+      submission_note TEXT,
+      change_request_note TEXT,
+      created_by TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER,
+      submitted_at INTEGER,
+      approved_at INTEGER,
+      approved_by TEXT,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+}
+
+// 15. Invoices (billed to a client member of a project)
+async function createInvoicesTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS invoices (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      number TEXT NOT NULL,
+      created_by TEXT NOT NULL,
+      client_id TEXT,
+      currency TEXT DEFAULT 'USD',
+      tax_rate REAL DEFAULT 0,
+      subtotal REAL DEFAULT 0,
+      tax_amount REAL DEFAULT 0,
+      total REAL DEFAULT 0,
+      status TEXT DEFAULT 'draft' CHECK(status IN ('draft', 'sent', 'paid', 'void')),
+      notes TEXT,
+      due_date INTEGER,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER,
+      sent_at INTEGER,
+      paid_at INTEGER,
+      paid_by TEXT,
+      voided_at INTEGER,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (client_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (paid_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE(project_id, number)
+    )
+  `);
+}
+
+// 16. Invoice line items
+async function createInvoiceItemsTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS invoice_items (
+      id TEXT PRIMARY KEY,
+      invoice_id TEXT NOT NULL,
+      description TEXT NOT NULL,
+      quantity REAL DEFAULT 1,
+      unit_price REAL DEFAULT 0,
+      amount REAL DEFAULT 0,
+      source_type TEXT DEFAULT 'manual' CHECK(source_type IN ('manual', 'milestone', 'time_entry')),
+      source_id TEXT,
+      position INTEGER NOT NULL DEFAULT 0,
+      FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// 17. Time entries (running timers have no ended_at yet)
+async function createTimeEntriesTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS time_entries (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      description TEXT,
+      started_at INTEGER NOT NULL,
+      ended_at INTEGER,
+      duration_seconds INTEGER,
+      is_manual BOOLEAN DEFAULT 0,
+      billable BOOLEAN DEFAULT 1,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// 18. Task board columns (per project kanban)
+async function createBoardColumnsTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS board_columns (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// 19. Task board cards (labels stored as JSON array)
+async function createBoardCardsTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS board_cards (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      column_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      position INTEGER NOT NULL DEFAULT 0,
+      assignee_id TEXT,
+      due_date INTEGER,
+      labels TEXT DEFAULT '[]',
+      source_message_id TEXT,
+      created_by TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (column_id) REFERENCES board_columns(id) ON DELETE CASCADE,
+      FOREIGN KEY (assignee_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (source_message_id) REFERENCES project_messages(id) ON DELETE SET NULL,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// 20. Task board card comments
+async function createBoardCardCommentsTable(db) {
+	await db.execute(`
+    CREATE TABLE IF NOT EXISTS board_card_comments (
+      id TEXT PRIMARY KEY,
+      card_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      content TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (card_id) REFERENCES board_cards(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// 21. Full-text search index for P2P messages (FTS5, kept in sync by triggers)
+// Media messages store a URL/public_id in content, so only their caption is indexed
+async function createMessagesSearchIndex(db) {
+	const existing = await db.execute(
+		`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'`
+	);
+
+	await db.batch([
+		`CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+      content, caption,
+      content = 'messages', content_rowid = 'rowid',
+      tokenize = 'unicode61 remove_diacritics 2'
+    )`,
+		`CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+      INSERT INTO messages_fts (rowid, content, caption)
+      VALUES (new.rowid, CASE WHEN new.type IN ('text', 'emoji') THEN new.content ELSE '' END, new.caption);
+    END`,
+		`CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, content, caption)
+      VALUES ('delete', old.rowid, CASE WHEN old.type IN ('text', 'emoji') THEN old.content ELSE '' END, old.caption);
+    END`,
+		`CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content, caption, type ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, content, caption)
+      VALUES ('delete', old.rowid, CASE WHEN old.type IN ('text', 'emoji') THEN old.content ELSE '' END, old.caption);
+      INSERT INTO messages_fts (rowid, content, caption)
+      VALUES (new.rowid, CASE WHEN new.type IN ('text', 'emoji') THEN new.content ELSE '' END, new.caption);
+    END`
+	], 'write');
+
+	// Index messages that existed before the search index was added
+	if (existing.rows.length === 0) {
+		await db.execute(`
+      INSERT INTO messages_fts (rowid, content, caption)
+      SELECT rowid, CASE WHEN type IN ('text', 'emoji') THEN content ELSE '' END, caption FROM messages
+    `);
+	}
+}
+
+// 22. Full-text search index for project messages
+async function createProjectMessagesSearchIndex(db) {
+	const existing = await db.execute(
+		`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'project_messages_fts'`
+	);
+
+	await db.batch([
+		`CREATE VIRTUAL TABLE IF NOT EXISTS project_messages_fts USING fts5(
+      content, caption,
+      content = 'project_messages', content_rowid = 'rowid',
+      tokenize = 'unicode61 remove_diacritics 2'
+    )`,
+		`CREATE TRIGGER IF NOT EXISTS project_messages_fts_insert AFTER INSERT ON project_messages BEGIN
+      INSERT INTO project_messages_fts (rowid, content, caption)
+      VALUES (new.rowid, CASE WHEN new.type IN ('text', 'emoji', 'system', 'secret') THEN new.content ELSE '' END, new.caption);
+    END`,
+		`CREATE TRIGGER IF NOT EXISTS project_messages_fts_delete AFTER DELETE ON project_messages BEGIN
+      INSERT INTO project_messages_fts (project_messages_fts, rowid, content, caption)
+      VALUES ('delete', old.rowid, CASE WHEN old.type IN ('text', 'emoji', 'system', 'secret') THEN old.content ELSE '' END, old.caption);
+    END`,
+		`CREATE TRIGGER IF NOT EXISTS project_messages_fts_update AFTER UPDATE OF content, caption, type ON project_messages BEGIN
+      INSERT INTO project_messages_fts (project_messages_fts, rowid, content, caption)
+      VALUES ('delete', old.rowid, CASE WHEN old.type IN ('text', 'emoji', 'system', 'secret') THEN old.content ELSE '' END, old.caption);
+      INSERT INTO project_messages_fts (rowid, content, caption)
+      VALUES (new.rowid, CASE WHEN new.type IN ('text', 'emoji', 'system', 'secret') THEN new.content ELSE '' END, new.caption);
+    END`
+	], 'write');
+
+	if (existing.rows.length === 0) {
+		await db.execute(`
+      INSERT INTO project_messages_fts (rowid, content, caption)
+      SELECT rowid, CASE WHEN type IN ('text', 'emoji', 'system', 'secret') THEN content ELSE '' END, caption FROM project_messages
+    `);
+	}
+}
+
+export async function up(db) {
+	await createUsersTable(db);
+	await createFriendshipsTable(db);
+	await createChatSessionsTable(db);
+	await createMessagesTable(db);
+	await createMessageReactionsTable(db);
+	await createUserSessionsTable(db);
+	await createProjectsTable(db);
+	await createProjectMessagesTable(db);
+	await createProjectMessageReactionsTable(db);
+	await createProjectMembersTable(db);
+	await createBansTable(db);
+	await createMediaTable(db);
+	await createTypingIndicatorsTable(db);
+	await createProjectMilestonesTable(db);
+	await createInvoicesTable(db);
+	await createInvoiceItemsTable(db);
+	await createTimeEntriesTable(db);
+	await createBoardColumnsTable(db);
+	await createBoardCardsTable(db);
+	await createBoardCardCommentsTable(db);
+	await createMessagesSearchIndex(db);
+	await createProjectMessagesSearchIndex(db);
+}
+
+export async function down(db) {
+	await db.batch([
+		'DROP TABLE IF EXISTS project_messages_fts',
+		'DROP TABLE IF EXISTS messages_fts',
+		'DROP TABLE IF EXISTS board_card_comments',
+		'DROP TABLE IF EXISTS board_cards',
+		'DROP TABLE IF EXISTS board_columns',
+		'DROP TABLE IF EXISTS time_entries',
+		'DROP TABLE IF EXISTS invoice_items',
+		'DROP TABLE IF EXISTS invoices',
+		'DROP TABLE IF EXISTS project_milestones',
+		'DROP TABLE IF EXISTS typing_indicators',
+		'DROP TABLE IF EXISTS media',
+		'DROP TABLE IF EXISTS bans',
+		'DROP TABLE IF EXISTS project_members',
+		'DROP TABLE IF EXISTS project_message_reactions',
+		'DROP TABLE IF EXISTS project_messages',
+		'DROP TABLE IF EXISTS projects',
+		'DROP TABLE IF EXISTS user_sessions',
+		'DROP TABLE IF EXISTS message_reactions',
+		'DROP TABLE IF EXISTS messages',
+		'DROP TABLE IF EXISTS chat_sessions',
+		'DROP TABLE IF EXISTS friendships',
+		'DROP TABLE IF EXISTS users'
+	], 'write');
+}
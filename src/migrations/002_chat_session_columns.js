@@ -0,0 +1,32 @@
+// Bring older databases in line with the baseline schema.
+// Replaces the one-off root scripts update-chat-sessions.js and
+// add-recipient-id-column.js, and adds chat_sessions.expires_at which
+// chat.service.js writes but no schema ever created.
+
+async function hasColumn(db, table, column) {
+	const result = await db.execute(`PRAGMA table_info(${table})`);
+	return result.rows.some(row => row.name === column);
+}
+
+export async function up(db) {
+	if (!(await hasColumn(db, 'chat_sessions', 'user1_logged_out'))) {
+		await db.execute('ALTER TABLE chat_sessions ADD COLUMN user1_logged_out BOOLEAN DEFAULT 0');
+	}
+
+	if (!(await hasColumn(db, 'chat_sessions', 'user2_logged_out'))) {
+		await db.execute('ALTER TABLE chat_sessions ADD COLUMN user2_logged_out BOOLEAN DEFAULT 0');
+	}
+
+	if (!(await hasColumn(db, 'project_messages', 'recipient_id'))) {
+		await db.execute('ALTER TABLE project_messages ADD COLUMN recipient_id TEXT REFERENCES users(id) ON DELETE CASCADE');
+	}
+
+	if (!(await hasColumn(db, 'chat_sessions', 'expires_at'))) {
+		await db.execute('ALTER TABLE chat_sessions ADD COLUMN expires_at INTEGER');
+	}
+}
+
+// The logged_out/recipient_id columns belong to the baseline schema, so only expires_at is removed
+export async function down(db) {
+	await db.execute('ALTER TABLE chat_sessions DROP COLUMN expires_at');
+}
@@ -0,0 +1,25 @@
+// Per-device refresh tokens on user_sessions (access tokens carry the session id)
+
+export async function up(db) {
+	await db.batch([
+		'ALTER TABLE user_sessions ADD COLUMN device_name TEXT',
+		'ALTER TABLE user_sessions ADD COLUMN user_agent TEXT',
+		'ALTER TABLE user_sessions ADD COLUMN ip_address TEXT',
+		'ALTER TABLE user_sessions ADD COLUMN refresh_token_hash TEXT',
+		'ALTER TABLE user_sessions ADD COLUMN expires_at INTEGER',
+		'ALTER TABLE user_sessions ADD COLUMN last_used_at INTEGER',
+		'CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id, is_active)'
+	]);
+}
+
+export async function down(db) {
+	await db.batch([
+		'DROP INDEX IF EXISTS idx_user_sessions_user',
+		'ALTER TABLE user_sessions DROP COLUMN last_used_at',
+		'ALTER TABLE user_sessions DROP COLUMN expires_at',
+		'ALTER TABLE user_sessions DROP COLUMN refresh_token_hash',
+		'ALTER TABLE user_sessions DROP COLUMN ip_address',
+		'ALTER TABLE user_sessions DROP COLUMN user_agent',
+		'ALTER TABLE user_sessions DROP COLUMN device_name'
+	]);
+}
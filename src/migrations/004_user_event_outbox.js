@@ -0,0 +1,29 @@
+// Durable per-user WebSocket event outbox, replayed to clients on reconnect.
+// Sequences live in their own table so pruning events never resets a user's counter.
+
+export async function up(db) {
+	await db.batch([
+		`CREATE TABLE IF NOT EXISTS user_event_sequences (
+      user_id TEXT PRIMARY KEY,
+      last_seq INTEGER NOT NULL DEFAULT 0,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+		`CREATE TABLE IF NOT EXISTS user_events (
+      user_id TEXT NOT NULL,
+      seq INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      data TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (user_id, seq),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+		'CREATE INDEX IF NOT EXISTS idx_user_events_created ON user_events(created_at)'
+	]);
+}
+
+export async function down(db) {
+	await db.batch([
+		'DROP TABLE IF EXISTS user_events',
+		'DROP TABLE IF EXISTS user_event_sequences'
+	]);
+}
@@ -0,0 +1,20 @@
+// Prior versions of edited chat and project messages (moderator audit trail)
+
+export async function up(db) {
+	await db.batch([
+		`CREATE TABLE IF NOT EXISTS message_edits (
+      id TEXT PRIMARY KEY,
+      message_id TEXT NOT NULL,
+      source TEXT NOT NULL CHECK(source IN ('chat', 'project')),
+      previous_content TEXT NOT NULL,
+      edited_by TEXT NOT NULL,
+      edited_at INTEGER NOT NULL,
+      FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+		'CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(source, message_id, edited_at)'
+	]);
+}
+
+export async function down(db) {
+	await db.execute('DROP TABLE IF EXISTS message_edits');
+}
@@ -0,0 +1,15 @@
+// Project read cursors: last_read_message_id already exists, last_read_at makes unread counts a range scan
+
+export async function up(db) {
+	await db.batch([
+		'ALTER TABLE project_members ADD COLUMN last_read_at INTEGER',
+		'CREATE INDEX IF NOT EXISTS idx_project_messages_project_created ON project_messages(project_id, created_at)'
+	]);
+}
+
+export async function down(db) {
+	await db.batch([
+		'DROP INDEX IF EXISTS idx_project_messages_project_created',
+		'ALTER TABLE project_members DROP COLUMN last_read_at'
+	]);
+}
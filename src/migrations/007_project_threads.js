@@ -0,0 +1,31 @@
+// Threads in project channels: replies point at a root message (reply_to_message_id stays quote-style)
+// and members follow threads to get reply notifications. An explicit unfollow is kept as
+// is_following = 0 so replying again doesn't re-follow.
+
+export async function up(db) {
+	await db.batch([
+		'ALTER TABLE project_messages ADD COLUMN thread_root_id TEXT',
+		'CREATE INDEX IF NOT EXISTS idx_project_messages_thread ON project_messages(thread_root_id, created_at)',
+		`CREATE TABLE IF NOT EXISTS project_thread_follows (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      root_message_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      is_following BOOLEAN DEFAULT 1,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (root_message_id) REFERENCES project_messages(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(root_message_id, user_id)
+    )`
+	]);
+}
+
+export async function down(db) {
+	await db.batch([
+		'DROP TABLE IF EXISTS project_thread_follows',
+		'DROP INDEX IF EXISTS idx_project_messages_thread',
+		'ALTER TABLE project_messages DROP COLUMN thread_root_id'
+	]);
+}
@@ -0,0 +1,25 @@
+// @username / @all mentions in project messages, one row per mentioned member
+
+export async function up(db) {
+	await db.batch([
+		`CREATE TABLE IF NOT EXISTS project_message_mentions (
+      id TEXT PRIMARY KEY,
+      message_id TEXT NOT NULL,
+      project_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      mentioned_by TEXT NOT NULL,
+      is_all BOOLEAN DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (message_id) REFERENCES project_messages(id) ON DELETE CASCADE,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (mentioned_by) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(message_id, user_id)
+    )`,
+		'CREATE INDEX IF NOT EXISTS idx_project_mentions_user ON project_message_mentions(user_id, created_at)'
+	]);
+}
+
+export async function down(db) {
+	await db.execute('DROP TABLE IF EXISTS project_message_mentions');
+}
@@ -0,0 +1,37 @@
+// Persistent in-app notifications and per-category preferences (no row = category enabled)
+
+export async function up(db) {
+	await db.batch([
+		`CREATE TABLE IF NOT EXISTS notifications (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      category TEXT NOT NULL,
+      type TEXT NOT NULL,
+      title TEXT NOT NULL,
+      body TEXT,
+      data TEXT,
+      actor_id TEXT,
+      is_read BOOLEAN DEFAULT 0,
+      read_at INTEGER,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+    )`,
+		'CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, is_read, created_at)',
+		`CREATE TABLE IF NOT EXISTS notification_preferences (
+      user_id TEXT NOT NULL,
+      category TEXT NOT NULL,
+      enabled BOOLEAN DEFAULT 1,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (user_id, category),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`
+	]);
+}
+
+export async function down(db) {
+	await db.batch([
+		'DROP TABLE IF EXISTS notification_preferences',
+		'DROP TABLE IF EXISTS notifications'
+	]);
+}
@@ -0,0 +1,25 @@
+// Email digests: per-category email opt-in, per-user digest schedule, and which
+// notifications already went out by email
+
+export async function up(db) {
+	await db.batch([
+		'ALTER TABLE notification_preferences ADD COLUMN email_enabled BOOLEAN',
+		'ALTER TABLE notifications ADD COLUMN emailed_at INTEGER',
+		`CREATE TABLE IF NOT EXISTS email_digest_settings (
+      user_id TEXT PRIMARY KEY,
+      frequency TEXT DEFAULT 'daily' CHECK(frequency IN ('off', 'hourly', 'daily', 'weekly')),
+      unread_messages BOOLEAN DEFAULT 1,
+      last_sent_at INTEGER,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`
+	]);
+}
+
+export async function down(db) {
+	await db.batch([
+		'DROP TABLE IF EXISTS email_digest_settings',
+		'ALTER TABLE notifications DROP COLUMN emailed_at',
+		'ALTER TABLE notification_preferences DROP COLUMN email_enabled'
+	]);
+}
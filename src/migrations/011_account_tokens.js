@@ -0,0 +1,27 @@
+// Email verification and password reset: single-use tokens (only the hash is stored)
+
+export async function up(db) {
+	await db.batch([
+		'ALTER TABLE users ADD COLUMN email_verified_at INTEGER',
+		`CREATE TABLE IF NOT EXISTS account_tokens (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      purpose TEXT NOT NULL CHECK(purpose IN ('verify_email', 'reset_password')),
+      token_hash TEXT UNIQUE NOT NULL,
+      email TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      used_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+		'CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON account_tokens(user_id, purpose, created_at)'
+	]);
+}
+
+export async function down(db) {
+	await db.batch([
+		'DROP INDEX IF EXISTS idx_account_tokens_user',
+		'DROP TABLE IF EXISTS account_tokens',
+		'ALTER TABLE users DROP COLUMN email_verified_at'
+	]);
+}
@@ -0,0 +1,35 @@
+// OpenID Connect sign-in: external identities linked to users, and pending logins (state, nonce, PKCE verifier)
+
+export async function up(db) {
+	await db.batch([
+		`CREATE TABLE IF NOT EXISTS user_identities (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      email TEXT,
+      created_at INTEGER NOT NULL,
+      last_login_at INTEGER,
+      UNIQUE(provider, subject),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+		'CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id)',
+		`CREATE TABLE IF NOT EXISTS oidc_login_states (
+      state TEXT PRIMARY KEY,
+      provider TEXT NOT NULL,
+      nonce TEXT NOT NULL,
+      code_verifier TEXT NOT NULL,
+      role TEXT NOT NULL CHECK(role IN ('client', 'freelancer')),
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    )`
+	]);
+}
+
+export async function down(db) {
+	await db.batch([
+		'DROP TABLE IF EXISTS oidc_login_states',
+		'DROP INDEX IF EXISTS idx_user_identities_user',
+		'DROP TABLE IF EXISTS user_identities'
+	]);
+}
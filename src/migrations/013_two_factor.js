@@ -0,0 +1,47 @@
+// Two-factor authentication: TOTP secret per user, one-time recovery codes,
+// pending second-step logins, and system settings (e.g. requiring 2FA for admins)
+
+export async function up(db) {
+	await db.batch([
+		'ALTER TABLE users ADD COLUMN totp_secret TEXT',
+		'ALTER TABLE users ADD COLUMN totp_enabled_at INTEGER',
+		'ALTER TABLE users ADD COLUMN totp_last_step INTEGER',
+		`CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      code_hash TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      used_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+		'CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id)',
+		`CREATE TABLE IF NOT EXISTS two_factor_challenges (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      attempts INTEGER DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+		`CREATE TABLE IF NOT EXISTS system_settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_by TEXT,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+    )`
+	]);
+}
+
+export async function down(db) {
+	await db.batch([
+		'DROP TABLE IF EXISTS system_settings',
+		'DROP TABLE IF EXISTS two_factor_challenges',
+		'DROP INDEX IF EXISTS idx_user_recovery_codes_user',
+		'DROP TABLE IF EXISTS user_recovery_codes',
+		'ALTER TABLE users DROP COLUMN totp_last_step',
+		'ALTER TABLE users DROP COLUMN totp_enabled_at',
+		'ALTER TABLE users DROP COLUMN totp_secret'
+	]);
+}
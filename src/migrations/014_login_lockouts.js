@@ -0,0 +1,14 @@
+// Failed password logins per username/email, for progressive lockout
+
+export async function up(db) {
+	await db.execute(`CREATE TABLE IF NOT EXISTS login_failures (
+      identifier TEXT PRIMARY KEY,
+      failures INTEGER NOT NULL DEFAULT 0,
+      locked_until INTEGER,
+      last_failed_at INTEGER NOT NULL
+    )`);
+}
+
+export async function down(db) {
+	await db.execute('DROP TABLE IF EXISTS login_failures');
+}
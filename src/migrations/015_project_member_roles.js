@@ -0,0 +1,18 @@
+// Per-project member roles (owner, collaborator, client, viewer) on project_members
+
+export async function up(db) {
+	await db.batch([
+		`ALTER TABLE project_members ADD COLUMN role TEXT NOT NULL DEFAULT 'collaborator'
+      CHECK(role IN ('owner', 'collaborator', 'client', 'viewer'))`,
+		// Existing members: creators own their projects, clients and guests are the client side
+		`UPDATE project_members SET role = CASE
+        WHEN user_id = (SELECT creator_id FROM projects WHERE projects.id = project_members.project_id) THEN 'owner'
+        WHEN user_id IN (SELECT id FROM users WHERE role IN ('client', 'guest') OR is_guest = 1) THEN 'client'
+        ELSE 'collaborator'
+      END`
+	]);
+}
+
+export async function down(db) {
+	await db.execute('ALTER TABLE project_members DROP COLUMN role');
+}
@@ -0,0 +1,60 @@
+// Project invites: many links per project with expiry, use limits, granted role, email lock and revocation,
+// plus an audit trail of who joined through which link.
+// Existing projects.invite_code values become invites so links already shared keep working for a week.
+// Those codes were short and guessable, so they expire and owners re-issue links from the new endpoints.
+// The column itself is NOT NULL UNIQUE, so it keeps the project id from now on and is never returned.
+
+const LEGACY_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export async function up(db) {
+	await db.batch([
+		`CREATE TABLE IF NOT EXISTS project_invites (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      code TEXT UNIQUE NOT NULL,
+      role TEXT CHECK(role IN ('collaborator', 'client', 'viewer')),
+      email TEXT,
+      max_uses INTEGER,
+      use_count INTEGER NOT NULL DEFAULT 0,
+      expires_at INTEGER,
+      created_by TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      revoked_at INTEGER,
+      revoked_by TEXT,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+		'CREATE INDEX IF NOT EXISTS idx_project_invites_project ON project_invites(project_id, created_at)',
+		`CREATE TABLE IF NOT EXISTS project_invite_uses (
+      id TEXT PRIMARY KEY,
+      invite_id TEXT NOT NULL,
+      project_id TEXT NOT NULL,
+      user_id TEXT,
+      role TEXT NOT NULL,
+      joined_at INTEGER NOT NULL,
+      FOREIGN KEY (invite_id) REFERENCES project_invites(id) ON DELETE CASCADE,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    )`,
+		'CREATE INDEX IF NOT EXISTS idx_project_invite_uses_invite ON project_invite_uses(invite_id, joined_at)',
+		{
+			sql: `INSERT INTO project_invites (id, project_id, code, expires_at, created_by, created_at)
+        SELECT lower(hex(randomblob(10))), id, invite_code, ?, creator_id, created_at FROM projects
+        WHERE invite_code != id`,
+			args: [Date.now() + LEGACY_INVITE_TTL_MS]
+		},
+		'UPDATE projects SET invite_code = id'
+	]);
+}
+
+export async function down(db) {
+	await db.batch([
+		// Give each project back its oldest invite code
+		`UPDATE projects SET invite_code = COALESCE(
+        (SELECT code FROM project_invites WHERE project_id = projects.id ORDER BY created_at ASC LIMIT 1),
+        invite_code
+      )`,
+		'DROP TABLE IF EXISTS project_invite_uses',
+		'DROP TABLE IF EXISTS project_invites'
+	]);
+}
@@ -0,0 +1,22 @@
+// At most one running timer per member and project, so parallel starts can't both insert
+
+export async function up(db) {
+	await db.batch([
+		// Stop extra timers left by earlier races, keeping the oldest one running
+		`UPDATE time_entries
+      SET ended_at = started_at, duration_seconds = 0, updated_at = started_at
+      WHERE ended_at IS NULL AND EXISTS (
+        SELECT 1 FROM time_entries older
+        WHERE older.project_id = time_entries.project_id AND older.user_id = time_entries.user_id
+          AND older.ended_at IS NULL
+          AND (older.started_at < time_entries.started_at
+            OR (older.started_at = time_entries.started_at AND older.id < time_entries.id))
+      )`,
+		`CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running
+      ON time_entries(project_id, user_id) WHERE ended_at IS NULL`
+	]);
+}
+
+export async function down(db) {
+	await db.execute('DROP INDEX IF EXISTS idx_time_entries_running');
+}
@@ -0,0 +1,16 @@
+// Accounts created before email verification existed (migration 011) never got a chance to verify,
+// and verified email now gates project creation - treat their addresses as verified from when 011 ran
+
+const ACCOUNT_TOKENS_APPLIED_AT = '(SELECT applied_at FROM schema_migrations WHERE version = 11)';
+
+export async function up(db) {
+	await db.execute(`UPDATE users SET email_verified_at = ${ACCOUNT_TOKENS_APPLIED_AT}
+    WHERE email_verified_at IS NULL AND email IS NOT NULL AND is_guest = 0
+      AND created_at < ${ACCOUNT_TOKENS_APPLIED_AT}`);
+}
+
+export async function down(db) {
+	await db.execute(`UPDATE users SET email_verified_at = NULL
+    WHERE email_verified_at = ${ACCOUNT_TOKENS_APPLIED_AT}
+      AND created_at < ${ACCOUNT_TOKENS_APPLIED_AT}`);
+}
@@ -0,0 +1,10 @@
+// When the digest scheduler last looked at a user, sent or not - users with nothing to send
+// must move to the back of the queue, or they keep the oldest slots and starve everyone else
+
+export async function up(db) {
+	await db.execute('ALTER TABLE email_digest_settings ADD COLUMN checked_at INTEGER');
+}
+
+export async function down(db) {
+	await db.execute('ALTER TABLE email_digest_settings DROP COLUMN checked_at');
+}
@@ -0,0 +1,277 @@
+import { readdir } from 'fs/promises';
+import { hostname } from 'os';
+import { db } from '../config/db.js';
+
+const MIGRATIONS_DIR = new URL('./', import.meta.url);
+const MIGRATION_FILE = /^(\d{3})_(.+)\.js$/;
+
+// A lock older than this is assumed to belong to a crashed process
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const LOCK_WAIT_MS = 60 * 1000;
+const LOCK_POLL_MS = 1000;
+
+// Format version the way migration files are named (1 -> 001)
+export function formatVersion(version) {
+	return String(version).padStart(3, '0');
+}
+
+// Create bookkeeping tables
+async function ensureMigrationTables() {
+	await db.batch([
+		`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    )`,
+		`CREATE TABLE IF NOT EXISTS schema_migrations_lock (
+      id INTEGER PRIMARY KEY CHECK(id = 1),
+      locked_at INTEGER NOT NULL,
+      locked_by TEXT NOT NULL
+    )`
+	], 'write');
+}
+
+// Check if a table exists (dry runs must not create the bookkeeping tables)
+async function tableExists(name) {
+	const result = await db.execute({
+		sql: `SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`,
+		args: [name]
+	});
+	return result.rows.length > 0;
+}
+
+// Load migration modules from this directory, ordered by version
+async function loadMigrations() {
+	const files = (await readdir(MIGRATIONS_DIR))
+		.filter(file => MIGRATION_FILE.test(file))
+		.sort();
+
+	const migrations = [];
+	for (const file of files) {
+		const [, version, name] = file.match(MIGRATION_FILE);
+		const module = await import(new URL(file, MIGRATIONS_DIR).href);
+
+		if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+			throw new Error(`Migration ${file} must export up() and down()`);
+		}
+
+		migrations.push({
+			version: parseInt(version),
+			name,
+			up: module.up,
+			down: module.down
+		});
+	}
+
+	const versions = migrations.map(m => m.version);
+	const duplicate = versions.find((version, index) => versions.indexOf(version) !== index);
+	if (duplicate !== undefined) {
+		throw new Error(`Duplicate migration version ${duplicate}`);
+	}
+
+	return migrations;
+}
+
+// Get applied migrations keyed by version
+async function getAppliedMigrations() {
+	if (!(await tableExists('schema_migrations'))) {
+		return new Map();
+	}
+
+	const result = await db.execute('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+	return new Map(result.rows.map(row => [Number(row.version), row]));
+}
+
+// Acquire the migration lock, waiting for another process to finish
+async function acquireLock() {
+	const owner = `${hostname()}:${process.pid}`;
+	const deadline = Date.now() + LOCK_WAIT_MS;
+
+	while (true) {
+		const now = Date.now();
+
+		await db.execute({
+			sql: 'DELETE FROM schema_migrations_lock WHERE id = 1 AND locked_at < ?',
+			args: [now - STALE_LOCK_MS]
+		});
+
+		const result = await db.execute({
+			sql: 'INSERT OR IGNORE INTO schema_migrations_lock (id, locked_at, locked_by) VALUES (1, ?, ?)',
+			args: [now, owner]
+		});
+
+		if (result.rowsAffected > 0) {
+			return owner;
+		}
+
+		if (Date.now() >= deadline) {
+			const holder = await db.execute('SELECT locked_by FROM schema_migrations_lock WHERE id = 1');
+			throw new Error(`Timed out waiting for migration lock held by ${holder.rows[0]?.locked_by || 'unknown'}`);
+		}
+
+		await new Promise(resolve => setTimeout(resolve, LOCK_POLL_MS));
+	}
+}
+
+// Release the migration lock
+async function releaseLock(owner) {
+	await db.execute({
+		sql: 'DELETE FROM schema_migrations_lock WHERE id = 1 AND locked_by = ?',
+		args: [owner]
+	});
+}
+
+// Stand-in for the db client during dry runs - reads hit the database, writes are only recorded
+function createRecorder(statements) {
+	const toSql = (stmt) => (typeof stmt === 'string' ? stmt : stmt.sql).trim();
+	const isRead = (sql) => /^(SELECT|PRAGMA|WITH|EXPLAIN)\b/i.test(sql);
+
+	const recorder = {
+		async execute(stmt) {
+			const sql = toSql(stmt);
+			if (isRead(sql)) {
+				return db.execute(stmt);
+			}
+			statements.push(sql);
+			return { rows: [], columns: [], rowsAffected: 0, lastInsertRowid: undefined };
+		},
+		async batch(stmts) {
+			const results = [];
+			for (const stmt of stmts) {
+				results.push(await recorder.execute(stmt));
+			}
+			return results;
+		}
+	};
+
+	return recorder;
+}
+
+// Run one migration step inside a transaction, recording it in schema_migrations
+async function runStep(migration, direction, dryRun) {
+	if (dryRun) {
+		const statements = [];
+		await migration[direction](createRecorder(statements));
+		return { version: migration.version, name: migration.name, statements };
+	}
+
+	const tx = await db.transaction('write');
+	try {
+		await migration[direction](tx);
+
+		if (direction === 'up') {
+			await tx.execute({
+				sql: 'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+				args: [migration.version, migration.name, Date.now()]
+			});
+		} else {
+			await tx.execute({
+				sql: 'DELETE FROM schema_migrations WHERE version = ?',
+				args: [migration.version]
+			});
+		}
+
+		await tx.commit();
+	} catch (error) {
+		await tx.rollback();
+		throw new Error(`Migration ${formatVersion(migration.version)}_${migration.name} (${direction}) failed: ${error.message}`);
+	} finally {
+		tx.close();
+	}
+
+	return { version: migration.version, name: migration.name };
+}
+
+// Hold the lock around a migration run (dry runs don't lock or touch bookkeeping tables)
+async function withLock(dryRun, fn) {
+	if (dryRun) {
+		return fn();
+	}
+
+	await ensureMigrationTables();
+	const owner = await acquireLock();
+	try {
+		return await fn();
+	} finally {
+		await releaseLock(owner);
+	}
+}
+
+// Apply all pending migrations in version order
+export async function runMigrations({ dryRun = false } = {}) {
+	const migrations = await loadMigrations();
+
+	return withLock(dryRun, async () => {
+		const applied = await getAppliedMigrations();
+		const pending = migrations.filter(m => !applied.has(m.version));
+		const results = [];
+
+		for (const migration of pending) {
+			results.push(await runStep(migration, 'up', dryRun));
+			if (!dryRun) {
+				console.log(`✅ Migration ${formatVersion(migration.version)}_${migration.name} applied`);
+			}
+		}
+
+		return { dryRun, applied: results };
+	});
+}
+
+// Roll back the most recently applied migrations
+export async function rollbackMigrations({ steps = 1, dryRun = false } = {}) {
+	if (!Number.isInteger(steps) || steps < 1) {
+		throw new Error('Steps must be a positive integer');
+	}
+
+	const migrations = await loadMigrations();
+	const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+	return withLock(dryRun, async () => {
+		const applied = await getAppliedMigrations();
+		const targets = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+		const results = [];
+
+		for (const version of targets) {
+			const migration = byVersion.get(version);
+			if (!migration) {
+				throw new Error(`Migration file for applied version ${formatVersion(version)} not found`);
+			}
+
+			results.push(await runStep(migration, 'down', dryRun));
+			if (!dryRun) {
+				console.log(`↩️  Migration ${formatVersion(migration.version)}_${migration.name} rolled back`);
+			}
+		}
+
+		return { dryRun, rolledBack: results };
+	});
+}
+
+// Get applied/pending state of every known migration
+export async function getMigrationStatus() {
+	const migrations = await loadMigrations();
+	const applied = await getAppliedMigrations();
+	const known = new Set(migrations.map(m => m.version));
+
+	const status = migrations.map(m => ({
+		version: m.version,
+		name: m.name,
+		applied: applied.has(m.version),
+		applied_at: applied.get(m.version)?.applied_at || null
+	}));
+
+	// Applied in the database but no longer on disk
+	for (const [version, row] of applied) {
+		if (!known.has(version)) {
+			status.push({
+				version,
+				name: row.name,
+				applied: true,
+				applied_at: row.applied_at,
+				missing: true
+			});
+		}
+	}
+
+	return status.sort((a, b) => a.version - b.version);
+}
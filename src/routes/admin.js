@@ -1,6 +1,8 @@
 import { Hono } from 'hono';
 import { authMiddleware, requireModerator, requireAdminOnly } from '../middleware/auth.js';
 import * as adminService from '../services/admin.service.js';
+import { getMessageEditHistory } from '../services/messageEdit.service.js';
+import { isAdminTwoFactorRequired, setAdminTwoFactorRequired } from '../services/twoFactor.service.js';
 
 const admin = new Hono();
 
@@ -19,6 +21,34 @@ admin.get('/stats', async (c) => {
 	}
 });
 
+// ==================== SECURITY SETTINGS ====================
+
+// Check whether admins and moderators must use two-factor authentication
+admin.get('/settings/two-factor', async (c) => {
+	try {
+		const required = await isAdminTwoFactorRequired();
+		return c.json({ required });
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Require two-factor authentication for admins and moderators ({ required: true })
+admin.put('/settings/two-factor', requireAdminOnly, async (c) => {
+	try {
+		const currentUser = c.get('user');
+		const { required } = await c.req.json();
+
+		const result = await setAdminTwoFactorRequired(currentUser.id, required);
+		return c.json({
+			message: required ? 'Two-factor authentication is now required for staff' : 'Two-factor authentication is now optional for staff',
+			...result
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
 // ==================== USER MANAGEMENT ====================
 
 // Get all users (with optional filters)
@@ -160,6 +190,17 @@ admin.get('/chats/:id/messages', async (c) => {
 	}
 });
 
+// Get edit history of chat message
+admin.get('/messages/:id/edits', async (c) => {
+	try {
+		const messageId = c.req.param('id');
+		const edits = await getMessageEditHistory('chat', messageId);
+		return c.json({ count: edits.length, edits });
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
 // Delete message
 admin.delete('/messages/:id', async (c) => {
 	try {
@@ -259,6 +300,17 @@ admin.delete('/rooms/:roomId/members/:userId', async (c) => {
 	}
 });
 
+// Get edit history of project message
+admin.get('/room-messages/:id/edits', async (c) => {
+	try {
+		const messageId = c.req.param('id');
+		const edits = await getMessageEditHistory('project', messageId);
+		return c.json({ count: edits.length, edits });
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
 // Delete room message
 admin.delete('/room-messages/:id', async (c) => {
 	try {
@@ -1,5 +1,6 @@
 import { Hono } from 'hono';
 import {
+	getUserById,
 	createGuestUser,
 	registerUser,
 	registerClient,
@@ -13,13 +14,39 @@ import {
 	getAllFreelancers,
 	deleteAccount
 } from '../services/user.service.js';
-import { generateToken } from '../utils/jwt.js';
+import {
+	createSession,
+	refreshSession,
+	getUserSessions,
+	revokeSession,
+	revokeAllSessions
+} from '../services/session.service.js';
+import {
+	sendVerificationEmail,
+	verifyEmail,
+	requestPasswordReset,
+	resetPassword
+} from '../services/accountToken.service.js';
+import { getOidcProviders, startOidcLogin, completeOidcLogin } from '../services/oidc.service.js';
+import {
+	isTwoFactorEnabled,
+	createTwoFactorChallenge,
+	completeTwoFactorChallenge,
+	getTwoFactorStatus,
+	beginTwoFactorSetup,
+	enableTwoFactor,
+	disableTwoFactor,
+	regenerateRecoveryCodes
+} from '../services/twoFactor.service.js';
+import { getDeviceInfo } from '../utils/device.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { rateLimits } from '../config/rateLimits.js';
 import { authMiddleware, requireRegistered, requireFreelancer, requireAdmin } from '../middleware/auth.js';
 
 const auth = new Hono();
 
 // Guest login (no password) - For clients joining via invite
-auth.post('/guest-login', async (c) => {
+auth.post('/guest-login', rateLimit('guest-login', rateLimits.guestLogin), async (c) => {
 	try {
 		const { username, name, gender, age } = await c.req.json();
 
@@ -28,12 +55,12 @@ auth.post('/guest-login', async (c) => {
 		}
 
 		const user = await createGuestUser({ username, name, gender, age });
-		const token = generateToken(user);
+		const tokens = await createSession(user, getDeviceInfo(c));
 
 		return c.json({
 			message: 'Guest logged in successfully',
 			user,
-			token
+			...tokens
 		}, 201);
 	} catch (error) {
 		return c.json({ error: error.message }, 400);
@@ -50,12 +77,13 @@ auth.post('/register', async (c) => {
 		}
 
 		const user = await registerUser({ username, email, password, name, gender, age });
-		const token = generateToken(user);
+		await sendVerificationEmail(user.id).catch(err => console.error('Verification email failed:', err));
+		const tokens = await createSession(user, getDeviceInfo(c));
 
 		return c.json({
 			message: 'Registration successful',
 			user,
-			token
+			...tokens
 		}, 201);
 	} catch (error) {
 		return c.json({ error: error.message }, 400);
@@ -72,12 +100,13 @@ auth.post('/register-client', async (c) => {
 		}
 
 		const user = await registerClient({ username, email, password, name, gender, age });
-		const token = generateToken(user);
+		await sendVerificationEmail(user.id).catch(err => console.error('Verification email failed:', err));
+		const tokens = await createSession(user, getDeviceInfo(c));
 
 		return c.json({
 			message: 'Client registration successful',
 			user,
-			token
+			...tokens
 		}, 201);
 	} catch (error) {
 		return c.json({ error: error.message }, 400);
@@ -85,7 +114,7 @@ auth.post('/register-client', async (c) => {
 });
 
 // Login (for registered users - freelancers and clients)
-auth.post('/login', async (c) => {
+auth.post('/login', rateLimit('login', rateLimits.login), async (c) => {
 	try {
 		const { usernameOrEmail, password } = await c.req.json();
 
@@ -94,20 +123,257 @@ auth.post('/login', async (c) => {
 		}
 
 		const user = await loginUser(usernameOrEmail, password);
-		const token = generateToken(user);
+
+		// Password was right - tokens are issued after the second step
+		if (await isTwoFactorEnabled(user.id)) {
+			return c.json(await createTwoFactorChallenge(user.id));
+		}
+
+		const tokens = await createSession(user, getDeviceInfo(c));
+
+		return c.json({
+			message: 'Login successful',
+			user,
+			...tokens
+		});
+	} catch (error) {
+		if (error.retryAfter) {
+			c.header('Retry-After', String(error.retryAfter));
+		}
+		return c.json({ error: error.message }, error.status || 401);
+	}
+});
+
+// List OpenID Connect sign-in providers
+auth.get('/oidc/providers', (c) => {
+	const providers = getOidcProviders();
+	return c.json({
+		count: providers.length,
+		providers
+	});
+});
+
+// Start OpenID Connect sign-in - the client sends the browser to authorization_url
+// (?role=client|freelancer picks the role if the sign-in creates a new account)
+auth.get('/oidc/:provider/authorize', async (c) => {
+	try {
+		const result = await startOidcLogin(c.req.param('provider'), c.req.query('role') || 'client');
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Finish OpenID Connect sign-in with the code and state from the provider redirect
+auth.post('/oidc/:provider/callback', async (c) => {
+	try {
+		const { code, state } = await c.req.json();
+
+		if (!code || !state) {
+			return c.json({ error: 'Code and state are required' }, 400);
+		}
+
+		const user = await completeOidcLogin(c.req.param('provider'), code, state);
+
+		if (await isTwoFactorEnabled(user.id)) {
+			return c.json(await createTwoFactorChallenge(user.id));
+		}
+
+		const tokens = await createSession(user, getDeviceInfo(c));
+
+		return c.json({
+			message: 'Login successful',
+			user,
+			...tokens
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 401);
+	}
+});
+
+// Confirm email address with the token from the verification email
+auth.post('/verify-email', rateLimit('account-email', rateLimits.accountEmail), async (c) => {
+	try {
+		const { token } = await c.req.json();
+
+		if (!token) {
+			return c.json({ error: 'Token is required' }, 400);
+		}
+
+		const result = await verifyEmail(token);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Send a new verification email
+auth.post('/resend-verification', authMiddleware, requireRegistered, async (c) => {
+	try {
+		const user = c.get('user');
+		const result = await sendVerificationEmail(user.id);
+		return c.json(result);
+	} catch (error) {
+		if (error.retryAfter) {
+			c.header('Retry-After', String(error.retryAfter));
+		}
+		return c.json({ error: error.message }, error.status || 400);
+	}
+});
+
+// Email a password reset link (same response whether or not the account exists)
+auth.post('/forgot-password', rateLimit('account-email', rateLimits.accountEmail), async (c) => {
+	try {
+		const { email } = await c.req.json();
+
+		if (!email) {
+			return c.json({ error: 'Email is required' }, 400);
+		}
+
+		const result = await requestPasswordReset(email);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Set a new password with the token from the reset email (signs out all devices)
+auth.post('/reset-password', rateLimit('account-email', rateLimits.accountEmail), async (c) => {
+	try {
+		const { token, password } = await c.req.json();
+
+		if (!token || !password) {
+			return c.json({ error: 'Token and new password are required' }, 400);
+		}
+
+		const result = await resetPassword(token, password);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Second login step - authenticator or recovery code for the challenge from /login
+auth.post('/login/2fa', rateLimit('login', rateLimits.login), async (c) => {
+	try {
+		const { challenge_token, code } = await c.req.json();
+
+		if (!challenge_token || !code) {
+			return c.json({ error: 'Challenge token and code are required' }, 400);
+		}
+
+		const userId = await completeTwoFactorChallenge(challenge_token, code);
+		const user = await getUserById(userId);
+		const tokens = await createSession(user, getDeviceInfo(c));
 
 		return c.json({
 			message: 'Login successful',
 			user,
-			token
+			...tokens
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 401);
+	}
+});
+
+// Get two-factor status
+auth.get('/2fa', authMiddleware, async (c) => {
+	try {
+		const user = c.get('user');
+		const status = await getTwoFactorStatus(user.id);
+		return c.json(status);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Start two-factor setup - returns secret and otpauth:// URI for the QR code
+auth.post('/2fa/setup', authMiddleware, requireRegistered, async (c) => {
+	try {
+		const user = c.get('user');
+		const result = await beginTwoFactorSetup(user.id);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Confirm setup with a code from the app - returns recovery codes once
+auth.post('/2fa/enable', authMiddleware, requireRegistered, async (c) => {
+	try {
+		const user = c.get('user');
+		const { code } = await c.req.json();
+
+		if (!code) {
+			return c.json({ error: 'Code is required' }, 400);
+		}
+
+		const result = await enableTwoFactor(user.id, code);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Turn off two-factor authentication (authenticator or recovery code)
+auth.post('/2fa/disable', authMiddleware, async (c) => {
+	try {
+		const user = c.get('user');
+		const { code } = await c.req.json();
+
+		const result = await disableTwoFactor(user.id, code);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Replace recovery codes (authenticator or recovery code)
+auth.post('/2fa/recovery-codes', authMiddleware, async (c) => {
+	try {
+		const user = c.get('user');
+		const { code } = await c.req.json();
+
+		const result = await regenerateRecoveryCodes(user.id, code);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Exchange refresh token for a new access token (refresh token is rotated)
+auth.post('/refresh', async (c) => {
+	try {
+		const { refresh_token } = await c.req.json();
+
+		if (!refresh_token) {
+			return c.json({ error: 'Refresh token is required' }, 400);
+		}
+
+		const tokens = await refreshSession(refresh_token, getDeviceInfo(c));
+
+		return c.json({
+			message: 'Token refreshed',
+			...tokens
 		});
 	} catch (error) {
 		return c.json({ error: error.message }, 401);
 	}
 });
 
-// Logout
+// Logout (this device only)
 auth.post('/logout', authMiddleware, async (c) => {
+	try {
+		const user = c.get('user');
+		const result = await logoutUser(user.id, c.get('sessionId'));
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Logout from all devices
+auth.post('/logout-all', authMiddleware, async (c) => {
 	try {
 		const user = c.get('user');
 		const result = await logoutUser(user.id);
@@ -117,6 +383,49 @@ auth.post('/logout', authMiddleware, async (c) => {
 	}
 });
 
+// List active sessions (signed-in devices)
+auth.get('/sessions', authMiddleware, async (c) => {
+	try {
+		const user = c.get('user');
+		const sessions = await getUserSessions(user.id, c.get('sessionId'));
+
+		return c.json({
+			count: sessions.length,
+			sessions
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Sign out all other devices (keeps current session)
+auth.delete('/sessions', authMiddleware, async (c) => {
+	try {
+		const user = c.get('user');
+		const result = await revokeAllSessions(user.id, c.get('sessionId'));
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Sign out one device
+auth.delete('/sessions/:sessionId', authMiddleware, async (c) => {
+	try {
+		const user = c.get('user');
+		const sessionId = c.req.param('sessionId');
+
+		// Revoking the current session is a regular logout
+		const result = sessionId === c.get('sessionId')
+			? await logoutUser(user.id, sessionId)
+			: await revokeSession(user.id, sessionId);
+
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
 // Get current user info (protected route)
 auth.get('/me', authMiddleware, async (c) => {
 	const user = c.get('user');
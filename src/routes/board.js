@@ -0,0 +1,227 @@
+import { Hono } from 'hono';
+import {
+	getBoard,
+	createColumn,
+	renameColumn,
+	deleteColumn,
+	getCardById,
+	createCard,
+	createCardFromMessage,
+	updateCard,
+	moveCard,
+	deleteCard,
+	addCardComment
+} from '../services/board.service.js';
+import { requireProjectAccess, requireProjectCreator, requireProjectPermission } from '../middleware/auth.js';
+
+// Mounted under /api/projects/:projectId/board (auth applied by project routes)
+const board = new Hono();
+
+// Get board with columns and cards
+board.get('/', requireProjectAccess, async (c) => {
+	try {
+		const projectId = c.req.param('projectId');
+		const columns = await getBoard(projectId);
+
+		return c.json({ columns });
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// ==================== COLUMNS ====================
+
+// Create column (creator only)
+board.post('/columns', requireProjectCreator, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const { name } = await c.req.json();
+
+		if (!name) {
+			return c.json({ error: 'Column name is required' }, 400);
+		}
+
+		const column = await createColumn(projectId, user.id, name);
+
+		return c.json({
+			message: 'Column created',
+			column
+		}, 201);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Rename column (creator only)
+board.put('/columns/:columnId', requireProjectCreator, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const columnId = c.req.param('columnId');
+		const { name } = await c.req.json();
+
+		const column = await renameColumn(projectId, columnId, user.id, name);
+
+		return c.json({
+			message: 'Column updated',
+			column
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Delete empty column (creator only)
+board.delete('/columns/:columnId', requireProjectCreator, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const columnId = c.req.param('columnId');
+
+		const result = await deleteColumn(projectId, columnId, user.id);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// ==================== CARDS ====================
+
+// Create card
+board.post('/cards', requireProjectPermission('board'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const { column_id, title, description, assignee_id, due_date, labels } = await c.req.json();
+
+		if (!title) {
+			return c.json({ error: 'Card title is required' }, 400);
+		}
+
+		const card = await createCard(projectId, user.id, {
+			column_id,
+			title,
+			description,
+			assignee_id,
+			due_date,
+			labels
+		});
+
+		return c.json({
+			message: 'Card created',
+			card
+		}, 201);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Turn project message into card
+board.post('/cards/from-message/:messageId', requireProjectPermission('board'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const messageId = c.req.param('messageId');
+		const data = await c.req.json().catch(() => ({}));
+
+		const card = await createCardFromMessage(projectId, user.id, messageId, data);
+
+		return c.json({
+			message: 'Card created from message',
+			card
+		}, 201);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Get card with comments
+board.get('/cards/:cardId', requireProjectAccess, async (c) => {
+	try {
+		const projectId = c.req.param('projectId');
+		const cardId = c.req.param('cardId');
+		const card = await getCardById(projectId, cardId);
+
+		return c.json({ card });
+	} catch (error) {
+		return c.json({ error: error.message }, 404);
+	}
+});
+
+// Update card
+board.put('/cards/:cardId', requireProjectPermission('board'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const cardId = c.req.param('cardId');
+		const data = await c.req.json();
+
+		const card = await updateCard(projectId, cardId, user.id, data);
+
+		return c.json({
+			message: 'Card updated',
+			card
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Move card to column/position
+board.post('/cards/:cardId/move', requireProjectPermission('board'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const cardId = c.req.param('cardId');
+		const { column_id, position } = await c.req.json();
+
+		const card = await moveCard(projectId, cardId, user.id, column_id, position);
+
+		return c.json({
+			message: 'Card moved',
+			card
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Delete card
+board.delete('/cards/:cardId', requireProjectPermission('board'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const cardId = c.req.param('cardId');
+
+		const result = await deleteCard(projectId, cardId, user.id);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Add comment to card
+board.post('/cards/:cardId/comments', requireProjectPermission('board'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const cardId = c.req.param('cardId');
+		const { content } = await c.req.json();
+
+		if (!content) {
+			return c.json({ error: 'Comment content is required' }, 400);
+		}
+
+		const comment = await addCardComment(projectId, cardId, user.id, content);
+
+		return c.json({
+			message: 'Comment added',
+			comment
+		}, 201);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+export default board;
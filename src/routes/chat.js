@@ -7,9 +7,13 @@ import {
 	markMessagesAsRead,
 	getChatSession,
 	cleanupOldChats,
-	deleteMessage
+	deleteMessage,
+	editMessage
 } from '../services/chat.service.js';
+import { getTypingUsers } from '../services/typing.service.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { rateLimits } from '../config/rateLimits.js';
 
 const chat = new Hono();
 
@@ -65,6 +69,22 @@ chat.get('/sessions/:sessionId', async (c) => {
 	}
 });
 
+// Get users currently typing in a chat session (for clients without WebSocket)
+chat.get('/sessions/:sessionId/typing', async (c) => {
+	try {
+		const user = c.get('user');
+		const sessionId = c.req.param('sessionId');
+		const typing = await getTypingUsers(user.id, { session_id: sessionId });
+
+		return c.json({
+			count: typing.length,
+			typing
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
 // Get messages in a chat session
 chat.get('/messages/:sessionId', async (c) => {
 	try {
@@ -81,7 +101,7 @@ chat.get('/messages/:sessionId', async (c) => {
 });
 
 // Send a message
-chat.post('/messages', async (c) => {
+chat.post('/messages', rateLimit('messages', rateLimits.messageSend, 'user'), async (c) => {
 	try {
 		const user = c.get('user');
 		const { session_id, content, type = 'text', reply_to_message_id, caption } = await c.req.json();
@@ -107,6 +127,28 @@ chat.post('/messages', async (c) => {
 	}
 });
 
+// Edit own text message
+chat.put('/messages/:messageId', async (c) => {
+	try {
+		const user = c.get('user');
+		const messageId = c.req.param('messageId');
+		const { content } = await c.req.json();
+
+		if (!content) {
+			return c.json({ error: 'content is required' }, 400);
+		}
+
+		const message = await editMessage(messageId, user.id, content);
+
+		return c.json({
+			message: 'Message edited',
+			data: message
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
 // Delete a message (media only)
 chat.delete('/messages/:messageId', async (c) => {
 	try {
@@ -0,0 +1,151 @@
+import { Hono } from 'hono';
+import {
+	getProjectInvoices,
+	getInvoiceById,
+	createInvoice,
+	sendInvoice,
+	markInvoicePaid,
+	voidInvoice
+} from '../services/invoice.service.js';
+import { renderInvoiceHtml, renderInvoicePdf } from '../utils/invoiceRenderer.js';
+import { requireProjectAccess, requireProjectCreator } from '../middleware/auth.js';
+
+// Mounted under /api/projects/:projectId/invoices (auth applied by project routes)
+const invoices = new Hono();
+
+// Drafts are only visible to the creator (and admins)
+function canSeeDrafts(c) {
+	return c.get('user').role === 'admin' || c.get('isProjectCreator') === true;
+}
+
+// Get all invoices for project
+invoices.get('/', requireProjectAccess, async (c) => {
+	try {
+		const projectId = c.req.param('projectId');
+		const list = await getProjectInvoices(projectId, canSeeDrafts(c));
+
+		return c.json({
+			count: list.length,
+			invoices: list
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Create draft invoice (creator only)
+invoices.post('/', requireProjectCreator, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const data = await c.req.json();
+
+		const invoice = await createInvoice(projectId, user.id, data);
+
+		return c.json({
+			message: 'Invoice created',
+			invoice
+		}, 201);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Get invoice details
+invoices.get('/:invoiceId', requireProjectAccess, async (c) => {
+	try {
+		const projectId = c.req.param('projectId');
+		const invoiceId = c.req.param('invoiceId');
+		const invoice = await getInvoiceById(projectId, invoiceId, canSeeDrafts(c));
+
+		return c.json({ invoice });
+	} catch (error) {
+		return c.json({ error: error.message }, 404);
+	}
+});
+
+// Download invoice document (?format=pdf|html, defaults to pdf)
+invoices.get('/:invoiceId/download', requireProjectAccess, async (c) => {
+	try {
+		const projectId = c.req.param('projectId');
+		const invoiceId = c.req.param('invoiceId');
+		const format = c.req.query('format') || 'pdf';
+
+		if (!['pdf', 'html'].includes(format)) {
+			return c.json({ error: 'Format must be pdf or html' }, 400);
+		}
+
+		const invoice = await getInvoiceById(projectId, invoiceId, canSeeDrafts(c));
+		const filename = `invoice-${invoice.number}.${format}`;
+
+		if (format === 'html') {
+			return c.body(renderInvoiceHtml(invoice), 200, {
+				'Content-Type': 'text/html; charset=utf-8',
+				'Content-Disposition': `attachment; filename="${filename}"`
+			});
+		}
+
+		return c.body(renderInvoicePdf(invoice), 200, {
+			'Content-Type': 'application/pdf',
+			'Content-Disposition': `attachment; filename="${filename}"`
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 404);
+	}
+});
+
+// Send invoice to client (creator only)
+invoices.post('/:invoiceId/send', requireProjectCreator, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const invoiceId = c.req.param('invoiceId');
+
+		const invoice = await sendInvoice(projectId, invoiceId, user.id);
+
+		return c.json({
+			message: 'Invoice sent',
+			invoice
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Mark invoice as paid (client member only)
+invoices.post('/:invoiceId/pay', requireProjectAccess, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const invoiceId = c.req.param('invoiceId');
+
+		const invoice = await markInvoicePaid(projectId, invoiceId, user.id);
+
+		return c.json({
+			message: 'Invoice marked as paid',
+			invoice
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Void invoice (creator only)
+invoices.post('/:invoiceId/void', requireProjectCreator, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const invoiceId = c.req.param('invoiceId');
+
+		const invoice = await voidInvoice(projectId, invoiceId, user.id);
+
+		return c.json({
+			message: 'Invoice voided',
+			invoice
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+export default invoices;
@@ -0,0 +1,150 @@
+import { Hono } from 'hono';
+import {
+	getProjectMilestones,
+	getMilestoneById,
+	createMilestone,
+	reorderMilestones,
+	submitMilestone,
+	approveMilestone,
+	requestMilestoneChanges
+} from '../services/milestone.service.js';
+import { requireProjectAccess, requireProjectPermission } from '../middleware/auth.js';
+
+// Mounted under /api/projects/:projectId/milestones (auth applied by project routes)
+const milestones = new Hono();
+
+// Get all milestones for project
+milestones.get('/', requireProjectAccess, async (c) => {
+	try {
+		const projectId = c.req.param('projectId');
+		const list = await getProjectMilestones(projectId);
+
+		return c.json({
+			count: list.length,
+			milestones: list
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Create milestone (owner or collaborator)
+milestones.post('/', requireProjectPermission('milestones'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const { title, description, amount, currency, due_date } = await c.req.json();
+
+		if (!title) {
+			return c.json({ error: 'Milestone title is required' }, 400);
+		}
+
+		const milestone = await createMilestone(projectId, user.id, {
+			title,
+			description,
+			amount,
+			currency,
+			due_date
+		});
+
+		return c.json({
+			message: 'Milestone created',
+			milestone
+		}, 201);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Reorder milestones (owner or collaborator)
+milestones.put('/reorder', requireProjectPermission('milestones'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const { milestone_ids } = await c.req.json();
+
+		const list = await reorderMilestones(projectId, user.id, milestone_ids);
+
+		return c.json({
+			message: 'Milestones reordered',
+			milestones: list
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Get milestone details
+milestones.get('/:milestoneId', requireProjectAccess, async (c) => {
+	try {
+		const projectId = c.req.param('projectId');
+		const milestoneId = c.req.param('milestoneId');
+		const milestone = await getMilestoneById(projectId, milestoneId);
+
+		return c.json({ milestone });
+	} catch (error) {
+		return c.json({ error: error.message }, 404);
+	}
+});
+
+// Submit milestone for approval (owner or collaborator)
+milestones.post('/:milestoneId/submit', requireProjectPermission('milestones'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const milestoneId = c.req.param('milestoneId');
+		const { note } = await c.req.json().catch(() => ({}));
+
+		const milestone = await submitMilestone(projectId, milestoneId, user.id, note || null);
+
+		return c.json({
+			message: 'Milestone submitted for approval',
+			milestone
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Approve milestone (client role only)
+milestones.post('/:milestoneId/approve', requireProjectAccess, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const milestoneId = c.req.param('milestoneId');
+
+		const milestone = await approveMilestone(projectId, milestoneId, user.id);
+
+		return c.json({
+			message: 'Milestone approved',
+			milestone
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Request changes on milestone (client role only)
+milestones.post('/:milestoneId/request-changes', requireProjectAccess, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const milestoneId = c.req.param('milestoneId');
+		const { note } = await c.req.json();
+
+		if (!note) {
+			return c.json({ error: 'Note is required' }, 400);
+		}
+
+		const milestone = await requestMilestoneChanges(projectId, milestoneId, user.id, note);
+
+		return c.json({
+			message: 'Changes requested',
+			milestone
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+export default milestones;
@@ -0,0 +1,120 @@
+import { Hono } from 'hono';
+import {
+	getNotifications,
+	markNotificationRead,
+	markAllNotificationsRead,
+	getNotificationPreferences,
+	updateNotificationPreferences
+} from '../services/notification.service.js';
+import { getEmailPreferences, updateEmailPreferences } from '../services/email.service.js';
+import { authMiddleware } from '../middleware/auth.js';
+
+const notifications = new Hono();
+
+// All notification routes require authentication
+notifications.use('/*', authMiddleware);
+
+// Get notifications (?unread=true, ?category=friends)
+notifications.get('/', async (c) => {
+	try {
+		const user = c.get('user');
+		const limit = parseInt(c.req.query('limit') || '50');
+		const offset = parseInt(c.req.query('offset') || '0');
+
+		const result = await getNotifications(user.id, {
+			limit,
+			offset,
+			unreadOnly: c.req.query('unread') === 'true',
+			category: c.req.query('category') || null
+		});
+
+		return c.json({
+			count: result.notifications.length,
+			...result
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Get category preferences
+notifications.get('/preferences', async (c) => {
+	try {
+		const user = c.get('user');
+		const preferences = await getNotificationPreferences(user.id);
+		return c.json({ preferences });
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Update category preferences ({ friends: false, reactions: true })
+notifications.put('/preferences', async (c) => {
+	try {
+		const user = c.get('user');
+		const body = await c.req.json();
+
+		const preferences = await updateNotificationPreferences(user.id, body);
+		return c.json({
+			message: 'Preferences updated',
+			preferences
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Get email digest settings
+notifications.get('/email-preferences', async (c) => {
+	try {
+		const user = c.get('user');
+		const preferences = await getEmailPreferences(user.id);
+		return c.json({ preferences });
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Update email digest settings ({ frequency: 'hourly', unread_messages: false, categories: { reactions: true } })
+notifications.put('/email-preferences', async (c) => {
+	try {
+		const user = c.get('user');
+		const body = await c.req.json();
+
+		const preferences = await updateEmailPreferences(user.id, body);
+		return c.json({
+			message: 'Email preferences updated',
+			preferences
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Mark all notifications as read (optional { category })
+notifications.put('/read-all', async (c) => {
+	try {
+		const user = c.get('user');
+		const { category } = await c.req.json().catch(() => ({}));
+
+		const result = await markAllNotificationsRead(user.id, category || null);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Mark notification as read
+notifications.put('/:notificationId/read', async (c) => {
+	try {
+		const user = c.get('user');
+		const notificationId = c.req.param('notificationId');
+
+		const result = await markNotificationRead(user.id, notificationId);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 404);
+	}
+});
+
+export default notifications;
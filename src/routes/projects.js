@@ -4,8 +4,6 @@ import {
 	getFreelancerProjects,
 	getUserJoinedProjects,
 	getProjectById,
-	getProjectByInviteCode,
-	joinProject,
 	leaveProject,
 	sendProjectMessage,
 	getProjectMessages,
@@ -17,71 +15,101 @@ import {
 	deleteProject,
 	reactToProjectMessage,
 	getProjectMessageReactions,
-	removeProjectMessageReaction
+	removeProjectMessageReaction,
+	editProjectMessage,
+	markProjectMessagesRead,
+	getProjectMessageReaders,
+	getProjectThread
 } from '../services/project.service.js';
-import { authMiddleware, requireFreelancer, requireProjectAccess, requireProjectCreator, authOrGuestWithInvite } from '../middleware/auth.js';
+import { followThread, unfollowThread } from '../services/thread.service.js';
+import { getUserMentions } from '../services/mention.service.js';
+import { getProjectPermissions, updateProjectMemberRole } from '../services/projectRole.service.js';
+import {
+	createProjectInvite,
+	getProjectInvites,
+	revokeProjectInvite,
+	getProjectInviteUses,
+	getInvitePreview,
+	acceptProjectInvite
+} from '../services/projectInvite.service.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { rateLimits } from '../config/rateLimits.js';
+import { authMiddleware, requireFreelancer, requireVerifiedEmail, requireProjectAccess, requireProjectCreator, requireProjectPermission, authOrGuestWithInvite } from '../middleware/auth.js';
+import milestones from './milestones.js';
+import invoices from './invoices.js';
+import time from './time.js';
+import board from './board.js';
+import { getDeviceInfo } from '../utils/device.js';
+import { getTypingUsers } from '../services/typing.service.js';
 
 const projects = new Hono();
 
 // Public endpoint - Join project via invite code (no auth required initially)
-projects.get('/join/:inviteCode', async (c) => {
+projects.get('/join/:inviteCode', rateLimit('invite-join', rateLimits.inviteJoin), async (c) => {
 	try {
 		const inviteCode = c.req.param('inviteCode');
-		const project = await getProjectByInviteCode(inviteCode);
+		const preview = await getInvitePreview(inviteCode);
 
-		return c.json({
-			project: {
-				id: project.id,
-				name: project.name,
-				description: project.description,
-				creator_name: project.creator_name,
-				invite_code: project.invite_code
-			}
-		});
+		return c.json(preview);
 	} catch (error) {
 		return c.json({ error: error.message }, 404);
 	}
 });
 
 // Join project via invite code (with guest user creation)
-projects.post('/join/:inviteCode', async (c) => {
+// Returning guests send their current bearer token to join as themselves; without one a new guest is created
+projects.post('/join/:inviteCode', rateLimit('invite-join', rateLimits.inviteJoin), async (c, next) => {
+	if (c.req.header('Authorization')) {
+		return authMiddleware(c, next);
+	}
+	await next();
+}, async (c) => {
 	try {
 		const inviteCode = c.req.param('inviteCode');
 		const { name, guest_id } = await c.req.json();
+		const currentUser = c.get('user');
 
-		if (!name && !guest_id) {
-			return c.json({ error: 'Name or guest_id is required' }, 400);
+		// A bare guest_id proves nothing - ids are visible to other project members
+		if (guest_id && (!currentUser || currentUser.id !== guest_id)) {
+			return c.json({ error: 'Sign in as this guest to join with guest_id' }, 401);
 		}
 
-		// Get project
-		const project = await getProjectByInviteCode(inviteCode);
+		if (!name && !currentUser) {
+			return c.json({ error: 'Name is required' }, 400);
+		}
+
+		if (currentUser && !currentUser.is_guest) {
+			return c.json({ error: 'Registered accounts join with POST /api/projects/join/:inviteCode/accept' }, 400);
+		}
 
-		// If guest_id provided, use it; otherwise create new guest
-		let userId = guest_id;
+		// Check the invite before creating anyone
+		const { invite } = await getInvitePreview(inviteCode);
 
-		if (!userId) {
-			// Create guest user
-			const { createGuestUser } = await import('../services/user.service.js');
-			const guestUser = await createGuestUser({ name, username: name });
-			userId = guestUser.id;
+		if (invite.email_required) {
+			return c.json({ error: 'This invite is for a registered account, please sign in to accept it' }, 400);
 		}
 
+		// Resuming guest keeps the session it signed in with
+		if (currentUser) {
+			const result = await acceptProjectInvite(inviteCode, currentUser);
+			return c.json({ ...result, user_id: currentUser.id });
+		}
+
+		// Create guest user
+		const { createGuestUser } = await import('../services/user.service.js');
+		const guestUser = await createGuestUser({ name, username: name });
+
 		// Join project
-		await joinProject(project.id, userId);
+		const result = await acceptProjectInvite(inviteCode, guestUser);
 
-		// Generate token for guest
-		const { generateToken } = await import('../utils/jwt.js');
-		const token = generateToken({ userId, role: 'guest', projectId: project.id });
+		// Start a session for the guest
+		const { createSession } = await import('../services/session.service.js');
+		const tokens = await createSession(guestUser, getDeviceInfo(c));
 
 		return c.json({
-			message: 'Joined project successfully',
-			project: {
-				id: project.id,
-				name: project.name,
-				description: project.description
-			},
-			user_id: userId,
-			token
+			...result,
+			user_id: guestUser.id,
+			...tokens
 		});
 	} catch (error) {
 		return c.json({ error: error.message }, 400);
@@ -91,8 +119,27 @@ projects.post('/join/:inviteCode', async (c) => {
 // All other routes require authentication
 projects.use('/*', authMiddleware);
 
+// Join project via invite code as the signed-in user
+projects.post('/join/:inviteCode/accept', rateLimit('invite-join', rateLimits.inviteJoin), async (c) => {
+	try {
+		const user = c.get('user');
+		const inviteCode = c.req.param('inviteCode');
+
+		const result = await acceptProjectInvite(inviteCode, user);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Project sub-resources
+projects.route('/:projectId/milestones', milestones);
+projects.route('/:projectId/invoices', invoices);
+projects.route('/:projectId/time', time);
+projects.route('/:projectId/board', board);
+
 // Create project (freelancers only)
-projects.post('/', requireFreelancer, async (c) => {
+projects.post('/', requireFreelancer, requireVerifiedEmail, async (c) => {
 	try {
 		const user = c.get('user');
 		const { name, description } = await c.req.json();
@@ -103,9 +150,16 @@ projects.post('/', requireFreelancer, async (c) => {
 
 		const project = await createProject(user.id, name, description);
 
+		// Every project starts with an unlimited invite link
+		const invite = await createProjectInvite(project.id, user.id);
+
 		return c.json({
 			message: 'Project created successfully',
-			project
+			project: {
+				...project,
+				invite_code: invite.code,
+				invite_url: invite.url
+			}
 		}, 201);
 	} catch (error) {
 		return c.json({ error: error.message }, 400);
@@ -136,30 +190,125 @@ projects.get('/', async (c) => {
 	}
 });
 
+// Get mentions of current user across all projects
+projects.get('/mentions', async (c) => {
+	try {
+		const user = c.get('user');
+		const limit = parseInt(c.req.query('limit') || '50');
+		const offset = parseInt(c.req.query('offset') || '0');
+		const unreadOnly = c.req.query('unread') === 'true';
+
+		const mentions = await getUserMentions(user.id, { limit, offset, unreadOnly });
+
+		return c.json({
+			count: mentions.length,
+			mentions
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
 // Get project details (requires project access)
 projects.get('/:projectId', requireProjectAccess, async (c) => {
 	try {
 		const project = c.get('project'); // Set by requireProjectAccess middleware
 		const isCreator = c.get('isProjectCreator');
+		const role = c.get('projectRole') || null;
 
 		return c.json({
 			project,
-			is_creator: isCreator
+			is_creator: isCreator,
+			role,
+			permissions: getProjectPermissions(role)
 		});
 	} catch (error) {
 		return c.json({ error: error.message }, 404);
 	}
 });
 
-// Generate new invite link (creator only)
-projects.post('/:projectId/invite', requireProjectCreator, async (c) => {
+// Create invite link (owner or collaborator) - older clients call this without a body
+projects.post('/:projectId/invite', requireProjectPermission('invite'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const options = await c.req.json().catch(() => ({}));
+
+		const invite = await createProjectInvite(projectId, user.id, options);
+
+		return c.json({
+			invite_code: invite.code,
+			invite_url: invite.url,
+			invite
+		}, 201);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Get project's invite links (owner or collaborator)
+projects.get('/:projectId/invites', requireProjectPermission('invite'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const invites = await getProjectInvites(projectId, user.id);
+
+		return c.json({
+			count: invites.length,
+			invites
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Create invite link with optional role, max_uses, expires_at and email lock (owner or collaborator)
+projects.post('/:projectId/invites', requireProjectPermission('invite'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const { role, max_uses, expires_at, email } = await c.req.json().catch(() => ({}));
+
+		const invite = await createProjectInvite(projectId, user.id, { role, max_uses, expires_at, email });
+
+		return c.json({
+			message: 'Invite created',
+			invite
+		}, 201);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Revoke invite link (owner or the invite's creator)
+projects.delete('/:projectId/invites/:inviteId', requireProjectPermission('invite'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const inviteId = c.req.param('inviteId');
+
+		const invite = await revokeProjectInvite(projectId, inviteId, user.id);
+
+		return c.json({
+			message: 'Invite revoked',
+			invite
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Get who joined through an invite link (owner or collaborator)
+projects.get('/:projectId/invites/:inviteId/uses', requireProjectPermission('invite'), async (c) => {
 	try {
-		const project = c.get('project');
-		const inviteUrl = `${process.env.APP_URL || 'http://localhost:3000'}/join/${project.invite_code}`;
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const inviteId = c.req.param('inviteId');
+		const uses = await getProjectInviteUses(projectId, inviteId, user.id);
 
 		return c.json({
-			invite_code: project.invite_code,
-			invite_url: inviteUrl
+			count: uses.length,
+			uses
 		});
 	} catch (error) {
 		return c.json({ error: error.message }, 400);
@@ -206,7 +355,7 @@ projects.post('/:projectId/archive', requireProjectCreator, async (c) => {
 });
 
 // Send message in project
-projects.post('/:projectId/messages', requireProjectAccess, async (c) => {
+projects.post('/:projectId/messages', requireProjectAccess, rateLimit('messages', rateLimits.messageSend, 'user'), async (c) => {
 	try {
 		const user = c.get('user');
 		const projectId = c.req.param('projectId');
@@ -215,7 +364,8 @@ projects.post('/:projectId/messages', requireProjectAccess, async (c) => {
 			type = 'text',
 			reply_to,
 			caption,
-			secret_to
+			secret_to,
+			thread_root_id
 		} = await c.req.json();
 
 		if (!content) {
@@ -229,7 +379,8 @@ projects.post('/:projectId/messages', requireProjectAccess, async (c) => {
 			type,
 			reply_to,
 			caption,
-			secret_to
+			secret_to,
+			thread_root_id
 		);
 
 		return c.json({
@@ -241,6 +392,29 @@ projects.post('/:projectId/messages', requireProjectAccess, async (c) => {
 	}
 });
 
+// Edit own text message in project
+projects.put('/:projectId/messages/:messageId', requireProjectPermission('post'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const messageId = c.req.param('messageId');
+		const { content } = await c.req.json();
+
+		if (!content) {
+			return c.json({ error: 'Message content is required' }, 400);
+		}
+
+		const message = await editProjectMessage(projectId, messageId, user.id, content);
+
+		return c.json({
+			message: 'Message edited',
+			data: message
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
 // Get message count for project
 projects.get('/:projectId/messages/count', requireProjectAccess, async (c) => {
 	try {
@@ -279,6 +453,86 @@ projects.get('/:projectId/messages', requireProjectAccess, async (c) => {
 	}
 });
 
+// Mark project messages as read (up to message_id, default: newest)
+projects.put('/:projectId/read', requireProjectAccess, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const { message_id } = await c.req.json().catch(() => ({}));
+
+		const result = await markProjectMessagesRead(projectId, user.id, message_id || null);
+
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Get thread (root message and replies)
+projects.get('/:projectId/messages/:messageId/thread', requireProjectAccess, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const messageId = c.req.param('messageId');
+		const limit = parseInt(c.req.query('limit') || '100');
+		const offset = parseInt(c.req.query('offset') || '0');
+
+		const thread = await getProjectThread(projectId, messageId, user.id, limit, offset);
+
+		return c.json({
+			count: thread.replies.length,
+			...thread
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Follow thread (get thread_reply notifications)
+projects.post('/:projectId/messages/:messageId/thread/follow', requireProjectAccess, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const messageId = c.req.param('messageId');
+
+		const result = await followThread(projectId, messageId, user.id);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Unfollow thread
+projects.delete('/:projectId/messages/:messageId/thread/follow', requireProjectAccess, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const messageId = c.req.param('messageId');
+
+		const result = await unfollowThread(projectId, messageId, user.id);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Get members who have read a message
+projects.get('/:projectId/messages/:messageId/reads', requireProjectAccess, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const messageId = c.req.param('messageId');
+		const readers = await getProjectMessageReaders(projectId, messageId, user.id);
+
+		return c.json({
+			count: readers.length,
+			readers
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
 // Get project members
 projects.get('/:projectId/members', requireProjectAccess, async (c) => {
 	try {
@@ -294,6 +548,45 @@ projects.get('/:projectId/members', requireProjectAccess, async (c) => {
 	}
 });
 
+// Change member's project role (owner only)
+projects.put('/:projectId/members/:userId/role', requireProjectPermission('manage_members'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const memberId = c.req.param('userId');
+		const { role } = await c.req.json();
+
+		if (!role) {
+			return c.json({ error: 'Role is required' }, 400);
+		}
+
+		const member = await updateProjectMemberRole(projectId, user.id, memberId, role);
+
+		return c.json({
+			message: 'Member role updated',
+			member
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Get members currently typing (for clients without WebSocket)
+projects.get('/:projectId/typing', requireProjectAccess, async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const typing = await getTypingUsers(user.id, { project_id: projectId });
+
+		return c.json({
+			count: typing.length,
+			typing
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
 // React to project message
 projects.post('/:projectId/messages/:messageId/react', requireProjectAccess, async (c) => {
 	try {
@@ -0,0 +1,46 @@
+import { Hono } from 'hono';
+import { searchMessages } from '../services/search.service.js';
+import { authMiddleware } from '../middleware/auth.js';
+
+const search = new Hono();
+
+// All search routes require authentication
+search.use('/*', authMiddleware);
+
+// Search messages across chats and projects
+// ?q=...&scope=all|chats|projects&sender_id=&type=&from=&to=&project_id=&session_id=&sort=relevance|recent&limit=&offset=
+search.get('/messages', async (c) => {
+	try {
+		const user = c.get('user');
+		const q = c.req.query('q');
+
+		if (!q || !q.trim()) {
+			return c.json({ error: 'Search query (q) is required' }, 400);
+		}
+
+		const from = c.req.query('from');
+		const to = c.req.query('to');
+
+		const result = await searchMessages(user.id, q, {
+			scope: c.req.query('scope'),
+			senderId: c.req.query('sender_id'),
+			type: c.req.query('type'),
+			from: from ? parseInt(from) : undefined,
+			to: to ? parseInt(to) : undefined,
+			projectId: c.req.query('project_id'),
+			sessionId: c.req.query('session_id'),
+			sort: c.req.query('sort'),
+			limit: c.req.query('limit'),
+			offset: c.req.query('offset')
+		});
+
+		return c.json({
+			count: result.results.length,
+			...result
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+export default search;
@@ -0,0 +1,255 @@
+import { sendMessage, editMessage, reactToMessage, markMessagesAsRead } from '../services/chat.service.js';
+import {
+	sendProjectMessage,
+	editProjectMessage,
+	reactToProjectMessage,
+	markProjectMessagesRead,
+	getProjectById,
+	getProjectMembers,
+	getProjectMessages
+} from '../services/project.service.js';
+import { startTyping, stopTyping } from '../services/typing.service.js';
+import { followThread, unfollowThread } from '../services/thread.service.js';
+import { getUserById } from '../services/user.service.js';
+import { rateLimits } from '../config/rateLimits.js';
+
+// WebSocket command protocol
+//   request: { type: 'command', id: '<client id>', command: 'send_message', data: { ... } }
+//   success: { type: 'ack', id, command, data }
+//   failure: { type: 'error', id, command, error: { code, message, retry_after? } }
+// Ids are client-generated; re-sending an id within COMMAND_DEDUP_MS returns the
+// original result instead of running the command twice (safe retries after reconnect).
+// After join_project_channel a socket only receives message events (new messages, edits,
+// reactions, threads, read cursors, typing) for the project channels it has open.
+
+const COMMAND_DEDUP_MS = 5 * 60 * 1000;
+const MAX_COMMAND_ID_LENGTH = 100;
+
+// userId:commandId -> { promise, expiresAt }
+const recentCommands = new Map();
+
+// Error carrying a protocol error code
+function commandError(code, message) {
+	const error = new Error(message);
+	error.code = code;
+	return error;
+}
+
+// Require fields in command data
+function requireFields(data, fields) {
+	for (const field of fields) {
+		if (data[field] === undefined || data[field] === null || data[field] === '') {
+			throw commandError('invalid_request', `${field} is required`);
+		}
+	}
+}
+
+// Count a message send against the per-user limit (same counter as the REST routes)
+function assertMessageRate(userId) {
+	const result = rateLimits.messageSend.hit(`messages:${userId}`);
+	if (!result.allowed) {
+		const error = commandError('rate_limited', 'Too many messages, please slow down');
+		error.retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+		throw error;
+	}
+}
+
+// Check user is a member of the project
+async function assertProjectMember(projectId, userId) {
+	const members = await getProjectMembers(projectId);
+	if (!members.some(member => member.user_id === userId)) {
+		throw commandError('forbidden', 'You are not a member of this project');
+	}
+	return members;
+}
+
+// Command handlers: (ws, user, data) -> ack data
+const commands = {
+	// Send P2P chat message
+	async send_message(ws, user, data) {
+		requireFields(data, ['session_id', 'content']);
+		const type = data.type || 'text';
+
+		if (!['text', 'image', 'gif', 'audio'].includes(type)) {
+			throw commandError('invalid_request', 'Invalid message type');
+		}
+
+		assertMessageRate(user.id);
+
+		const message = await sendMessage(
+			data.session_id,
+			user.id,
+			data.content,
+			type,
+			data.reply_to_message_id || null,
+			data.caption || null
+		);
+		return { message };
+	},
+
+	// Send project message (secret_to makes it a secret message, thread_root_id a thread reply)
+	async send_project_message(ws, user, data) {
+		requireFields(data, ['project_id', 'content']);
+		assertMessageRate(user.id);
+
+		const message = await sendProjectMessage(
+			data.project_id,
+			user.id,
+			data.content,
+			data.type || 'text',
+			data.reply_to || null,
+			data.caption || null,
+			data.secret_to || null,
+			data.thread_root_id || null
+		);
+		return { message };
+	},
+
+	// Edit own text message (chat, or project when project_id is given)
+	async edit_message(ws, user, data) {
+		requireFields(data, ['message_id', 'content']);
+
+		const message = data.project_id
+			? await editProjectMessage(data.project_id, data.message_id, user.id, data.content)
+			: await editMessage(data.message_id, user.id, data.content);
+		return { message };
+	},
+
+	// React to a chat message, or a project message when project_id is given
+	async react(ws, user, data) {
+		requireFields(data, ['message_id', 'emoji']);
+
+		const reaction = data.project_id
+			? await reactToProjectMessage(data.message_id, user.id, data.emoji)
+			: await reactToMessage(data.message_id, user.id, data.emoji);
+		return { reaction };
+	},
+
+	// Mark chat messages as read
+	async mark_read(ws, user, data) {
+		requireFields(data, ['session_id']);
+		return markMessagesAsRead(data.session_id, user.id);
+	},
+
+	// Follow a thread (message_id is the thread root)
+	async follow_thread(ws, user, data) {
+		requireFields(data, ['project_id', 'message_id']);
+		return followThread(data.project_id, data.message_id, user.id);
+	},
+
+	async unfollow_thread(ws, user, data) {
+		requireFields(data, ['project_id', 'message_id']);
+		return unfollowThread(data.project_id, data.message_id, user.id);
+	},
+
+	// Move project read cursor (to message_id, default: newest message)
+	async mark_project_read(ws, user, data) {
+		requireFields(data, ['project_id']);
+		return markProjectMessagesRead(data.project_id, user.id, data.message_id || null);
+	},
+
+	// Open a project channel on this socket - returns project, members and recent messages
+	async join_project_channel(ws, user, data) {
+		requireFields(data, ['project_id']);
+
+		const members = await assertProjectMember(data.project_id, user.id);
+		const project = await getProjectById(data.project_id);
+		const messages = await getProjectMessages(data.project_id, user.id, parseInt(data.limit) || 50, 0);
+
+		// From now on this socket only gets message events for the channels it has open
+		ws.data.channelMode = true;
+		ws.data.projectChannels.add(data.project_id);
+
+		return { project, members, messages };
+	},
+
+	// Close a project channel on this socket, stops its message events (does not leave the project)
+	async leave_project_channel(ws, user, data) {
+		requireFields(data, ['project_id']);
+		ws.data.projectChannels.delete(data.project_id);
+		return { project_id: data.project_id };
+	},
+
+	async typing_start(ws, user, data) {
+		return startTyping(user.id, { session_id: data.session_id, project_id: data.project_id });
+	},
+
+	async typing_stop(ws, user, data) {
+		return stopTyping(user.id, { session_id: data.session_id, project_id: data.project_id });
+	}
+};
+
+// Run command, sharing the result with retries of the same id
+function runCommand(ws, frame) {
+	const key = `${ws.data.userId}:${frame.id}`;
+	const now = Date.now();
+	const cached = recentCommands.get(key);
+
+	if (cached && cached.expiresAt > now) {
+		return cached.promise;
+	}
+
+	const promise = (async () => {
+		// Re-check on every command - the account may have been banned since auth
+		const user = await getUserById(ws.data.userId);
+		if (user.role === 'banned') {
+			throw commandError('forbidden', 'Your account is banned');
+		}
+
+		return commands[frame.command](ws, user, frame.data || {});
+	})();
+
+	recentCommands.set(key, { promise, expiresAt: now + COMMAND_DEDUP_MS });
+
+	// Failed commands may be retried with the same id
+	promise.catch(() => recentCommands.delete(key));
+
+	return promise;
+}
+
+// Drop expired dedup entries
+function pruneRecentCommands() {
+	const now = Date.now();
+	for (const [key, entry] of recentCommands) {
+		if (entry.expiresAt <= now) {
+			recentCommands.delete(key);
+		}
+	}
+}
+
+// Handle a { type: 'command' } frame and reply with an ack or error frame
+export async function handleSocketCommand(ws, frame) {
+	const reply = (payload) => {
+		if (ws.readyState === WebSocket.OPEN) {
+			ws.send(JSON.stringify({ id: frame.id ?? null, command: frame.command ?? null, ...payload }));
+		}
+	};
+
+	try {
+		if (!ws.data.authenticated) {
+			throw commandError('not_authenticated', 'Authenticate before sending commands');
+		}
+
+		if (typeof frame.id !== 'string' || !frame.id || frame.id.length > MAX_COMMAND_ID_LENGTH) {
+			throw commandError('invalid_request', `Command id must be a string of up to ${MAX_COMMAND_ID_LENGTH} characters`);
+		}
+
+		if (!Object.hasOwn(commands, frame.command)) {
+			throw commandError('unknown_command', `Unknown command "${frame.command}"`);
+		}
+
+		pruneRecentCommands();
+
+		const data = await runCommand(ws, frame);
+		reply({ type: 'ack', data });
+	} catch (error) {
+		reply({
+			type: 'error',
+			error: {
+				code: error.code || 'command_failed',
+				message: error.message,
+				...(error.retryAfter ? { retry_after: error.retryAfter } : {})
+			}
+		});
+	}
+}
@@ -0,0 +1,162 @@
+import { Hono } from 'hono';
+import {
+	getActiveTimers,
+	startTimer,
+	stopTimer,
+	addManualEntry,
+	deleteTimeEntry,
+	getTimeEntries,
+	getWeeklyTimesheet,
+	exportTimeEntriesCsv
+} from '../services/time.service.js';
+import { requireProjectAccess, requireProjectPermission } from '../middleware/auth.js';
+
+// Mounted under /api/projects/:projectId/time (auth applied by project routes)
+const time = new Hono();
+
+time.use('/*', requireProjectAccess);
+
+// Parse timestamp query param (epoch ms or YYYY-MM-DD)
+function parseTimeQuery(value) {
+	if (!value) return undefined;
+	const timestamp = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+	if (Number.isNaN(timestamp)) {
+		throw new Error(`Invalid date: ${value}`);
+	}
+	return timestamp;
+}
+
+// Get completed time entries
+time.get('/', async (c) => {
+	try {
+		const projectId = c.req.param('projectId');
+		const entries = await getTimeEntries(projectId, {
+			userId: c.req.query('user_id'),
+			from: parseTimeQuery(c.req.query('from')),
+			to: parseTimeQuery(c.req.query('to'))
+		});
+
+		return c.json({
+			count: entries.length,
+			entries
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Get running timers (who is working now)
+time.get('/active', async (c) => {
+	try {
+		const projectId = c.req.param('projectId');
+		const timers = await getActiveTimers(projectId);
+
+		return c.json({
+			count: timers.length,
+			timers
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Start timer
+time.post('/start', requireProjectPermission('time'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const { description } = await c.req.json().catch(() => ({}));
+
+		const entry = await startTimer(projectId, user.id, description || null);
+
+		return c.json({
+			message: 'Timer started',
+			entry
+		}, 201);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Stop timer
+time.post('/stop', async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+
+		const entry = await stopTimer(projectId, user.id);
+
+		return c.json({
+			message: 'Timer stopped',
+			entry
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Add manual time entry
+time.post('/entries', requireProjectPermission('time'), async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const data = await c.req.json();
+
+		const entry = await addManualEntry(projectId, user.id, data);
+
+		return c.json({
+			message: 'Time entry added',
+			entry
+		}, 201);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Delete own time entry
+time.delete('/entries/:entryId', async (c) => {
+	try {
+		const user = c.get('user');
+		const projectId = c.req.param('projectId');
+		const entryId = c.req.param('entryId');
+
+		const result = await deleteTimeEntry(projectId, entryId, user.id);
+		return c.json(result);
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Weekly timesheet (?week_of=YYYY-MM-DD, defaults to current week)
+time.get('/timesheet', async (c) => {
+	try {
+		const projectId = c.req.param('projectId');
+		const weekOf = parseTimeQuery(c.req.query('week_of')) || Date.now();
+
+		const timesheet = await getWeeklyTimesheet(projectId, weekOf, c.req.query('user_id'));
+		return c.json({ timesheet });
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+// Export time entries as CSV
+time.get('/export', async (c) => {
+	try {
+		const projectId = c.req.param('projectId');
+		const csv = await exportTimeEntriesCsv(projectId, {
+			userId: c.req.query('user_id'),
+			from: parseTimeQuery(c.req.query('from')),
+			to: parseTimeQuery(c.req.query('to'))
+		});
+
+		return c.body(csv, 200, {
+			'Content-Type': 'text/csv; charset=utf-8',
+			'Content-Disposition': `attachment; filename="time-${projectId}.csv"`
+		});
+	} catch (error) {
+		return c.json({ error: error.message }, 400);
+	}
+});
+
+export default time;
@@ -0,0 +1,171 @@
+import { randomBytes } from 'crypto';
+import { db } from '../config/db.js';
+import { generateId } from '../utils/idGenerator.js';
+import { hashToken } from '../utils/jwt.js';
+import { hashPassword } from '../utils/password.js';
+import { rateLimitError } from '../utils/rateLimiter.js';
+import { renderVerifyEmail, renderPasswordResetEmail } from '../utils/emailTemplates.js';
+import { sendEmail } from './email.service.js';
+import { logoutUser } from './user.service.js';
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Single-use email tokens: how long they live and how many a user can request per hour
+const TOKEN_SETTINGS = {
+	verify_email: { ttl: 24 * 60 * 60 * 1000, path: '/verify-email' },
+	reset_password: { ttl: 60 * 60 * 1000, path: '/reset-password' }
+};
+const TOKENS_PER_HOUR = 3;
+
+// Time until user may request another token of this purpose (0 = now)
+async function getTokenRetryAfter(userId, purpose) {
+	const hourAgo = Date.now() - 60 * 60 * 1000;
+
+	const result = await db.execute({
+		sql: 'SELECT COUNT(*) as count, MIN(created_at) as oldest FROM account_tokens WHERE user_id = ? AND purpose = ? AND created_at > ?',
+		args: [userId, purpose, hourAgo]
+	});
+
+	const { count, oldest } = result.rows[0];
+	return count >= TOKENS_PER_HOUR ? oldest - hourAgo : 0;
+}
+
+// Create token and return the link to email (the raw token is never stored)
+async function issueToken(user, purpose) {
+	const token = randomBytes(32).toString('base64url');
+	const now = Date.now();
+	const { ttl, path } = TOKEN_SETTINGS[purpose];
+
+	await db.execute({
+		sql: `INSERT INTO account_tokens (id, user_id, purpose, token_hash, email, created_at, expires_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`,
+		args: [generateId(), user.id, purpose, hashToken(token), user.email, now, now + ttl]
+	});
+
+	return `${APP_URL}${path}?token=${token}`;
+}
+
+// Use up a token - fails if unknown, expired, already used, or the email changed since it was sent
+async function consumeToken(token, purpose) {
+	const now = Date.now();
+
+	const result = await db.execute({
+		sql: `SELECT t.*, u.email as current_email
+          FROM account_tokens t
+          JOIN users u ON t.user_id = u.id
+          WHERE t.token_hash = ? AND t.purpose = ?`,
+		args: [hashToken(String(token || '')), purpose]
+	});
+
+	const row = result.rows[0];
+
+	if (!row || row.used_at || row.expires_at < now || row.email !== row.current_email) {
+		throw new Error('Invalid or expired token');
+	}
+
+	// Conditional update so two requests racing on one token can't both succeed
+	const claimed = await db.execute({
+		sql: 'UPDATE account_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+		args: [now, row.id]
+	});
+
+	if (claimed.rowsAffected === 0) {
+		throw new Error('Invalid or expired token');
+	}
+
+	return row;
+}
+
+// Send email verification link to a registered user
+export async function sendVerificationEmail(userId) {
+	const result = await db.execute({
+		sql: 'SELECT id, username, name, email, is_guest, email_verified_at FROM users WHERE id = ?',
+		args: [userId]
+	});
+
+	const user = result.rows[0];
+
+	if (!user || user.is_guest || !user.email) {
+		throw new Error('This account has no email address');
+	}
+
+	if (user.email_verified_at) {
+		throw new Error('Email is already verified');
+	}
+
+	const retryAfter = await getTokenRetryAfter(userId, 'verify_email');
+	if (retryAfter > 0) {
+		throw rateLimitError('Too many verification emails, try again later', retryAfter);
+	}
+
+	const link = await issueToken(user, 'verify_email');
+	await sendEmail(user.email, renderVerifyEmail(user, link, TOKEN_SETTINGS.verify_email.ttl / (60 * 60 * 1000)));
+
+	return { message: 'Verification email sent' };
+}
+
+// Confirm email address with token from the verification email
+export async function verifyEmail(token) {
+	const row = await consumeToken(token, 'verify_email');
+
+	await db.execute({
+		sql: 'UPDATE users SET email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ?',
+		args: [Date.now(), row.user_id]
+	});
+
+	return { message: 'Email verified successfully' };
+}
+
+// Email password reset link - always resolves the same way so it can't be used
+// to find out which addresses have accounts
+export async function requestPasswordReset(email) {
+	const response = { message: 'If an account exists for that email, a reset link has been sent' };
+
+	const result = await db.execute({
+		sql: 'SELECT id, username, name, email, is_guest FROM users WHERE email = ?',
+		args: [String(email || '').trim()]
+	});
+
+	const user = result.rows[0];
+
+	if (!user || user.is_guest || await getTokenRetryAfter(user.id, 'reset_password') > 0) {
+		return response;
+	}
+
+	// A transport error must not reach the caller - it would show the account exists
+	try {
+		const link = await issueToken(user, 'reset_password');
+		await sendEmail(user.email, renderPasswordResetEmail(user, link, TOKEN_SETTINGS.reset_password.ttl / (60 * 1000)));
+	} catch (error) {
+		console.error('Password reset email failed:', error);
+	}
+
+	return response;
+}
+
+// Set new password with token from the reset email and sign out every device
+export async function resetPassword(token, password) {
+	if (!password) {
+		throw new Error('New password is required');
+	}
+
+	const row = await consumeToken(token, 'reset_password');
+	const now = Date.now();
+
+	// Receiving the reset email proves the address too; older reset links stop working
+	await db.batch([
+		{
+			sql: 'UPDATE users SET password = ?, email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ?',
+			args: [await hashPassword(password), now, row.user_id]
+		},
+		{
+			sql: `UPDATE account_tokens SET used_at = ?
+            WHERE user_id = ? AND purpose = 'reset_password' AND used_at IS NULL`,
+			args: [now, row.user_id]
+		}
+	], 'write');
+
+	await logoutUser(row.user_id);
+
+	return { message: 'Password reset successfully, please log in again' };
+}
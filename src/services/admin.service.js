@@ -1,5 +1,7 @@
 import { db } from '../config/db.js';
 import { generateId } from '../utils/idGenerator.js';
+import { notifyUser } from './notification.service.js';
+import { sendBanNoticeEmail, sendUnbanNoticeEmail } from './email.service.js';
 
 // ==================== USER MANAGEMENT ====================
 
@@ -183,6 +185,18 @@ export async function banUser(userId, bannedBy, durationDays, reason = 'Violatio
 		args: [userId]
 	});
 
+	// Persisted so the user sees it when the ban ends
+	const notification = await notifyUser(userId, {
+		category: 'moderation',
+		type: 'account_banned',
+		title: isPermanent ? 'Your account has been permanently banned' : `Your account has been banned for ${durationDays} days`,
+		body: reason,
+		data: { ban_id: banId, expires_at: expiresAt, is_permanent: isPermanent },
+		actorId: bannedBy
+	});
+
+	await sendBanNoticeEmail(userId, { reason, is_permanent: isPermanent, expires_at: expiresAt }, notification?.id);
+
 	return {
 		message: 'User banned successfully',
 		ban_id: banId,
@@ -232,6 +246,15 @@ export async function unbanUser(userId, unbannedBy) {
 		args: [userId]
 	});
 
+	const notification = await notifyUser(userId, {
+		category: 'moderation',
+		type: 'account_unbanned',
+		title: 'Your ban has been lifted',
+		actorId: unbannedBy
+	});
+
+	await sendUnbanNoticeEmail(userId, notification?.id);
+
 	return { message: 'User unbanned successfully' };
 }
 
@@ -269,6 +292,13 @@ export async function promoteUser(userId, newRole) {
 		args: [newRole, userId]
 	});
 
+	await notifyUser(userId, {
+		category: 'moderation',
+		type: 'role_changed',
+		title: `You are now a ${newRole}`,
+		data: { role: newRole }
+	});
+
 	return { message: `User promoted to ${newRole}` };
 }
 
@@ -0,0 +1,471 @@
+import { db } from '../config/db.js';
+import { generateId } from '../utils/idGenerator.js';
+import { broadcastBoardUpdate } from './websocket.service.js';
+
+const DEFAULT_COLUMNS = ['To do', 'In progress', 'Done'];
+
+// Parse labels column (JSON array) on card rows
+function formatCard(card) {
+	let labels = [];
+	try {
+		labels = JSON.parse(card.labels || '[]');
+	} catch {
+		labels = [];
+	}
+	return { ...card, labels };
+}
+
+// Validate labels input (array of short strings)
+function normalizeLabels(labels) {
+	if (labels === undefined || labels === null) {
+		return [];
+	}
+	if (!Array.isArray(labels) || labels.some(label => typeof label !== 'string' || !label.trim())) {
+		throw new Error('Labels must be an array of non-empty strings');
+	}
+	return [...new Set(labels.map(label => label.trim().substring(0, 32)))];
+}
+
+// Check that assignee is a project member
+async function assertAssignee(projectId, assigneeId) {
+	if (!assigneeId) return;
+
+	const member = await db.execute({
+		sql: 'SELECT id FROM project_members WHERE project_id = ? AND user_id = ?',
+		args: [projectId, assigneeId]
+	});
+
+	if (member.rows.length === 0) {
+		throw new Error('Assignee must be a project member');
+	}
+}
+
+// Send board update without failing the request
+async function notifyBoard(projectId, action, data, userId) {
+	try {
+		await broadcastBoardUpdate(projectId, action, data, userId);
+	} catch (wsError) {
+		console.error('WebSocket board broadcast failed:', wsError);
+	}
+}
+
+// Get column in project
+async function getColumn(projectId, columnId) {
+	const result = await db.execute({
+		sql: 'SELECT * FROM board_columns WHERE id = ? AND project_id = ?',
+		args: [columnId, projectId]
+	});
+
+	if (result.rows.length === 0) {
+		throw new Error('Column not found');
+	}
+
+	return result.rows[0];
+}
+
+// Create default columns the first time a board is opened
+async function ensureDefaultColumns(projectId) {
+	const existing = await db.execute({
+		sql: 'SELECT COUNT(*) as count FROM board_columns WHERE project_id = ?',
+		args: [projectId]
+	});
+
+	if (Number(existing.rows[0]?.count) > 0) {
+		return;
+	}
+
+	const now = Date.now();
+
+	await db.batch(DEFAULT_COLUMNS.map((name, index) => ({
+		sql: 'INSERT INTO board_columns (id, project_id, name, position, created_at) VALUES (?, ?, ?, ?, ?)',
+		args: [generateId(), projectId, name, index, now]
+	})), 'write');
+}
+
+// Get full board (columns with their cards)
+export async function getBoard(projectId) {
+	await ensureDefaultColumns(projectId);
+
+	const columns = await db.execute({
+		sql: 'SELECT * FROM board_columns WHERE project_id = ? ORDER BY position ASC',
+		args: [projectId]
+	});
+
+	const cards = await db.execute({
+		sql: `SELECT bc.*, u.username as assignee_username, u.name as assignee_name,
+              (SELECT COUNT(*) FROM board_card_comments WHERE card_id = bc.id) as comment_count
+              FROM board_cards bc
+              LEFT JOIN users u ON bc.assignee_id = u.id
+              WHERE bc.project_id = ?
+              ORDER BY bc.position ASC`,
+		args: [projectId]
+	});
+
+	// Group cards by column
+	const cardsByColumn = {};
+	cards.rows.forEach(card => {
+		if (!cardsByColumn[card.column_id]) {
+			cardsByColumn[card.column_id] = [];
+		}
+		cardsByColumn[card.column_id].push(formatCard(card));
+	});
+
+	return columns.rows.map(column => ({
+		...column,
+		cards: cardsByColumn[column.id] || []
+	}));
+}
+
+// Create column (appended to the right)
+export async function createColumn(projectId, userId, name) {
+	if (!name) {
+		throw new Error('Column name is required');
+	}
+
+	await ensureDefaultColumns(projectId);
+
+	const positionResult = await db.execute({
+		sql: 'SELECT COALESCE(MAX(position), -1) + 1 as next_position FROM board_columns WHERE project_id = ?',
+		args: [projectId]
+	});
+
+	const column = {
+		id: generateId(),
+		project_id: projectId,
+		name,
+		position: positionResult.rows[0]?.next_position || 0,
+		created_at: Date.now()
+	};
+
+	await db.execute({
+		sql: 'INSERT INTO board_columns (id, project_id, name, position, created_at) VALUES (?, ?, ?, ?, ?)',
+		args: [column.id, projectId, name, column.position, column.created_at]
+	});
+
+	await notifyBoard(projectId, 'column_created', { column }, userId);
+
+	return column;
+}
+
+// Rename column
+export async function renameColumn(projectId, columnId, userId, name) {
+	if (!name) {
+		throw new Error('Column name is required');
+	}
+
+	await getColumn(projectId, columnId);
+
+	await db.execute({
+		sql: 'UPDATE board_columns SET name = ? WHERE id = ?',
+		args: [name, columnId]
+	});
+
+	const column = await getColumn(projectId, columnId);
+	await notifyBoard(projectId, 'column_updated', { column }, userId);
+
+	return column;
+}
+
+// Delete column (must be empty)
+export async function deleteColumn(projectId, columnId, userId) {
+	const column = await getColumn(projectId, columnId);
+
+	const cards = await db.execute({
+		sql: 'SELECT COUNT(*) as count FROM board_cards WHERE column_id = ?',
+		args: [columnId]
+	});
+
+	if (Number(cards.rows[0]?.count) > 0) {
+		throw new Error('Move or delete the cards in this column first');
+	}
+
+	await db.batch([
+		{
+			sql: 'DELETE FROM board_columns WHERE id = ?',
+			args: [columnId]
+		},
+		{
+			sql: 'UPDATE board_columns SET position = position - 1 WHERE project_id = ? AND position > ?',
+			args: [projectId, column.position]
+		}
+	], 'write');
+
+	await notifyBoard(projectId, 'column_deleted', { column_id: columnId }, userId);
+
+	return { message: 'Column deleted' };
+}
+
+// Get card with comments
+export async function getCardById(projectId, cardId) {
+	const result = await db.execute({
+		sql: `SELECT bc.*, u.username as assignee_username, u.name as assignee_name
+              FROM board_cards bc
+              LEFT JOIN users u ON bc.assignee_id = u.id
+              WHERE bc.id = ? AND bc.project_id = ?`,
+		args: [cardId, projectId]
+	});
+
+	if (result.rows.length === 0) {
+		throw new Error('Card not found');
+	}
+
+	const comments = await db.execute({
+		sql: `SELECT c.*, u.username, u.name
+              FROM board_card_comments c
+              JOIN users u ON c.user_id = u.id
+              WHERE c.card_id = ?
+              ORDER BY c.created_at ASC`,
+		args: [cardId]
+	});
+
+	return {
+		...formatCard(result.rows[0]),
+		comments: comments.rows
+	};
+}
+
+// Create card (appended to the bottom of the column)
+export async function createCard(projectId, userId, data) {
+	const { column_id, title, description, assignee_id, due_date, labels, source_message_id } = data;
+
+	if (!title) {
+		throw new Error('Card title is required');
+	}
+
+	// Default to the first column
+	let columnId = column_id;
+	if (!columnId) {
+		await ensureDefaultColumns(projectId);
+		const first = await db.execute({
+			sql: 'SELECT id FROM board_columns WHERE project_id = ? ORDER BY position ASC LIMIT 1',
+			args: [projectId]
+		});
+		columnId = first.rows[0].id;
+	} else {
+		await getColumn(projectId, columnId);
+	}
+
+	await assertAssignee(projectId, assignee_id);
+	const cardLabels = normalizeLabels(labels);
+
+	const positionResult = await db.execute({
+		sql: 'SELECT COALESCE(MAX(position), -1) + 1 as next_position FROM board_cards WHERE column_id = ?',
+		args: [columnId]
+	});
+
+	const cardId = generateId();
+	const now = Date.now();
+
+	await db.execute({
+		sql: `INSERT INTO board_cards
+              (id, project_id, column_id, title, description, position, assignee_id, due_date, labels, source_message_id, created_by, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+		args: [
+			cardId,
+			projectId,
+			columnId,
+			title,
+			description || null,
+			positionResult.rows[0]?.next_position || 0,
+			assignee_id || null,
+			due_date || null,
+			JSON.stringify(cardLabels),
+			source_message_id || null,
+			userId,
+			now,
+			now
+		]
+	});
+
+	const card = await getCardById(projectId, cardId);
+	await notifyBoard(projectId, 'card_created', { card }, userId);
+
+	return card;
+}
+
+// Turn a project message into a card
+export async function createCardFromMessage(projectId, userId, messageId, data = {}) {
+	const result = await db.execute({
+		sql: `SELECT pm.*, u.username as sender_username
+              FROM project_messages pm
+              JOIN users u ON pm.sender_id = u.id
+              WHERE pm.id = ? AND pm.project_id = ?`,
+		args: [messageId, projectId]
+	});
+
+	if (result.rows.length === 0) {
+		throw new Error('Message not found');
+	}
+
+	const message = result.rows[0];
+
+	// Secret messages are only visible to sender and recipient
+	if (message.type === 'secret' && message.sender_id !== userId && message.recipient_id !== userId) {
+		throw new Error('Message not found');
+	}
+
+	const text = message.type === 'text' || message.type === 'secret'
+		? message.content
+		: (message.caption || `${message.type} from @${message.sender_username}`);
+
+	return createCard(projectId, userId, {
+		...data,
+		title: data.title || text.split('\n')[0].substring(0, 120),
+		description: data.description ?? `From @${message.sender_username}:\n${text}`,
+		source_message_id: messageId
+	});
+}
+
+// Update card details
+export async function updateCard(projectId, cardId, userId, data) {
+	await getCardById(projectId, cardId);
+
+	const fields = [];
+	const args = [];
+
+	if (data.title !== undefined) {
+		if (!data.title) {
+			throw new Error('Card title is required');
+		}
+		fields.push('title = ?');
+		args.push(data.title);
+	}
+	if (data.description !== undefined) {
+		fields.push('description = ?');
+		args.push(data.description || null);
+	}
+	if (data.assignee_id !== undefined) {
+		await assertAssignee(projectId, data.assignee_id);
+		fields.push('assignee_id = ?');
+		args.push(data.assignee_id || null);
+	}
+	if (data.due_date !== undefined) {
+		fields.push('due_date = ?');
+		args.push(data.due_date || null);
+	}
+	if (data.labels !== undefined) {
+		fields.push('labels = ?');
+		args.push(JSON.stringify(normalizeLabels(data.labels)));
+	}
+
+	if (fields.length === 0) {
+		throw new Error('No fields to update');
+	}
+
+	fields.push('updated_at = ?');
+	args.push(Date.now(), cardId);
+
+	await db.execute({
+		sql: `UPDATE board_cards SET ${fields.join(', ')} WHERE id = ?`,
+		args
+	});
+
+	const card = await getCardById(projectId, cardId);
+	await notifyBoard(projectId, 'card_updated', { card }, userId);
+
+	return card;
+}
+
+// Move card to a column/position (positions are zero-based)
+export async function moveCard(projectId, cardId, userId, columnId, position) {
+	const card = await getCardById(projectId, cardId);
+	const targetColumnId = columnId || card.column_id;
+	await getColumn(projectId, targetColumnId);
+
+	const countResult = await db.execute({
+		sql: 'SELECT COUNT(*) as count FROM board_cards WHERE column_id = ? AND id != ?',
+		args: [targetColumnId, cardId]
+	});
+
+	// Clamp position to the end of the target column
+	const maxPosition = Number(countResult.rows[0]?.count || 0);
+	const targetPosition = position === undefined || position === null
+		? maxPosition
+		: Math.max(0, Math.min(parseInt(position), maxPosition));
+
+	if (Number.isNaN(targetPosition)) {
+		throw new Error('Position must be a number');
+	}
+
+	await db.batch([
+		// Close the gap in the old column
+		{
+			sql: 'UPDATE board_cards SET position = position - 1 WHERE column_id = ? AND position > ?',
+			args: [card.column_id, card.position]
+		},
+		// Open a gap in the target column
+		{
+			sql: 'UPDATE board_cards SET position = position + 1 WHERE column_id = ? AND position >= ? AND id != ?',
+			args: [targetColumnId, targetPosition, cardId]
+		},
+		{
+			sql: 'UPDATE board_cards SET column_id = ?, position = ?, updated_at = ? WHERE id = ?',
+			args: [targetColumnId, targetPosition, Date.now(), cardId]
+		}
+	], 'write');
+
+	const moved = await getCardById(projectId, cardId);
+	await notifyBoard(projectId, 'card_moved', {
+		card: moved,
+		from_column_id: card.column_id,
+		from_position: card.position
+	}, userId);
+
+	return moved;
+}
+
+// Delete card
+export async function deleteCard(projectId, cardId, userId) {
+	const card = await getCardById(projectId, cardId);
+
+	await db.batch([
+		{
+			sql: 'DELETE FROM board_cards WHERE id = ?',
+			args: [cardId]
+		},
+		{
+			sql: 'UPDATE board_cards SET position = position - 1 WHERE column_id = ? AND position > ?',
+			args: [card.column_id, card.position]
+		}
+	], 'write');
+
+	await notifyBoard(projectId, 'card_deleted', { card_id: cardId, column_id: card.column_id }, userId);
+
+	return { message: 'Card deleted' };
+}
+
+// Add comment to card
+export async function addCardComment(projectId, cardId, userId, content) {
+	if (!content) {
+		throw new Error('Comment content is required');
+	}
+
+	await getCardById(projectId, cardId);
+
+	const commentId = generateId();
+	const now = Date.now();
+
+	await db.execute({
+		sql: 'INSERT INTO board_card_comments (id, card_id, user_id, content, created_at) VALUES (?, ?, ?, ?, ?)',
+		args: [commentId, cardId, userId, content, now]
+	});
+
+	const userResult = await db.execute({
+		sql: 'SELECT username, name FROM users WHERE id = ?',
+		args: [userId]
+	});
+
+	const comment = {
+		id: commentId,
+		card_id: cardId,
+		user_id: userId,
+		username: userResult.rows[0]?.username,
+		name: userResult.rows[0]?.name,
+		content,
+		created_at: now
+	};
+
+	await notifyBoard(projectId, 'comment_added', { card_id: cardId, comment }, userId);
+
+	return comment;
+}
@@ -3,11 +3,15 @@ import { generateId } from '../utils/idGenerator.js';
 import {
 	broadcastNewMessage,
 	broadcastChatReaction,
-	broadcastChatReactionRemoval
+	broadcastChatReactionRemoval,
+	broadcastChatMessageEdit,
+	broadcastMessageStatus,
+	onRemoteChatDelivery
 } from './websocket.service.js';
+import { validateMessageEdit, editHistoryStatement } from './messageEdit.service.js';
+import { notifyUser } from './notification.service.js';
 import { extractPublicIdFromUrl, isPublicId } from './media.service.js';
 import { deleteMedia, deleteMultipleMedia } from '../utils/mediaProcessor.js';
-import { sendToUser } from './websocket.service.js';
 
 // Create or get existing chat session
 export async function createOrGetChatSession(user1_id, user2_id) {
@@ -182,12 +186,22 @@ export async function sendMessage(session_id, sender_id, content, type = 'text',
 		caption: caption,
 		created_at: now,
 		is_read: false,
+		status: 'sent',
 		reply_to_message_id: reply_to_message_id,
 		...(replyDetails || {})
 	};
 
-	// Broadcast to other user via WebSocket
-	broadcastNewMessage(session, messageData, senderUsername);
+	// Broadcast to other user via WebSocket - an open socket on this instance means it was delivered
+	// (sockets on other instances are marked by the instance they're on, see onRemoteChatDelivery)
+	if (await broadcastNewMessage(session, messageData, senderUsername)) {
+		try {
+			const receipt = await markMessagesDelivered(otherUserId, { message_ids: [messageId] });
+			messageData.status = 'delivered';
+			messageData.delivered_at = receipt.delivered_at;
+		} catch (error) {
+			console.error('Delivery receipt failed:', error);
+		}
+	}
 
 	return messageData;
 }
@@ -236,6 +250,47 @@ export async function deleteMessage(message_id, user_id) {
 	}
 }
 
+// Edit own text message (within the edit window, previous version kept in message_edits)
+export async function editMessage(message_id, user_id, content) {
+	const messageResult = await db.execute({
+		sql: `SELECT m.*, cs.user1_id, cs.user2_id
+          FROM messages m
+          JOIN chat_sessions cs ON m.session_id = cs.id
+          WHERE m.id = ? AND cs.is_active = 1`,
+		args: [message_id]
+	});
+
+	if (messageResult.rows.length === 0) {
+		throw new Error('Message not found');
+	}
+
+	const message = messageResult.rows[0];
+	const newContent = validateMessageEdit(message, user_id, content, ['text']);
+	const now = Date.now();
+
+	await db.batch([
+		editHistoryStatement('chat', message, user_id, now),
+		{
+			sql: 'UPDATE messages SET content = ?, is_edited = 1, edited_at = ? WHERE id = ?',
+			args: [newContent, now, message_id]
+		}
+	], 'write');
+
+	const edited = {
+		id: message.id,
+		session_id: message.session_id,
+		sender_id: message.sender_id,
+		content: newContent,
+		type: message.type,
+		is_edited: true,
+		edited_at: now
+	};
+
+	await broadcastChatMessageEdit(message, edited);
+
+	return edited;
+}
+
 // Get messages for a specific user in a chat session
 export async function getMessages(session_id, user_id) {
 	// Get session to determine which user is requesting
@@ -256,6 +311,9 @@ export async function getMessages(session_id, user_id) {
 		throw new Error('User is not part of this chat session');
 	}
 
+	// Fetching the chat syncs it to the device - record delivery first
+	await markMessagesDelivered(user_id, { session_id });
+
 	// Get messages visible to this user
 	const visibilityField = isUser1 ? 'visible_to_user1' : 'visible_to_user2';
 
@@ -369,33 +427,152 @@ export async function getUserChats(user_id) {
 	});
 }
 
-// Mark messages as read
+// Mark messages sent to a user as delivered and send delivery receipts to their senders
+// Scoped by session_id / message_ids, otherwise covers every active chat of the user
+export async function markMessagesDelivered(user_id, { session_id = null, message_ids = null } = {}) {
+	const conditions = [
+		"m.status = 'sent'",
+		'm.sender_id != ?',
+		'(cs.user1_id = ? OR cs.user2_id = ?)',
+		'cs.is_active = 1'
+	];
+	const args = [user_id, user_id, user_id];
+
+	if (session_id) {
+		conditions.push('m.session_id = ?');
+		args.push(session_id);
+	}
+
+	if (message_ids) {
+		if (message_ids.length === 0) {
+			return { delivered: 0, delivered_at: null };
+		}
+		conditions.push(`m.id IN (${message_ids.map(() => '?').join(',')})`);
+		args.push(...message_ids);
+	}
+
+	const pending = await db.execute({
+		sql: `SELECT m.id, m.session_id, m.sender_id
+          FROM messages m
+          JOIN chat_sessions cs ON m.session_id = cs.id
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY m.created_at ASC`,
+		args
+	});
+
+	if (pending.rows.length === 0) {
+		return { delivered: 0, delivered_at: null };
+	}
+
+	const now = Date.now();
+	const ids = pending.rows.map(row => row.id);
+
+	await db.execute({
+		sql: `UPDATE messages SET status = 'delivered', delivered_at = ?
+          WHERE status = 'sent' AND id IN (${ids.map(() => '?').join(',')})`,
+		args: [now, ...ids]
+	});
+
+	// One receipt per chat - the sender is always the other participant
+	const bySession = new Map();
+	for (const row of pending.rows) {
+		if (!bySession.has(row.session_id)) {
+			bySession.set(row.session_id, { sender_id: row.sender_id, message_ids: [] });
+		}
+		bySession.get(row.session_id).message_ids.push(row.id);
+	}
+
+	for (const [sessionId, receipt] of bySession) {
+		await broadcastMessageStatus(receipt.sender_id, sessionId, {
+			status: 'delivered',
+			message_ids: receipt.message_ids,
+			delivered_at: now
+		});
+	}
+
+	return { delivered: ids.length, delivered_at: now };
+}
+
+// Recipients connected to another instance get the message through the fan-out - that instance marks delivery
+onRemoteChatDelivery((user_id, message_id) => markMessagesDelivered(user_id, { message_ids: [message_id] }));
+
+// Mark messages as read, move the reader's read cursor and send read receipts to the sender
 export async function markMessagesAsRead(session_id, user_id) {
+	// Only participants can mark a chat as read
+	const sessionResult = await db.execute({
+		sql: 'SELECT user1_id, user2_id FROM chat_sessions WHERE id = ?',
+		args: [session_id]
+	});
+
+	if (sessionResult.rows.length === 0) {
+		throw new Error('Chat session not found');
+	}
+
+	const session = sessionResult.rows[0];
+	const isUser1 = session.user1_id === user_id;
+
+	if (!isUser1 && session.user2_id !== user_id) {
+		throw new Error('User is not part of this chat session');
+	}
+
 	// First, get the messages that will be marked as read
 	const unreadMessages = await db.execute({
 		sql: `SELECT id, sender_id FROM messages 
-              WHERE session_id = ? AND sender_id != ? AND is_read = 0`,
+              WHERE session_id = ? AND sender_id != ? AND is_read = 0
+              ORDER BY created_at ASC`,
 		args: [session_id, user_id]
 	});
 
-	// Mark them as read in database
-	await db.execute({
-		sql: `UPDATE messages 
-              SET is_read = 1 
-              WHERE session_id = ? AND sender_id != ? AND is_read = 0`,
-		args: [session_id, user_id]
+	// Newest message the reader can see becomes their read cursor
+	const visibilityField = isUser1 ? 'visible_to_user1' : 'visible_to_user2';
+	const lastMessageResult = await db.execute({
+		sql: `SELECT id FROM messages WHERE session_id = ? AND ${visibilityField} = 1
+          ORDER BY created_at DESC LIMIT 1`,
+		args: [session_id]
 	});
+	const lastReadMessageId = lastMessageResult.rows[0]?.id || null;
+
+	const now = Date.now();
+	const unreadIds = unreadMessages.rows.map(msg => msg.id);
+	const statements = [];
+
+	// Mark them as read in database (read implies delivered)
+	if (unreadIds.length > 0) {
+		statements.push({
+			sql: `UPDATE messages
+            SET is_read = 1, read_at = ?, delivered_at = COALESCE(delivered_at, ?),
+                status = CASE WHEN status = 'deleted' THEN status ELSE 'read' END
+            WHERE id IN (${unreadIds.map(() => '?').join(',')})`,
+			args: [now, now, ...unreadIds]
+		});
+	}
 
-	// Broadcast read receipt to each sender via WebSocket
-	for (const msg of unreadMessages.rows) {
-		sendToUser(msg.sender_id, {
-			type: 'message_read',
-			message_id: msg.id,
-			session_id: session_id
+	if (lastReadMessageId) {
+		statements.push({
+			sql: `UPDATE chat_sessions SET ${isUser1 ? 'user1_last_read_message_id' : 'user2_last_read_message_id'} = ? WHERE id = ?`,
+			args: [lastReadMessageId, session_id]
 		});
 	}
 
-	return { message: 'Messages marked as read' };
+	if (statements.length > 0) {
+		await db.batch(statements, 'write');
+	}
+
+	// Broadcast read receipt to the sender via WebSocket
+	if (unreadIds.length > 0) {
+		await broadcastMessageStatus(unreadMessages.rows[0].sender_id, session_id, {
+			status: 'read',
+			message_ids: unreadIds,
+			read_at: now,
+			last_read_message_id: lastReadMessageId
+		});
+	}
+
+	return {
+		message: 'Messages marked as read',
+		read: unreadIds.length,
+		last_read_message_id: lastReadMessageId
+	};
 }
 
 // ✅ NEW: React to P2P message
@@ -452,6 +629,14 @@ export async function reactToMessage(messageId, userId, emoji) {
 		console.error('WebSocket reaction broadcast failed:', wsError);
 	}
 
+	await notifyUser(message.sender_id, {
+		category: 'reactions',
+		type: 'chat_reaction',
+		title: `${reaction.username} reacted ${emoji} to your message`,
+		data: { session_id: message.session_id, message_id: messageId, reaction_id: reactionId },
+		actorId: userId
+	});
+
 	return reaction;
 }
 
@@ -0,0 +1,336 @@
+import { db } from '../config/db.js';
+import { mailTransport, MAIL_FROM } from '../config/mail.js';
+import { NOTIFICATION_CATEGORIES } from './notification.service.js';
+import { renderDigestEmail, renderBanNoticeEmail, renderUnbanNoticeEmail } from '../utils/emailTemplates.js';
+
+// How often each digest frequency sends at most
+export const DIGEST_FREQUENCIES = {
+	off: null,
+	hourly: 60 * 60 * 1000,
+	daily: 24 * 60 * 60 * 1000,
+	weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_FREQUENCY = 'daily';
+
+// Categories included in digests when the user hasn't chosen
+const EMAIL_DEFAULT_CATEGORIES = ['friends', 'milestones', 'mentions', 'moderation'];
+
+// Users checked per scheduler run, and items listed per digest
+const DIGEST_BATCH_SIZE = 200;
+const DIGEST_MAX_NOTIFICATIONS = 50;
+const DIGEST_MESSAGE_PREVIEWS = 3;
+
+// Users seen within this window count as online and get no digest.
+// is_online only changes on logout, so this goes by last_seen_at (refreshed while a socket is open) and last login.
+const DIGEST_ACTIVE_WINDOW_MS = 5 * 60 * 1000;
+
+// Send one email through the configured transport
+export async function sendEmail(to, { subject, text, html }) {
+	return mailTransport.send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+// Get user with an address we can mail (null for guests and users without a verified email -
+// anyone can register a stranger's address, who must not get this account's mail)
+async function getMailableUser(userId) {
+	const result = await db.execute({
+		sql: 'SELECT id, email, email_verified_at, username, name, is_guest FROM users WHERE id = ?',
+		args: [userId]
+	});
+
+	const user = result.rows[0];
+	return user && user.email && user.email_verified_at && !user.is_guest ? user : null;
+}
+
+// Get categories the user wants in digests
+async function getEmailCategories(userId) {
+	const result = await db.execute({
+		sql: 'SELECT category, email_enabled FROM notification_preferences WHERE user_id = ? AND email_enabled IS NOT NULL',
+		args: [userId]
+	});
+
+	const saved = new Map(result.rows.map(row => [row.category, Boolean(row.email_enabled)]));
+
+	return Object.keys(NOTIFICATION_CATEGORIES).filter(category =>
+		saved.has(category) ? saved.get(category) : EMAIL_DEFAULT_CATEGORIES.includes(category)
+	);
+}
+
+// Get user's digest schedule and per-category email settings
+export async function getEmailPreferences(userId) {
+	const settingsResult = await db.execute({
+		sql: 'SELECT frequency, unread_messages, last_sent_at FROM email_digest_settings WHERE user_id = ?',
+		args: [userId]
+	});
+
+	const settings = settingsResult.rows[0];
+	const enabled = await getEmailCategories(userId);
+
+	return {
+		frequency: settings?.frequency || DEFAULT_FREQUENCY,
+		unread_messages: settings ? Boolean(settings.unread_messages) : true,
+		last_sent_at: settings?.last_sent_at || null,
+		categories: Object.entries(NOTIFICATION_CATEGORIES).map(([category, description]) => ({
+			category,
+			description,
+			email_enabled: enabled.includes(category)
+		}))
+	};
+}
+
+// Update digest settings - data: { frequency?, unread_messages?, categories?: { category: true/false } }
+export async function updateEmailPreferences(userId, data) {
+	const { frequency, unread_messages, categories } = data || {};
+	const categoryEntries = Object.entries(categories || {});
+
+	if (frequency === undefined && unread_messages === undefined && categoryEntries.length === 0) {
+		throw new Error('No preferences given');
+	}
+
+	if (frequency !== undefined && !(frequency in DIGEST_FREQUENCIES)) {
+		throw new Error(`Frequency must be one of: ${Object.keys(DIGEST_FREQUENCIES).join(', ')}`);
+	}
+
+	if (unread_messages !== undefined && typeof unread_messages !== 'boolean') {
+		throw new Error('unread_messages must be true or false');
+	}
+
+	for (const [category, enabled] of categoryEntries) {
+		if (!NOTIFICATION_CATEGORIES[category]) {
+			throw new Error(`Unknown notification category "${category}"`);
+		}
+		if (typeof enabled !== 'boolean') {
+			throw new Error(`Email preference for "${category}" must be true or false`);
+		}
+	}
+
+	const now = Date.now();
+	const statements = categoryEntries.map(([category, enabled]) => ({
+		sql: `INSERT INTO notification_preferences (user_id, category, email_enabled, updated_at)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT(user_id, category) DO UPDATE SET email_enabled = excluded.email_enabled, updated_at = excluded.updated_at`,
+		args: [userId, category, enabled ? 1 : 0, now]
+	}));
+
+	if (frequency !== undefined || unread_messages !== undefined) {
+		statements.push({
+			sql: `INSERT INTO email_digest_settings (user_id, frequency, unread_messages, updated_at)
+            VALUES (?, COALESCE(?, ?), COALESCE(?, 1), ?)
+            ON CONFLICT(user_id) DO UPDATE SET
+              frequency = COALESCE(?, frequency),
+              unread_messages = COALESCE(?, unread_messages),
+              updated_at = excluded.updated_at`,
+			args: [
+				userId,
+				frequency ?? null,
+				DEFAULT_FREQUENCY,
+				unread_messages === undefined ? null : (unread_messages ? 1 : 0),
+				now,
+				frequency ?? null,
+				unread_messages === undefined ? null : (unread_messages ? 1 : 0)
+			]
+		});
+	}
+
+	await db.batch(statements, 'write');
+
+	return getEmailPreferences(userId);
+}
+
+// Send a moderation notice right away and keep it out of the next digest
+// Never throws - a failed email must not fail the moderation action
+async function sendImmediateNotice(userId, notificationId, render) {
+	try {
+		const user = await getMailableUser(userId);
+		if (!user) {
+			return false;
+		}
+
+		await sendEmail(user.email, render(user));
+
+		if (notificationId) {
+			await db.execute({
+				sql: 'UPDATE notifications SET emailed_at = ? WHERE id = ?',
+				args: [Date.now(), notificationId]
+			});
+		}
+
+		return true;
+	} catch (error) {
+		console.error('Notice email failed:', error);
+		return false;
+	}
+}
+
+// Email ban notice - ban: { reason, is_permanent, expires_at }
+export async function sendBanNoticeEmail(userId, ban, notificationId = null) {
+	return sendImmediateNotice(userId, notificationId, user => renderBanNoticeEmail(user, ban));
+}
+
+// Email notice that a ban was lifted
+export async function sendUnbanNoticeEmail(userId, notificationId = null) {
+	return sendImmediateNotice(userId, notificationId, user => renderUnbanNoticeEmail(user));
+}
+
+// Unread channel messages per project, newer than both the read cursor and the last digest
+async function getUnreadProjectMessages(userId, since) {
+	const result = await db.execute({
+		sql: `SELECT p.id, p.name, COUNT(*) as unread_count, MAX(msg.created_at) as latest_at,
+              MAX(COALESCE(mem.last_read_at, mem.joined_at), ?) as unread_after
+              FROM project_members mem
+              JOIN projects p ON p.id = mem.project_id
+              JOIN project_messages msg ON msg.project_id = mem.project_id
+                AND msg.created_at > MAX(COALESCE(mem.last_read_at, mem.joined_at), ?)
+              WHERE mem.user_id = ? AND msg.sender_id != ? AND msg.deleted_at IS NULL
+                AND msg.thread_root_id IS NULL
+                AND (msg.type != 'secret' OR msg.recipient_id = ?)
+              GROUP BY p.id
+              ORDER BY latest_at DESC`,
+		args: [since, since, userId, userId, userId]
+	});
+
+	const projects = [];
+
+	for (const project of result.rows) {
+		const previews = await db.execute({
+			sql: `SELECT msg.content, COALESCE(u.name, u.username) as sender_name
+                FROM project_messages msg
+                JOIN users u ON msg.sender_id = u.id
+                WHERE msg.project_id = ? AND msg.created_at > ? AND msg.sender_id != ?
+                  AND msg.deleted_at IS NULL AND msg.thread_root_id IS NULL
+                  AND (msg.type != 'secret' OR msg.recipient_id = ?)
+                ORDER BY msg.created_at DESC
+                LIMIT ?`,
+			args: [project.id, project.unread_after, userId, userId, DIGEST_MESSAGE_PREVIEWS]
+		});
+
+		projects.push({
+			id: project.id,
+			name: project.name,
+			unread_count: project.unread_count,
+			messages: previews.rows.reverse()
+		});
+	}
+
+	return projects;
+}
+
+// Collect everything that goes into a user's next digest
+async function buildDigest(user) {
+	const categories = await getEmailCategories(user.id);
+
+	const notificationsResult = categories.length === 0 ? { rows: [] } : await db.execute({
+		sql: `SELECT * FROM notifications
+          WHERE user_id = ? AND is_read = 0 AND emailed_at IS NULL
+            AND category IN (${categories.map(() => '?').join(', ')})
+          ORDER BY created_at DESC
+          LIMIT ?`,
+		args: [user.id, ...categories, DIGEST_MAX_NOTIFICATIONS]
+	});
+
+	const notifications = notificationsResult.rows;
+	const includeMessages = user.unread_messages === null || Boolean(user.unread_messages);
+
+	return {
+		projects: includeMessages ? await getUnreadProjectMessages(user.id, user.last_sent_at || 0) : [],
+		friendRequests: notifications.filter(n => n.type === 'friend_request'),
+		milestones: notifications.filter(n => n.category === 'milestones'),
+		other: notifications.filter(n => n.type !== 'friend_request' && n.category !== 'milestones'),
+		notificationIds: notifications.map(n => n.id)
+	};
+}
+
+// Send digest to one user if something is waiting (returns true when sent)
+async function sendDigest(user, now) {
+	const digest = await buildDigest(user);
+
+	// Nothing waiting - note the check so the user moves to the back of the queue
+	if (digest.projects.length === 0 && digest.notificationIds.length === 0) {
+		await db.execute({
+			sql: `INSERT INTO email_digest_settings (user_id, frequency, checked_at, updated_at)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET checked_at = excluded.checked_at`,
+			args: [user.id, DEFAULT_FREQUENCY, now, now]
+		});
+		return false;
+	}
+
+	// Claim the digest by moving last_sent_at from the value we read;
+	// another server instance that got there first makes this a no-op
+	const claim = await db.execute({
+		sql: `INSERT INTO email_digest_settings (user_id, frequency, last_sent_at, updated_at)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT(user_id) DO UPDATE SET last_sent_at = excluded.last_sent_at
+          WHERE last_sent_at IS ?`,
+		args: [user.id, DEFAULT_FREQUENCY, now, now, user.last_sent_at]
+	});
+
+	if (claim.rowsAffected === 0) {
+		return false;
+	}
+
+	try {
+		await sendEmail(user.email, renderDigestEmail(user, digest));
+	} catch (error) {
+		// Release the claim so a later run retries, after the others in the queue had their turn
+		await db.execute({
+			sql: 'UPDATE email_digest_settings SET last_sent_at = ?, checked_at = ? WHERE user_id = ? AND last_sent_at = ?',
+			args: [user.last_sent_at, now, user.id, now]
+		});
+		throw error;
+	}
+
+	if (digest.notificationIds.length > 0) {
+		await db.execute({
+			sql: `UPDATE notifications SET emailed_at = ?
+            WHERE id IN (${digest.notificationIds.map(() => '?').join(', ')})`,
+			args: [now, ...digest.notificationIds]
+		});
+	}
+
+	return true;
+}
+
+// Send digests to every offline user whose frequency interval has passed
+export async function sendDueDigests() {
+	const now = Date.now();
+
+	const result = await db.execute({
+		sql: `SELECT u.id, u.email, u.username, u.name,
+              COALESCE(s.frequency, ?) as frequency, s.unread_messages, s.last_sent_at
+              FROM users u
+              LEFT JOIN email_digest_settings s ON s.user_id = u.id
+              WHERE u.email IS NOT NULL AND u.email_verified_at IS NOT NULL AND u.is_guest = 0
+                AND MAX(COALESCE(u.last_seen_at, 0), COALESCE(u.last_login, 0)) < ?
+                AND COALESCE(s.frequency, ?) != 'off'
+                AND MAX(COALESCE(s.last_sent_at, 0), COALESCE(s.checked_at, 0)) <= ? - CASE COALESCE(s.frequency, ?)
+                  WHEN 'hourly' THEN ? WHEN 'daily' THEN ? ELSE ? END
+              ORDER BY MAX(COALESCE(s.last_sent_at, 0), COALESCE(s.checked_at, 0)) ASC
+              LIMIT ?`,
+		args: [
+			DEFAULT_FREQUENCY,
+			now - DIGEST_ACTIVE_WINDOW_MS,
+			DEFAULT_FREQUENCY,
+			now,
+			DEFAULT_FREQUENCY,
+			DIGEST_FREQUENCIES.hourly,
+			DIGEST_FREQUENCIES.daily,
+			DIGEST_FREQUENCIES.weekly,
+			DIGEST_BATCH_SIZE
+		]
+	});
+
+	let sent = 0;
+
+	for (const user of result.rows) {
+		try {
+			if (await sendDigest(user, now)) {
+				sent++;
+			}
+		} catch (error) {
+			console.error(`Digest email to user ${user.id} failed:`, error);
+		}
+	}
+
+	return { checked: result.rows.length, sent };
+}
@@ -1,11 +1,12 @@
 import { db } from '../config/db.js';
 import { generateId } from '../utils/idGenerator.js';
+import { notifyUser } from './notification.service.js';
 
 // Send friend request
 export async function sendFriendRequest(requesterId, recipientId) {
 	// Check if users are guests
 	const requesterResult = await db.execute({
-		sql: 'SELECT is_guest FROM users WHERE id = ?',
+		sql: 'SELECT is_guest, username, name FROM users WHERE id = ?',
 		args: [requesterId]
 	});
 
@@ -39,6 +40,14 @@ export async function sendFriendRequest(requesterId, recipientId) {
 		args: [friendshipId, requesterId, recipientId, now]
 	});
 
+	await notifyUser(recipientId, {
+		category: 'friends',
+		type: 'friend_request',
+		title: `${requesterResult.rows[0]?.name || requesterResult.rows[0]?.username} sent you a friend request`,
+		data: { friendship_id: friendshipId, user_id: requesterId },
+		actorId: requesterId
+	});
+
 	return {
 		id: friendshipId,
 		requester_id: requesterId,
@@ -73,6 +82,19 @@ export async function acceptFriendRequest(userId, friendshipId) {
 		args: [now, friendshipId]
 	});
 
+	const accepterResult = await db.execute({
+		sql: 'SELECT username, name FROM users WHERE id = ?',
+		args: [userId]
+	});
+
+	await notifyUser(friendship.rows[0].requester_id, {
+		category: 'friends',
+		type: 'friend_accepted',
+		title: `${accepterResult.rows[0]?.name || accepterResult.rows[0]?.username} accepted your friend request`,
+		data: { friendship_id: friendshipId, user_id: userId },
+		actorId: userId
+	});
+
 	return { message: 'Friend request accepted' };
 }
 
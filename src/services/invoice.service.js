@@ -0,0 +1,361 @@
+import { db } from '../config/db.js';
+import { generateId } from '../utils/idGenerator.js';
+import { getProjectById, getProjectClientMember, sendSystemMessage } from './project.service.js';
+import { isAdminUser } from './projectRole.service.js';
+import { formatMoney } from '../utils/invoiceRenderer.js';
+
+// Round currency amounts to 2 decimals
+function roundMoney(value) {
+	return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+// Check that user is the project creator (or an admin, like requireProjectCreator)
+async function assertCreator(project, userId) {
+	if (project.creator_id !== userId && !(await isAdminUser(userId))) {
+		throw new Error('Only project creator can manage invoices');
+	}
+}
+
+// Validate manual line items and normalize numbers
+function normalizeItems(items) {
+	return items.map(item => {
+		const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+		const unitPrice = Number(item.unit_price);
+
+		if (!item.description) {
+			throw new Error('Each line item needs a description');
+		}
+		if (!Number.isFinite(quantity) || quantity <= 0) {
+			throw new Error('Line item quantity must be greater than 0');
+		}
+		if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+			throw new Error('Line item unit_price must be a positive number');
+		}
+
+		return {
+			description: item.description,
+			quantity,
+			unit_price: roundMoney(unitPrice),
+			amount: roundMoney(quantity * unitPrice),
+			source_type: 'manual',
+			source_id: null
+		};
+	});
+}
+
+// Build line items from approved milestones that haven't been billed yet
+async function buildMilestoneItems(projectId, milestoneIds, currency) {
+	if (milestoneIds.length === 0) {
+		return [];
+	}
+
+	const placeholders = milestoneIds.map(() => '?').join(',');
+
+	const milestones = await db.execute({
+		sql: `SELECT * FROM project_milestones
+              WHERE project_id = ? AND id IN (${placeholders})`,
+		args: [projectId, ...milestoneIds]
+	});
+
+	if (milestones.rows.length !== new Set(milestoneIds).size) {
+		throw new Error('Milestone not found');
+	}
+
+	const billed = await db.execute({
+		sql: `SELECT ii.source_id FROM invoice_items ii
+              JOIN invoices i ON ii.invoice_id = i.id
+              WHERE ii.source_type = 'milestone' AND i.status != 'void'
+              AND ii.source_id IN (${placeholders})`,
+		args: milestoneIds
+	});
+
+	if (billed.rows.length > 0) {
+		throw new Error('One or more milestones are already on an invoice');
+	}
+
+	return milestones.rows.map(milestone => {
+		if (milestone.status !== 'approved') {
+			throw new Error(`Milestone "${milestone.title}" has not been approved`);
+		}
+		if (milestone.currency !== currency) {
+			throw new Error(`Milestone "${milestone.title}" is billed in ${milestone.currency}, not ${currency}`);
+		}
+
+		return {
+			description: `Milestone: ${milestone.title}`,
+			quantity: 1,
+			unit_price: roundMoney(milestone.amount),
+			amount: roundMoney(milestone.amount),
+			source_type: 'milestone',
+			source_id: milestone.id
+		};
+	});
+}
+
+// Build line items from completed, billable time entries that haven't been billed yet
+async function buildTimeEntryItems(projectId, entryIds, hourlyRate) {
+	if (entryIds.length === 0) {
+		return [];
+	}
+
+	const rate = Number(hourlyRate);
+	if (!Number.isFinite(rate) || rate < 0) {
+		throw new Error('hourly_rate is required when billing time entries');
+	}
+
+	const placeholders = entryIds.map(() => '?').join(',');
+
+	const entries = await db.execute({
+		sql: `SELECT * FROM time_entries
+              WHERE project_id = ? AND id IN (${placeholders})
+              ORDER BY started_at ASC`,
+		args: [projectId, ...entryIds]
+	});
+
+	if (entries.rows.length !== new Set(entryIds).size) {
+		throw new Error('Time entry not found');
+	}
+
+	const billed = await db.execute({
+		sql: `SELECT ii.source_id FROM invoice_items ii
+              JOIN invoices i ON ii.invoice_id = i.id
+              WHERE ii.source_type = 'time_entry' AND i.status != 'void'
+              AND ii.source_id IN (${placeholders})`,
+		args: entryIds
+	});
+
+	if (billed.rows.length > 0) {
+		throw new Error('One or more time entries are already on an invoice');
+	}
+
+	return entries.rows.map(entry => {
+		if (!entry.ended_at) {
+			throw new Error('Running timers cannot be invoiced');
+		}
+		if (!entry.billable) {
+			throw new Error('Non-billable time entries cannot be invoiced');
+		}
+
+		const hours = roundMoney(entry.duration_seconds / 3600);
+		const date = new Date(entry.started_at).toISOString().substring(0, 10);
+
+		return {
+			description: `${entry.description || 'Time'} (${date})`,
+			quantity: hours,
+			unit_price: roundMoney(rate),
+			amount: roundMoney(hours * rate),
+			source_type: 'time_entry',
+			source_id: entry.id
+		};
+	});
+}
+
+// Get all invoices for project (clients only see issued invoices)
+export async function getProjectInvoices(projectId, includeDrafts = false) {
+	const result = await db.execute({
+		sql: `SELECT i.*, u.username as client_username, u.name as client_name
+              FROM invoices i
+              LEFT JOIN users u ON i.client_id = u.id
+              WHERE i.project_id = ? ${includeDrafts ? '' : "AND i.status != 'draft'"}
+              ORDER BY i.created_at DESC`,
+		args: [projectId]
+	});
+
+	return result.rows;
+}
+
+// Get invoice with line items and party details
+export async function getInvoiceById(projectId, invoiceId, includeDrafts = false) {
+	const result = await db.execute({
+		sql: `SELECT i.*,
+              p.name as project_name,
+              creator.name as creator_name,
+              creator.email as creator_email,
+              client.username as client_username,
+              client.name as client_name,
+              client.email as client_email
+              FROM invoices i
+              JOIN projects p ON i.project_id = p.id
+              JOIN users creator ON i.created_by = creator.id
+              LEFT JOIN users client ON i.client_id = client.id
+              WHERE i.id = ? AND i.project_id = ?`,
+		args: [invoiceId, projectId]
+	});
+
+	if (result.rows.length === 0 || (!includeDrafts && result.rows[0].status === 'draft')) {
+		throw new Error('Invoice not found');
+	}
+
+	const items = await db.execute({
+		sql: 'SELECT * FROM invoice_items WHERE invoice_id = ? ORDER BY position ASC',
+		args: [invoiceId]
+	});
+
+	return {
+		...result.rows[0],
+		items: items.rows
+	};
+}
+
+// Create draft invoice (creator only) from manual line items, approved milestones and/or time entries
+export async function createInvoice(projectId, userId, data) {
+	const {
+		client_id,
+		currency = 'USD',
+		tax_rate = 0,
+		due_date,
+		notes,
+		items = [],
+		milestone_ids = [],
+		time_entry_ids = [],
+		hourly_rate
+	} = data;
+
+	if (!Array.isArray(items) || !Array.isArray(milestone_ids) || !Array.isArray(time_entry_ids)) {
+		throw new Error('items, milestone_ids and time_entry_ids must be arrays');
+	}
+
+	const taxRate = Number(tax_rate);
+	if (!Number.isFinite(taxRate) || taxRate < 0 || taxRate > 100) {
+		throw new Error('tax_rate must be between 0 and 100');
+	}
+
+	const project = await getProjectById(projectId);
+	await assertCreator(project, userId);
+
+	// Bill the given client, or the first client who joined the project
+	let clientId = client_id || null;
+	if (clientId) {
+		if (!(await getProjectClientMember(projectId, clientId))) {
+			throw new Error('client_id must be a client member of the project');
+		}
+	} else {
+		const clientResult = await db.execute({
+			sql: `SELECT pm.user_id FROM project_members pm
+                  JOIN users u ON pm.user_id = u.id
+                  WHERE pm.project_id = ? AND pm.user_id != ? AND u.role IN ('client', 'guest')
+                  ORDER BY pm.joined_at ASC LIMIT 1`,
+			args: [projectId, project.creator_id]
+		});
+		clientId = clientResult.rows[0]?.user_id || null;
+	}
+
+	const lineItems = [
+		...(await buildMilestoneItems(projectId, milestone_ids, currency)),
+		...(await buildTimeEntryItems(projectId, time_entry_ids, hourly_rate)),
+		...normalizeItems(items)
+	];
+
+	if (lineItems.length === 0) {
+		throw new Error('Invoice needs at least one line item');
+	}
+
+	const subtotal = roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0));
+	const taxAmount = roundMoney(subtotal * taxRate / 100);
+	const total = roundMoney(subtotal + taxAmount);
+
+	const invoiceId = generateId();
+	const now = Date.now();
+
+	// Invoice numbers are sequential per project (INV-0001, INV-0002 ...), allocated in the
+	// INSERT itself so concurrent creates can't pick the same number
+	await db.batch([
+		{
+			sql: `INSERT INTO invoices
+                  (id, project_id, number, created_by, client_id, currency, tax_rate, subtotal, tax_amount, total, status, notes, due_date, created_at, updated_at)
+                  SELECT ?, ?, 'INV-' || printf('%04d', COALESCE(MAX(CAST(substr(number, 5) AS INTEGER)), 0) + 1),
+                  ?, ?, ?, ?, ?, ?, ?, 'draft', ?, ?, ?, ?
+                  FROM invoices WHERE project_id = ?`,
+			args: [invoiceId, projectId, userId, clientId, currency, taxRate, subtotal, taxAmount, total, notes || null, due_date || null, now, now, projectId]
+		},
+		...lineItems.map((item, index) => ({
+			sql: `INSERT INTO invoice_items
+                  (id, invoice_id, description, quantity, unit_price, amount, source_type, source_id, position)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+			args: [generateId(), invoiceId, item.description, item.quantity, item.unit_price, item.amount, item.source_type, item.source_id, index]
+		}))
+	], 'write');
+
+	return getInvoiceById(projectId, invoiceId, true);
+}
+
+// Send invoice to client (creator only)
+export async function sendInvoice(projectId, invoiceId, userId) {
+	const project = await getProjectById(projectId);
+	await assertCreator(project, userId);
+
+	const invoice = await getInvoiceById(projectId, invoiceId, true);
+
+	if (invoice.status !== 'draft') {
+		throw new Error('Only draft invoices can be sent');
+	}
+
+	const now = Date.now();
+
+	await db.execute({
+		sql: `UPDATE invoices SET status = 'sent', sent_at = ?, updated_at = ? WHERE id = ?`,
+		args: [now, now, invoiceId]
+	});
+
+	await sendSystemMessage(
+		projectId,
+		userId,
+		`Invoice ${invoice.number} for ${formatMoney(invoice.total, invoice.currency)} was sent`
+	);
+
+	return getInvoiceById(projectId, invoiceId, true);
+}
+
+// Mark invoice as paid (client member only)
+export async function markInvoicePaid(projectId, invoiceId, userId) {
+	const invoice = await getInvoiceById(projectId, invoiceId);
+
+	if (invoice.client_id && invoice.client_id !== userId) {
+		throw new Error('Only the billed client can mark this invoice as paid');
+	}
+
+	if (!(await getProjectClientMember(projectId, userId))) {
+		throw new Error('Only a client member can mark invoices as paid');
+	}
+
+	if (invoice.status !== 'sent') {
+		throw new Error('Only sent invoices can be marked as paid');
+	}
+
+	const now = Date.now();
+
+	await db.execute({
+		sql: `UPDATE invoices SET status = 'paid', paid_at = ?, paid_by = ?, updated_at = ? WHERE id = ?`,
+		args: [now, userId, now, invoiceId]
+	});
+
+	await sendSystemMessage(projectId, userId, `Invoice ${invoice.number} was marked as paid`);
+
+	return getInvoiceById(projectId, invoiceId);
+}
+
+// Void invoice (creator only) - releases its milestones and time entries for billing again
+export async function voidInvoice(projectId, invoiceId, userId) {
+	const project = await getProjectById(projectId);
+	await assertCreator(project, userId);
+
+	const invoice = await getInvoiceById(projectId, invoiceId, true);
+
+	if (!['draft', 'sent'].includes(invoice.status)) {
+		throw new Error(`Cannot void a ${invoice.status} invoice`);
+	}
+
+	const now = Date.now();
+
+	await db.execute({
+		sql: `UPDATE invoices SET status = 'void', voided_at = ?, updated_at = ? WHERE id = ?`,
+		args: [now, now, invoiceId]
+	});
+
+	// Clients never saw drafts, so only announce voiding of sent invoices
+	if (invoice.status === 'sent') {
+		await sendSystemMessage(projectId, userId, `Invoice ${invoice.number} was voided`);
+	}
+
+	return getInvoiceById(projectId, invoiceId, true);
+}
@@ -0,0 +1,65 @@
+import { db } from '../config/db.js';
+import { rateLimitError } from '../utils/rateLimiter.js';
+
+// Progressive lockout for password logins, per username/email:
+// the first FREE_ATTEMPTS failures are free, then each failure locks the account
+// for twice as long as the last one (30s, 1m, 2m ... up to an hour).
+// Failures are forgotten a day after the last one.
+const FREE_ATTEMPTS = 5;
+const BASE_LOCK_MS = 30 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+// Same key for "Alice", "alice " and the same email in different case
+function normalizeIdentifier(identifier) {
+	return String(identifier || '').trim().toLowerCase();
+}
+
+// Throw 429 while the identifier is locked
+export async function assertLoginAllowed(identifier) {
+	const result = await db.execute({
+		sql: 'SELECT locked_until FROM login_failures WHERE identifier = ?',
+		args: [normalizeIdentifier(identifier)]
+	});
+
+	const lockedUntil = result.rows[0]?.locked_until;
+	const now = Date.now();
+
+	if (lockedUntil && lockedUntil > now) {
+		throw rateLimitError('Too many failed login attempts, try again later', lockedUntil - now);
+	}
+}
+
+// Count a failed login and lock the identifier once it's past the free attempts
+export async function recordLoginFailure(identifier) {
+	const key = normalizeIdentifier(identifier);
+	const now = Date.now();
+
+	const result = await db.execute({
+		sql: `INSERT INTO login_failures (identifier, failures, last_failed_at) VALUES (?, 1, ?)
+          ON CONFLICT(identifier) DO UPDATE SET
+            failures = CASE WHEN last_failed_at < ? THEN 1 ELSE failures + 1 END,
+            last_failed_at = excluded.last_failed_at
+          RETURNING failures`,
+		args: [key, now, now - FAILURE_MEMORY_MS]
+	});
+
+	const failures = result.rows[0].failures;
+
+	if (failures >= FREE_ATTEMPTS) {
+		const lockMs = Math.min(BASE_LOCK_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_LOCK_MS);
+
+		await db.execute({
+			sql: 'UPDATE login_failures SET locked_until = ? WHERE identifier = ?',
+			args: [now + lockMs, key]
+		});
+	}
+}
+
+// Forget failures after a successful login
+export async function clearLoginFailures(identifier) {
+	await db.execute({
+		sql: 'DELETE FROM login_failures WHERE identifier = ?',
+		args: [normalizeIdentifier(identifier)]
+	});
+}
@@ -0,0 +1,143 @@
+import { db } from '../config/db.js';
+import { generateId } from '../utils/idGenerator.js';
+import { sendMentionNotification } from './websocket.service.js';
+import { notifyUser } from './notification.service.js';
+
+const MENTION_ALL = /(^|[^\w@])@all(?![\w-])/i;
+
+// Escape username for use inside a RegExp
+function escapeRegExp(value) {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Check content mentions a username (@name, not part of an email or longer name)
+function mentionsUsername(content, username) {
+	return new RegExp(`(^|[^\\w@])@${escapeRegExp(username)}(?![\\w-])`, 'i').test(content);
+}
+
+// Resolve @username / @all in content against project members (never the author)
+// Secret messages can only mention their recipient
+export async function resolveMentions(projectId, content, senderId, recipientId = null) {
+	if (!content || !content.includes('@')) {
+		return { mentionAll: false, users: [] };
+	}
+
+	const members = await db.execute({
+		sql: `SELECT pm.user_id, u.username
+          FROM project_members pm
+          JOIN users u ON pm.user_id = u.id
+          WHERE pm.project_id = ? AND pm.user_id != ?`,
+		args: [projectId, senderId]
+	});
+
+	const mentionAll = MENTION_ALL.test(content);
+
+	const users = members.rows.filter(member => {
+		if (recipientId && member.user_id !== recipientId) {
+			return false;
+		}
+		return mentionAll || mentionsUsername(content, member.username);
+	});
+
+	return { mentionAll, users };
+}
+
+// Store mentions for a (new or edited) project message and notify newly mentioned users
+// Returns ids of everyone the message now mentions
+export async function syncMessageMentions(message) {
+	if (message.type === 'system') {
+		return [];
+	}
+
+	const { mentionAll, users } = await resolveMentions(
+		message.project_id,
+		message.content,
+		message.sender_id,
+		message.type === 'secret' ? message.recipient_id : null
+	);
+
+	const userIds = users.map(user => user.user_id);
+	const now = Date.now();
+
+	// Edits can drop mentions
+	await db.execute({
+		sql: `DELETE FROM project_message_mentions WHERE message_id = ?
+          ${userIds.length > 0 ? `AND user_id NOT IN (${userIds.map(() => '?').join(',')})` : ''}`,
+		args: [message.id, ...userIds]
+	});
+
+	if (userIds.length === 0) {
+		return [];
+	}
+
+	const results = await db.batch(userIds.map(userId => ({
+		sql: `INSERT OR IGNORE INTO project_message_mentions
+          (id, message_id, project_id, user_id, mentioned_by, is_all, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`,
+		args: [generateId(), message.id, message.project_id, userId, message.sender_id, mentionAll ? 1 : 0, now]
+	})), 'write');
+
+	const newlyMentioned = userIds.filter((userId, index) => results[index].rowsAffected > 0);
+
+	if (newlyMentioned.length > 0) {
+		const detailsResult = await db.execute({
+			sql: `SELECT p.name as project_name, u.username, u.name
+            FROM projects p, users u
+            WHERE p.id = ? AND u.id = ?`,
+			args: [message.project_id, message.sender_id]
+		});
+		const details = detailsResult.rows[0] || {};
+
+		for (const userId of newlyMentioned) {
+			sendMentionNotification(userId, {
+				project_id: message.project_id,
+				project_name: details.project_name,
+				message_id: message.id,
+				thread_root_id: message.thread_root_id || null,
+				content: message.content,
+				type: message.type,
+				is_all: mentionAll,
+				mentioned_by: {
+					user_id: message.sender_id,
+					username: details.username,
+					name: details.name
+				},
+				created_at: message.created_at
+			});
+
+			await notifyUser(userId, {
+				category: 'mentions',
+				type: 'mention',
+				title: `${details.name || details.username} mentioned ${mentionAll ? 'everyone' : 'you'} in ${details.project_name}`,
+				body: message.content,
+				data: { project_id: message.project_id, message_id: message.id, thread_root_id: message.thread_root_id || null },
+				actorId: message.sender_id
+			});
+		}
+	}
+
+	return userIds;
+}
+
+// Get mentions of a user across all their projects, newest first
+// is_read follows the project read cursor
+export async function getUserMentions(userId, { limit = 50, offset = 0, unreadOnly = false } = {}) {
+	const result = await db.execute({
+		sql: `SELECT mm.id, mm.project_id, p.name as project_name, mm.message_id,
+          msg.content, msg.type, msg.thread_root_id, msg.created_at, mm.is_all,
+          mm.mentioned_by, u.username as mentioned_by_username, u.name as mentioned_by_name,
+          CASE WHEN msg.created_at <= COALESCE(mem.last_read_at, mem.joined_at) THEN 1 ELSE 0 END as is_read
+          FROM project_message_mentions mm
+          JOIN project_messages msg ON mm.message_id = msg.id
+          JOIN projects p ON mm.project_id = p.id
+          JOIN users u ON mm.mentioned_by = u.id
+          JOIN project_members mem ON mem.project_id = mm.project_id AND mem.user_id = mm.user_id
+          WHERE mm.user_id = ? AND msg.deleted_at IS NULL
+          ${unreadOnly ? 'AND msg.created_at > COALESCE(mem.last_read_at, mem.joined_at)' : ''}
+          ORDER BY msg.created_at DESC
+          LIMIT ? OFFSET ?`,
+		args: [userId, limit, offset]
+	});
+
+	return result.rows;
+}
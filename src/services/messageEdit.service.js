@@ -0,0 +1,58 @@
+import { db } from '../config/db.js';
+import { generateId } from '../utils/idGenerator.js';
+
+// How long after sending a message its author can still edit it
+export const MESSAGE_EDIT_WINDOW_MS = (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// Validate an edit of a chat or project message row - returns the trimmed content
+export function validateMessageEdit(message, userId, content, editableTypes) {
+	if (message.sender_id !== userId) {
+		throw new Error('You can only edit your own messages');
+	}
+
+	if (message.deleted_at) {
+		throw new Error('Deleted messages cannot be edited');
+	}
+
+	if (!editableTypes.includes(message.type)) {
+		throw new Error('Only text messages can be edited');
+	}
+
+	if (Date.now() - message.created_at > MESSAGE_EDIT_WINDOW_MS) {
+		throw new Error(`Messages can only be edited within ${Math.round(MESSAGE_EDIT_WINDOW_MS / 60000)} minutes of sending`);
+	}
+
+	const newContent = String(content || '').trim();
+	if (!newContent) {
+		throw new Error('Message content is required');
+	}
+
+	if (newContent === message.content) {
+		throw new Error('Message content is unchanged');
+	}
+
+	return newContent;
+}
+
+// Statement saving the current version before it is overwritten
+export function editHistoryStatement(source, message, editorId, editedAt) {
+	return {
+		sql: `INSERT INTO message_edits (id, message_id, source, previous_content, edited_by, edited_at)
+          VALUES (?, ?, ?, ?, ?, ?)`,
+		args: [generateId(), message.id, source, message.content, editorId, editedAt]
+	};
+}
+
+// Get edit history of a message, oldest first
+export async function getMessageEditHistory(source, messageId) {
+	const result = await db.execute({
+		sql: `SELECT me.*, u.username as edited_by_username
+          FROM message_edits me
+          JOIN users u ON me.edited_by = u.id
+          WHERE me.source = ? AND me.message_id = ?
+          ORDER BY me.edited_at ASC`,
+		args: [source, messageId]
+	});
+
+	return result.rows;
+}
@@ -0,0 +1,242 @@
+import { db } from '../config/db.js';
+import { generateId } from '../utils/idGenerator.js';
+import { getProjectById, getProjectClientMember, getProjectMembers, sendSystemMessage } from './project.service.js';
+import { notifyUser } from './notification.service.js';
+import { assertProjectPermission } from './projectRole.service.js';
+
+// Check that user has the client role in the project
+async function assertClientMember(project, userId) {
+	const member = await getProjectClientMember(project.id, userId);
+
+	if (!member) {
+		throw new Error('Only a client member can review milestones');
+	}
+}
+
+// Check that user's project role can manage milestones (owner or collaborator)
+async function assertMilestoneManager(project, userId) {
+	await assertProjectPermission(project.id, userId, 'milestones');
+}
+
+// Notify the other project members about a milestone event
+async function notifyMilestoneEvent(project, milestone, actorId, type, title, body = null) {
+	const members = await getProjectMembers(project.id);
+
+	for (const member of members) {
+		await notifyUser(member.user_id, {
+			category: 'milestones',
+			type,
+			title,
+			body,
+			data: { project_id: project.id, milestone_id: milestone.id, status: milestone.status },
+			actorId
+		});
+	}
+}
+
+// Get all milestones for a project (in board order)
+export async function getProjectMilestones(projectId) {
+	const result = await db.execute({
+		sql: `SELECT m.*, u.username as approved_by_username, u.name as approved_by_name
+              FROM project_milestones m
+              LEFT JOIN users u ON m.approved_by = u.id
+              WHERE m.project_id = ?
+              ORDER BY m.position ASC, m.created_at ASC`,
+		args: [projectId]
+	});
+
+	return result.rows;
+}
+
+// Get a single milestone in a project
+export async function getMilestoneById(projectId, milestoneId) {
+	const result = await db.execute({
+		sql: `SELECT m.*, u.username as approved_by_username, u.name as approved_by_name
+              FROM project_milestones m
+              LEFT JOIN users u ON m.approved_by = u.id
+              WHERE m.id = ? AND m.project_id = ?`,
+		args: [milestoneId, projectId]
+	});
+
+	if (result.rows.length === 0) {
+		throw new Error('Milestone not found');
+	}
+
+	return result.rows[0];
+}
+
+// Create milestone (owner or collaborator)
+export async function createMilestone(projectId, userId, data) {
+	const { title, description, amount, currency, due_date } = data;
+
+	if (!title) {
+		throw new Error('Milestone title is required');
+	}
+
+	if (amount !== undefined && (typeof amount !== 'number' || amount < 0)) {
+		throw new Error('Amount must be a positive number');
+	}
+
+	const project = await getProjectById(projectId);
+	await assertMilestoneManager(project, userId);
+
+	if (project.status !== 'active') {
+		throw new Error('Project is not active');
+	}
+
+	// New milestones go to the end of the list
+	const positionResult = await db.execute({
+		sql: 'SELECT COALESCE(MAX(position), -1) + 1 as next_position FROM project_milestones WHERE project_id = ?',
+		args: [projectId]
+	});
+
+	const milestoneId = generateId();
+	const now = Date.now();
+	const position = positionResult.rows[0]?.next_position || 0;
+
+	await db.execute({
+		sql: `INSERT INTO project_milestones
+              (id, project_id, title, description, amount, currency, due_date, position, status, created_by, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)`,
+		args: [
+			milestoneId,
+			projectId,
+			title,
+			description || null,
+			amount || 0,
+			currency || 'USD',
+			due_date || null,
+			position,
+			userId,
+			now,
+			now
+		]
+	});
+
+	await sendSystemMessage(projectId, userId, `Milestone "${title}" was created`);
+
+	const milestone = await getMilestoneById(projectId, milestoneId);
+	await notifyMilestoneEvent(project, milestone, userId, 'milestone_created',
+		`New milestone "${title}" in ${project.name}`, description || null);
+
+	return milestone;
+}
+
+// Reorder milestones (owner or collaborator) - milestoneIds is the full list in new order
+export async function reorderMilestones(projectId, userId, milestoneIds) {
+	if (!Array.isArray(milestoneIds) || milestoneIds.length === 0) {
+		throw new Error('milestone_ids must be a non-empty array');
+	}
+
+	const project = await getProjectById(projectId);
+	await assertMilestoneManager(project, userId);
+
+	const existing = await getProjectMilestones(projectId);
+	const existingIds = new Set(existing.map(m => m.id));
+
+	if (milestoneIds.length !== existingIds.size ||
+		new Set(milestoneIds).size !== existingIds.size ||
+		milestoneIds.some(id => !existingIds.has(id))) {
+		throw new Error('milestone_ids must contain every milestone in the project exactly once');
+	}
+
+	const now = Date.now();
+
+	await db.batch(milestoneIds.map((id, index) => ({
+		sql: 'UPDATE project_milestones SET position = ?, updated_at = ? WHERE id = ? AND project_id = ?',
+		args: [index, now, id, projectId]
+	})), 'write');
+
+	return getProjectMilestones(projectId);
+}
+
+// Submit milestone for client approval (owner or collaborator)
+export async function submitMilestone(projectId, milestoneId, userId, note = null) {
+	const project = await getProjectById(projectId);
+	await assertMilestoneManager(project, userId);
+
+	const milestone = await getMilestoneById(projectId, milestoneId);
+
+	if (!['pending', 'changes_requested'].includes(milestone.status)) {
+		throw new Error(`Milestone cannot be submitted while ${milestone.status}`);
+	}
+
+	const now = Date.now();
+
+	await db.execute({
+		sql: `UPDATE project_milestones
+              SET status = 'submitted', submission_note = ?, submitted_at = ?, updated_at = ?
+              WHERE id = ?`,
+		args: [note, now, now, milestoneId]
+	});
+
+	await sendSystemMessage(projectId, userId, `Milestone "${milestone.title}" was submitted for approval`);
+
+	const submitted = await getMilestoneById(projectId, milestoneId);
+	await notifyMilestoneEvent(project, submitted, userId, 'milestone_submitted',
+		`Milestone "${milestone.title}" in ${project.name} is ready for review`, note);
+
+	return submitted;
+}
+
+// Approve submitted milestone (client member only)
+export async function approveMilestone(projectId, milestoneId, userId) {
+	const project = await getProjectById(projectId);
+	await assertClientMember(project, userId);
+
+	const milestone = await getMilestoneById(projectId, milestoneId);
+
+	if (milestone.status !== 'submitted') {
+		throw new Error('Only submitted milestones can be approved');
+	}
+
+	const now = Date.now();
+
+	await db.execute({
+		sql: `UPDATE project_milestones
+              SET status = 'approved', approved_at = ?, approved_by = ?, updated_at = ?
+              WHERE id = ?`,
+		args: [now, userId, now, milestoneId]
+	});
+
+	await sendSystemMessage(projectId, userId, `Milestone "${milestone.title}" was approved`);
+
+	const approved = await getMilestoneById(projectId, milestoneId);
+	await notifyMilestoneEvent(project, approved, userId, 'milestone_approved',
+		`Milestone "${milestone.title}" in ${project.name} was approved`);
+
+	return approved;
+}
+
+// Request changes on submitted milestone (client member only)
+export async function requestMilestoneChanges(projectId, milestoneId, userId, note) {
+	if (!note) {
+		throw new Error('A note describing the requested changes is required');
+	}
+
+	const project = await getProjectById(projectId);
+	await assertClientMember(project, userId);
+
+	const milestone = await getMilestoneById(projectId, milestoneId);
+
+	if (milestone.status !== 'submitted') {
+		throw new Error('Changes can only be requested on submitted milestones');
+	}
+
+	const now = Date.now();
+
+	await db.execute({
+		sql: `UPDATE project_milestones
+              SET status = 'changes_requested', change_request_note = ?, updated_at = ?
+              WHERE id = ?`,
+		args: [note, now, milestoneId]
+	});
+
+	await sendSystemMessage(projectId, userId, `Changes requested on milestone "${milestone.title}": ${note}`);
+
+	const updated = await getMilestoneById(projectId, milestoneId);
+	await notifyMilestoneEvent(project, updated, userId, 'milestone_changes_requested',
+		`Changes requested on milestone "${milestone.title}" in ${project.name}`, note);
+
+	return updated;
+}
@@ -0,0 +1,227 @@
+import { db } from '../config/db.js';
+import { generateId } from '../utils/idGenerator.js';
+import { sendNotification } from './websocket.service.js';
+
+// Notification categories users can toggle
+export const NOTIFICATION_CATEGORIES = {
+	friends: 'Friend requests and accepted requests',
+	projects: 'Members joining your projects',
+	reactions: 'Reactions to your messages',
+	mentions: 'Mentions in project messages',
+	milestones: 'Milestones created, submitted, approved or sent back',
+	moderation: 'Bans and role changes on your account'
+};
+
+// Users can't opt out of these
+const REQUIRED_CATEGORIES = ['moderation'];
+
+// Check if user gets notifications of a category (no preference row = enabled)
+async function isCategoryEnabled(userId, category) {
+	if (REQUIRED_CATEGORIES.includes(category)) {
+		return true;
+	}
+
+	const result = await db.execute({
+		sql: 'SELECT enabled FROM notification_preferences WHERE user_id = ? AND category = ?',
+		args: [userId, category]
+	});
+
+	return result.rows.length === 0 || Boolean(result.rows[0].enabled);
+}
+
+// Count user's unread notifications
+async function countUnread(userId) {
+	const result = await db.execute({
+		sql: 'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = 0',
+		args: [userId]
+	});
+
+	return result.rows[0].count;
+}
+
+// Parse stored JSON data of a notification row
+function formatNotification(row) {
+	return {
+		...row,
+		data: row.data ? JSON.parse(row.data) : null,
+		is_read: Boolean(row.is_read)
+	};
+}
+
+// Create notification and push it to the user's open sockets
+// notification: { category, type, title, body?, data?, actorId? }
+// Never throws - a failed notification must not fail the action that triggered it
+export async function notifyUser(userId, notification) {
+	try {
+		if (!NOTIFICATION_CATEGORIES[notification.category]) {
+			throw new Error(`Unknown notification category ${notification.category}`);
+		}
+
+		// Nobody is notified about their own actions
+		if (notification.actorId && notification.actorId === userId) {
+			return null;
+		}
+
+		if (!(await isCategoryEnabled(userId, notification.category))) {
+			return null;
+		}
+
+		const id = generateId();
+		const now = Date.now();
+
+		await db.execute({
+			sql: `INSERT INTO notifications (id, user_id, category, type, title, body, data, actor_id, is_read, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?)`,
+			args: [
+				id,
+				userId,
+				notification.category,
+				notification.type,
+				notification.title,
+				notification.body || null,
+				notification.data ? JSON.stringify(notification.data) : null,
+				notification.actorId || null,
+				now
+			]
+		});
+
+		const created = {
+			id,
+			user_id: userId,
+			category: notification.category,
+			type: notification.type,
+			title: notification.title,
+			body: notification.body || null,
+			data: notification.data || null,
+			actor_id: notification.actorId || null,
+			is_read: false,
+			created_at: now
+		};
+
+		sendNotification(userId, created, await countUnread(userId));
+
+		return created;
+	} catch (error) {
+		console.error('Notification failed:', error);
+		return null;
+	}
+}
+
+// Get user's notifications, newest first
+export async function getNotifications(userId, { limit = 50, offset = 0, unreadOnly = false, category = null } = {}) {
+	const conditions = ['n.user_id = ?'];
+	const args = [userId];
+
+	if (unreadOnly) {
+		conditions.push('n.is_read = 0');
+	}
+
+	if (category) {
+		conditions.push('n.category = ?');
+		args.push(category);
+	}
+
+	const result = await db.execute({
+		sql: `SELECT n.*, u.username as actor_username, u.name as actor_name
+          FROM notifications n
+          LEFT JOIN users u ON n.actor_id = u.id
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY n.created_at DESC
+          LIMIT ? OFFSET ?`,
+		args: [...args, limit, offset]
+	});
+
+	return {
+		notifications: result.rows.map(formatNotification),
+		unread_count: await countUnread(userId)
+	};
+}
+
+// Mark one notification as read
+export async function markNotificationRead(userId, notificationId) {
+	const existing = await db.execute({
+		sql: 'SELECT id FROM notifications WHERE id = ? AND user_id = ?',
+		args: [notificationId, userId]
+	});
+
+	if (existing.rows.length === 0) {
+		throw new Error('Notification not found');
+	}
+
+	await db.execute({
+		sql: 'UPDATE notifications SET is_read = 1, read_at = ? WHERE id = ? AND is_read = 0',
+		args: [Date.now(), notificationId]
+	});
+
+	return {
+		message: 'Notification marked as read',
+		unread_count: await countUnread(userId)
+	};
+}
+
+// Mark all notifications as read (optionally one category)
+export async function markAllNotificationsRead(userId, category = null) {
+	const result = await db.execute({
+		sql: `UPDATE notifications SET is_read = 1, read_at = ?
+          WHERE user_id = ? AND is_read = 0 ${category ? 'AND category = ?' : ''}`,
+		args: category ? [Date.now(), userId, category] : [Date.now(), userId]
+	});
+
+	return {
+		message: 'Notifications marked as read',
+		updated: result.rowsAffected,
+		unread_count: await countUnread(userId)
+	};
+}
+
+// Get user's preference for every category
+export async function getNotificationPreferences(userId) {
+	const result = await db.execute({
+		sql: 'SELECT category, enabled FROM notification_preferences WHERE user_id = ?',
+		args: [userId]
+	});
+
+	const saved = new Map(result.rows.map(row => [row.category, Boolean(row.enabled)]));
+
+	return Object.entries(NOTIFICATION_CATEGORIES).map(([category, description]) => {
+		const required = REQUIRED_CATEGORIES.includes(category);
+		return {
+			category,
+			description,
+			enabled: required || (saved.has(category) ? saved.get(category) : true),
+			required
+		};
+	});
+}
+
+// Update category preferences - preferences: { category: true/false }
+export async function updateNotificationPreferences(userId, preferences) {
+	const entries = Object.entries(preferences || {});
+
+	if (entries.length === 0) {
+		throw new Error('No preferences given');
+	}
+
+	for (const [category, enabled] of entries) {
+		if (!NOTIFICATION_CATEGORIES[category]) {
+			throw new Error(`Unknown notification category "${category}"`);
+		}
+		if (typeof enabled !== 'boolean') {
+			throw new Error(`Preference for "${category}" must be true or false`);
+		}
+		if (REQUIRED_CATEGORIES.includes(category) && !enabled) {
+			throw new Error(`"${category}" notifications cannot be turned off`);
+		}
+	}
+
+	const now = Date.now();
+
+	await db.batch(entries.map(([category, enabled]) => ({
+		sql: `INSERT INTO notification_preferences (user_id, category, enabled, updated_at)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT(user_id, category) DO UPDATE SET enabled = excluded.enabled, updated_at = excluded.updated_at`,
+		args: [userId, category, enabled ? 1 : 0, now]
+	})), 'write');
+
+	return getNotificationPreferences(userId);
+}
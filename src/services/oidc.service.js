@@ -0,0 +1,93 @@
+import { db } from '../config/db.js';
+import { oidcProviders } from '../config/oidc.js';
+import { randomToken, buildAuthorizationUrl, exchangeCode, verifyIdToken } from '../utils/oidc.js';
+import { loginWithOidcIdentity } from './user.service.js';
+
+// Time the user has to finish signing in at the provider
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Get configured provider or fail
+function getProvider(name) {
+	const provider = oidcProviders[name];
+
+	if (!provider) {
+		throw new Error(`Unknown sign-in provider "${name}"`);
+	}
+
+	return provider;
+}
+
+// List providers for the login page
+export function getOidcProviders() {
+	return Object.values(oidcProviders).map(provider => ({
+		name: provider.name,
+		label: provider.label
+	}));
+}
+
+// Start sign-in: remember state, nonce and PKCE verifier, return the provider URL
+// role is used only if the sign-in creates a new account
+export async function startOidcLogin(providerName, role = 'client') {
+	const provider = getProvider(providerName);
+
+	if (!['client', 'freelancer'].includes(role)) {
+		throw new Error('Role must be client or freelancer');
+	}
+
+	const state = randomToken();
+	const nonce = randomToken();
+	const codeVerifier = randomToken();
+	const now = Date.now();
+
+	const authorizationUrl = await buildAuthorizationUrl(provider, { state, nonce, codeVerifier });
+
+	await db.batch([
+		{
+			sql: 'DELETE FROM oidc_login_states WHERE expires_at < ?',
+			args: [now]
+		},
+		{
+			sql: `INSERT INTO oidc_login_states (state, provider, nonce, code_verifier, role, created_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+			args: [state, provider.name, nonce, codeVerifier, role, now, now + LOGIN_STATE_TTL_MS]
+		}
+	], 'write');
+
+	return {
+		provider: provider.name,
+		authorization_url: authorizationUrl,
+		state,
+		expires_at: now + LOGIN_STATE_TTL_MS
+	};
+}
+
+// Finish sign-in with the code and state the provider redirected back with
+export async function completeOidcLogin(providerName, code, state) {
+	const provider = getProvider(providerName);
+
+	const result = await db.execute({
+		sql: 'SELECT * FROM oidc_login_states WHERE state = ? AND provider = ?',
+		args: [String(state || ''), provider.name]
+	});
+
+	const login = result.rows[0];
+
+	if (!login || login.expires_at < Date.now()) {
+		throw new Error('Sign-in expired, please try again');
+	}
+
+	// Each state works once, even if two callbacks race
+	const claimed = await db.execute({
+		sql: 'DELETE FROM oidc_login_states WHERE state = ?',
+		args: [login.state]
+	});
+
+	if (claimed.rowsAffected === 0) {
+		throw new Error('Sign-in expired, please try again');
+	}
+
+	const tokens = await exchangeCode(provider, code, login.code_verifier);
+	const claims = await verifyIdToken(provider, tokens.id_token, login.nonce);
+
+	return loginWithOidcIdentity(provider.name, claims, login.role);
+}
@@ -0,0 +1,89 @@
+import { db } from '../config/db.js';
+
+// Events kept for replay, and how many a reconnecting client can catch up on
+const EVENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_EVENTS_PER_USER = 1000;
+const MAX_REPLAY_EVENTS = 500;
+
+// Store event in user's outbox - returns its sequence number
+export async function recordUserEvent(userId, event) {
+	const { type, ...payload } = event;
+
+	const results = await db.batch([
+		{
+			sql: `INSERT INTO user_event_sequences (user_id, last_seq) VALUES (?, 1)
+            ON CONFLICT(user_id) DO UPDATE SET last_seq = last_seq + 1`,
+			args: [userId]
+		},
+		{
+			sql: `INSERT INTO user_events (user_id, seq, type, data, created_at)
+            SELECT user_id, last_seq, ?, ?, ? FROM user_event_sequences WHERE user_id = ?
+            RETURNING seq`,
+			args: [type, JSON.stringify(payload), Date.now(), userId]
+		}
+	], 'write');
+
+	return results[1].rows[0].seq;
+}
+
+// Get latest sequence number issued to user (0 if none)
+export async function getLatestUserEventSeq(userId) {
+	const result = await db.execute({
+		sql: 'SELECT last_seq FROM user_event_sequences WHERE user_id = ?',
+		args: [userId]
+	});
+
+	return result.rows[0]?.last_seq || 0;
+}
+
+// Get events after a sequence number
+// gap = true when events were pruned or there are too many to replay - the client should refetch instead
+export async function getUserEventsSince(userId, lastSeq) {
+	const latestSeq = await getLatestUserEventSeq(userId);
+
+	// Client is ahead of the server (e.g. counter reset) - it can't trust its state
+	if (lastSeq > latestSeq) {
+		return { events: [], latest_seq: latestSeq, gap: true };
+	}
+
+	const result = await db.execute({
+		sql: `SELECT seq, type, data FROM user_events
+          WHERE user_id = ? AND seq > ?
+          ORDER BY seq ASC
+          LIMIT ?`,
+		args: [userId, lastSeq, MAX_REPLAY_EVENTS]
+	});
+
+	const events = result.rows.map(row => ({
+		type: row.type,
+		...JSON.parse(row.data),
+		seq: row.seq
+	}));
+
+	const expected = latestSeq - lastSeq;
+	const firstSeq = events[0]?.seq;
+	const gap = expected > 0 && (events.length < expected || firstSeq !== lastSeq + 1);
+
+	return { events, latest_seq: latestSeq, gap };
+}
+
+// Prune outbox - drop expired events and cap each user's backlog
+export async function pruneUserEvents() {
+	const expired = await db.execute({
+		sql: 'DELETE FROM user_events WHERE created_at < ?',
+		args: [Date.now() - EVENT_RETENTION_MS]
+	});
+
+	const capped = await db.execute({
+		sql: `DELETE FROM user_events
+          WHERE seq <= (
+            SELECT s.last_seq - ? FROM user_event_sequences s WHERE s.user_id = user_events.user_id
+          )`,
+		args: [MAX_EVENTS_PER_USER]
+	});
+
+	return {
+		message: 'Outbox pruned',
+		deleted: expired.rowsAffected + capped.rowsAffected
+	};
+}
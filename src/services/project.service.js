@@ -1,15 +1,22 @@
 import { db } from '../config/db.js';
 import { generateId } from '../utils/idGenerator.js';
-import { broadcastProjectMessage, broadcastProjectReaction, broadcastProjectPresence, broadcastProjectReactionRemoval } from './websocket.service.js';
-
-// Generate unique invite code
-function generateInviteCode() {
-	const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-	let code = '';
-	for (let i = 0; i < 12; i++) {
-		code += chars.charAt(Math.floor(Math.random() * chars.length));
-	}
-	return code;
+import { broadcastProjectMessage, broadcastProjectReaction, broadcastProjectPresence, broadcastProjectReactionRemoval, broadcastProjectMessageEdit, broadcastProjectReadCursor, broadcastThreadReply } from './websocket.service.js';
+import { validateMessageEdit, editHistoryStatement } from './messageEdit.service.js';
+import { resolveThreadRoot, autoFollowThread, getThreadFollowerIds, getThreadSummaries } from './thread.service.js';
+import { syncMessageMentions } from './mention.service.js';
+import { notifyUser } from './notification.service.js';
+import { hasProjectPermission, projectPermissionError, getDefaultProjectRole, assertProjectPermission, isAdminUser } from './projectRole.service.js';
+
+// Message types that are typed rather than uploaded (anything else needs the upload permission)
+const TYPED_MESSAGE_TYPES = ['text', 'emoji', 'secret'];
+
+// Project columns sent to clients - the legacy invite_code column only holds the project id
+// (invite links live in project_invites), so it is never selected
+const PROJECT_COLUMNS = ['id', 'name', 'description', 'creator_id', 'status', 'created_at', 'completed_at', 'archived_at'];
+
+// Project column list for SELECTs, optionally prefixed with a table alias
+export function projectColumns(alias = null) {
+	return PROJECT_COLUMNS.map(column => (alias ? `${alias}.${column}` : column)).join(', ');
 }
 
 // Create project (freelancers only)
@@ -31,13 +38,13 @@ export async function createProject(creatorId, name, description) {
 	}
 
 	const projectId = generateId();
-	const inviteCode = generateInviteCode();
 	const now = Date.now();
 
+	// invite_code is a legacy NOT NULL UNIQUE column, invite links live in project_invites
 	await db.execute({
 		sql: `INSERT INTO projects (id, name, description, creator_id, invite_code, status, created_at)
               VALUES (?, ?, ?, ?, ?, 'active', ?)`,
-		args: [projectId, name, description, creatorId, inviteCode, now]
+		args: [projectId, name, description, creatorId, projectId, now]
 	});
 
 	// Auto-join creator to project
@@ -48,17 +55,45 @@ export async function createProject(creatorId, name, description) {
 		name,
 		description,
 		creator_id: creatorId,
-		invite_code: inviteCode,
 		status: 'active',
-		created_at: now,
-		invite_url: `${process.env.APP_URL || 'http://localhost:3000'}/join/${inviteCode}`
+		created_at: now
 	};
 }
 
+// Attach unread and mention counts (messages after the member's read cursor) to a project list
+// Thread replies don't count as channel unreads, but mentions in them do
+async function attachUnreadCounts(projects, userId) {
+	if (projects.length === 0) {
+		return projects;
+	}
+
+	const result = await db.execute({
+		sql: `SELECT msg.project_id,
+              SUM(CASE WHEN msg.thread_root_id IS NULL THEN 1 ELSE 0 END) as unread_count,
+              COUNT(mm.id) as mention_count
+              FROM project_members mem
+              JOIN project_messages msg ON msg.project_id = mem.project_id
+                AND msg.created_at > COALESCE(mem.last_read_at, mem.joined_at)
+              LEFT JOIN project_message_mentions mm ON mm.message_id = msg.id AND mm.user_id = mem.user_id
+              WHERE mem.user_id = ? AND msg.sender_id != ? AND msg.deleted_at IS NULL
+                AND (msg.type != 'secret' OR msg.recipient_id = ?)
+              GROUP BY msg.project_id`,
+		args: [userId, userId, userId]
+	});
+
+	const counts = new Map(result.rows.map(row => [row.project_id, row]));
+
+	return projects.map(project => ({
+		...project,
+		unread_count: counts.get(project.id)?.unread_count || 0,
+		mention_count: counts.get(project.id)?.mention_count || 0
+	}));
+}
+
 // Get all projects for a freelancer (creator)
 export async function getFreelancerProjects(userId) {
 	const result = await db.execute({
-		sql: `SELECT p.*, 
+		sql: `SELECT ${projectColumns('p')},
               u.username as creator_username,
               (SELECT COUNT(*) FROM project_members WHERE project_id = p.id) as member_count
               FROM projects p
@@ -74,13 +109,13 @@ export async function getFreelancerProjects(userId) {
 		args: [userId]
 	});
 
-	return result.rows;
+	return attachUnreadCounts(result.rows, userId);
 }
 
 // Get user's joined projects (as member)
 export async function getUserJoinedProjects(userId) {
 	const result = await db.execute({
-		sql: `SELECT p.*, 
+		sql: `SELECT ${projectColumns('p')},
               u.username as creator_username,
               (SELECT COUNT(*) FROM project_members WHERE project_id = p.id) as member_count,
               1 as has_joined
@@ -92,13 +127,13 @@ export async function getUserJoinedProjects(userId) {
 		args: [userId]
 	});
 
-	return result.rows;
+	return attachUnreadCounts(result.rows, userId);
 }
 
 // Get project by ID
 export async function getProjectById(projectId) {
 	const result = await db.execute({
-		sql: `SELECT p.*, 
+		sql: `SELECT ${projectColumns('p')},
               u.username as creator_username,
               u.name as creator_name,
               u.is_online as creator_online,
@@ -116,27 +151,9 @@ export async function getProjectById(projectId) {
 	return result.rows[0];
 }
 
-// Get project by invite code
-export async function getProjectByInviteCode(inviteCode) {
-	const result = await db.execute({
-		sql: `SELECT p.*, 
-              u.username as creator_username,
-              u.name as creator_name
-              FROM projects p
-              JOIN users u ON p.creator_id = u.id
-              WHERE p.invite_code = ? AND p.status = 'active'`,
-		args: [inviteCode]
-	});
-
-	if (result.rows.length === 0) {
-		throw new Error('Project not found or inactive');
-	}
-
-	return result.rows[0];
-}
-
-// Join project (via invite link)
-export async function joinProject(projectId, userId) {
+// Add user to project (creator on create, everyone else through an invite)
+// role: project role to grant, defaults to owner for the creator and the account type's role otherwise
+export async function joinProject(projectId, userId, role = null) {
 	// Check if project exists and is active
 	const project = await getProjectById(projectId);
 
@@ -154,31 +171,48 @@ export async function joinProject(projectId, userId) {
 		return { message: 'Already in project' };
 	}
 
-	const memberId = generateId();
-	const now = Date.now();
-
-	await db.execute({
-		sql: 'INSERT INTO project_members (id, project_id, user_id, joined_at) VALUES (?, ?, ?, ?)',
-		args: [memberId, projectId, userId, now]
-	});
-
 	const userResult = await db.execute({
 		sql: 'SELECT id, username, name, is_guest, role FROM users WHERE id = ?',
 		args: [userId]
 	});
 
-	if (userResult.rows.length > 0) {
-		const user = userResult.rows[0];
+	if (userResult.rows.length === 0) {
+		throw new Error('User not found');
+	}
 
-		// Broadcast user joined
-		try {
-			await broadcastProjectPresence(projectId, user, 'joined');
-		} catch (wsError) {
-			console.error('WebSocket presence broadcast failed:', wsError);
-		}
+	const user = userResult.rows[0];
+
+	// Creator owns the project, everyone else gets a role from their account type
+	if (project.creator_id === userId) {
+		role = 'owner';
+	} else if (!role) {
+		role = getDefaultProjectRole(user);
+	}
+
+	const memberId = generateId();
+	const now = Date.now();
+
+	await db.execute({
+		sql: 'INSERT INTO project_members (id, project_id, user_id, role, joined_at) VALUES (?, ?, ?, ?, ?)',
+		args: [memberId, projectId, userId, role, now]
+	});
+
+	// Broadcast user joined
+	try {
+		await broadcastProjectPresence(projectId, { ...user, project_role: role }, 'joined');
+	} catch (wsError) {
+		console.error('WebSocket presence broadcast failed:', wsError);
 	}
 
-	return { message: 'Joined project successfully' };
+	await notifyUser(project.creator_id, {
+		category: 'projects',
+		type: 'project_member_joined',
+		title: `${user.name || user.username} joined ${project.name}`,
+		data: { project_id: projectId, user_id: userId },
+		actorId: userId
+	});
+
+	return { message: 'Joined project successfully', role };
 }
 
 // Leave project
@@ -224,7 +258,8 @@ export async function sendProjectMessage(
 	type = 'text',
 	replyToMessageId = null,
 	caption = null,
-	recipientId = null
+	recipientId = null,
+	threadRootId = null
 ) {
 	// Check if user is in project
 	const member = await db.execute({
@@ -236,6 +271,29 @@ export async function sendProjectMessage(
 		throw new Error('You must join the project to send messages');
 	}
 
+	// Secret messages and shared files need their own permission on top of posting
+	const { role } = member.rows[0];
+	const permissions = [
+		'post',
+		...(recipientId ? ['secret'] : []),
+		...(!TYPED_MESSAGE_TYPES.includes(type) ? ['upload'] : [])
+	];
+
+	for (const permission of permissions) {
+		if (!hasProjectPermission(role, permission)) {
+			throw new Error(projectPermissionError(permission));
+		}
+	}
+
+	// Thread replies hang off a root message in this project
+	let threadRoot = null;
+	if (threadRootId) {
+		if (recipientId) {
+			throw new Error('Secret messages cannot be posted in threads');
+		}
+		threadRoot = await resolveThreadRoot(projectId, threadRootId);
+	}
+
 	// If recipient specified, set type to 'secret'
 	if (recipientId) {
 		type = 'secret';
@@ -246,11 +304,16 @@ export async function sendProjectMessage(
 
 	await db.execute({
 		sql: `INSERT INTO project_messages 
-          (id, project_id, sender_id, recipient_id, content, type, created_at, is_read, caption, reply_to_message_id)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-		args: [messageId, projectId, senderId, recipientId, content, type, now, 0, caption, replyToMessageId]
+          (id, project_id, sender_id, recipient_id, content, type, created_at, is_read, caption, reply_to_message_id, thread_root_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+		args: [messageId, projectId, senderId, recipientId, content, type, now, 0, caption, replyToMessageId, threadRootId]
 	});
 
+	// Root author and everyone who replies follow the thread
+	if (threadRoot) {
+		await autoFollowThread(projectId, threadRoot.id, [threadRoot.sender_id, senderId]);
+	}
+
 	// Get sender info
 	const senderResult = await db.execute({
 		sql: 'SELECT username, name, role FROM users WHERE id = ?',
@@ -283,36 +346,7 @@ export async function sendProjectMessage(
 		replyData = replyResult.rows[0];
 	}
 
-	try {
-		await broadcastProjectMessage(projectId, {
-			id: messageId,
-			project_id: projectId,
-			sender_id: senderId,
-			recipient_id: recipientId,
-			sender_username: senderResult.rows[0]?.username,
-			sender_name: senderResult.rows[0]?.name,
-			sender_role: senderResult.rows[0]?.role,
-			recipient_username: recipientUsername,
-			recipient_name: recipientName,
-			content,
-			type,
-			caption,
-			reply_to_message_id: replyToMessageId,
-			...(replyData && {
-				reply_to_message_content: replyData.content,
-				reply_to_message_sender: replyData.username,
-				reply_to_message_sender_name: replyData.name,
-				reply_to_message_time: replyData.created_at,
-				reply_to_message_type: replyData.type,
-				reply_to_message_caption: replyData.caption
-			}),
-			created_at: now
-		}, senderId);
-	} catch (wsError) {
-		console.error('WebSocket broadcast failed:', wsError);
-	}
-
-	return {
+	const message = {
 		id: messageId,
 		project_id: projectId,
 		sender_id: senderId,
@@ -326,6 +360,7 @@ export async function sendProjectMessage(
 		type,
 		caption,
 		reply_to_message_id: replyToMessageId,
+		thread_root_id: threadRootId,
 		...(replyData && {
 			reply_to_message_content: replyData.content,
 			reply_to_message_sender: replyData.username,
@@ -336,12 +371,127 @@ export async function sendProjectMessage(
 		}),
 		created_at: now
 	};
+
+	try {
+		const mentionedIds = await syncMessageMentions(message);
+
+		// Mentioned members follow the thread so they see the answers
+		if (threadRoot && mentionedIds.length > 0) {
+			await autoFollowThread(projectId, threadRoot.id, mentionedIds);
+		}
+	} catch (mentionError) {
+		console.error('Mention processing failed:', mentionError);
+	}
+
+	try {
+		if (threadRoot) {
+			const summaries = await getThreadSummaries([threadRoot.id]);
+			await broadcastThreadReply(projectId, message, summaries.get(threadRoot.id), await getThreadFollowerIds(threadRoot.id));
+		} else {
+			await broadcastProjectMessage(projectId, message, senderId);
+		}
+	} catch (wsError) {
+		console.error('WebSocket broadcast failed:', wsError);
+	}
+
+	return message;
 }
 
-// Get project messages (filter secret messages based on user)
-export async function getProjectMessages(projectId, userId, limit = 100, offset = 0) {
-	const result = await db.execute({
-		sql: `SELECT pm.*, 
+// Post a system message in project (workflow events like milestone updates)
+export async function sendSystemMessage(projectId, actorId, content) {
+	const messageId = generateId();
+	const now = Date.now();
+
+	await db.execute({
+		sql: `INSERT INTO project_messages
+          (id, project_id, sender_id, content, type, created_at, is_read)
+          VALUES (?, ?, ?, ?, 'system', ?, 0)`,
+		args: [messageId, projectId, actorId, content, now]
+	});
+
+	const senderResult = await db.execute({
+		sql: 'SELECT username, name, role FROM users WHERE id = ?',
+		args: [actorId]
+	});
+
+	const message = {
+		id: messageId,
+		project_id: projectId,
+		sender_id: actorId,
+		recipient_id: null,
+		sender_username: senderResult.rows[0]?.username,
+		sender_name: senderResult.rows[0]?.name,
+		sender_role: senderResult.rows[0]?.role,
+		content,
+		type: 'system',
+		caption: null,
+		reply_to_message_id: null,
+		created_at: now
+	};
+
+	// Everyone (including the actor) should see system messages in the channel
+	try {
+		await broadcastProjectMessage(projectId, message);
+	} catch (wsError) {
+		console.error('WebSocket broadcast failed:', wsError);
+	}
+
+	return message;
+}
+
+// Edit own text/secret message (within the edit window, previous version kept in message_edits)
+export async function editProjectMessage(projectId, messageId, userId, content) {
+	const messageResult = await db.execute({
+		sql: 'SELECT * FROM project_messages WHERE id = ? AND project_id = ?',
+		args: [messageId, projectId]
+	});
+
+	if (messageResult.rows.length === 0) {
+		throw new Error('Message not found');
+	}
+
+	const message = messageResult.rows[0];
+	const newContent = validateMessageEdit(message, userId, content, ['text', 'secret']);
+	await assertProjectPermission(projectId, userId, 'post');
+	const now = Date.now();
+
+	await db.batch([
+		editHistoryStatement('project', message, userId, now),
+		{
+			sql: 'UPDATE project_messages SET content = ?, is_edited = 1, edited_at = ? WHERE id = ?',
+			args: [newContent, now, messageId]
+		}
+	], 'write');
+
+	const edited = {
+		id: message.id,
+		project_id: projectId,
+		sender_id: message.sender_id,
+		recipient_id: message.recipient_id,
+		thread_root_id: message.thread_root_id,
+		content: newContent,
+		type: message.type,
+		is_edited: true,
+		edited_at: now
+	};
+
+	try {
+		await syncMessageMentions({ ...edited, created_at: message.created_at });
+	} catch (mentionError) {
+		console.error('Mention processing failed:', mentionError);
+	}
+
+	try {
+		await broadcastProjectMessageEdit(projectId, edited);
+	} catch (wsError) {
+		console.error('WebSocket broadcast failed:', wsError);
+	}
+
+	return edited;
+}
+
+// Project message columns with sender, recipient and quoted reply details
+const PROJECT_MESSAGE_SELECT = `SELECT pm.*, 
           u1.username as sender_username,
           u1.name as sender_name,
           u1.role as sender_role,
@@ -358,23 +508,11 @@ export async function getProjectMessages(projectId, userId, limit = 100, offset
           JOIN users u1 ON pm.sender_id = u1.id
           LEFT JOIN users u2 ON pm.recipient_id = u2.id
           LEFT JOIN project_messages pm2 ON pm.reply_to_message_id = pm2.id
-          LEFT JOIN users u3 ON pm2.sender_id = u3.id
-          WHERE pm.project_id = ?
-          ORDER BY pm.created_at DESC
-          LIMIT ? OFFSET ?`,
-		args: [projectId, limit, offset]
-	});
+          LEFT JOIN users u3 ON pm2.sender_id = u3.id`;
 
-	// Filter messages - only show secret messages to sender and recipient
-	const filteredMessages = result.rows.filter(msg => {
-		if (msg.type === 'secret') {
-			return msg.sender_id === userId || msg.recipient_id === userId;
-		}
-		return true;
-	});
-
-	// Batch fetch reactions
-	const messageIds = filteredMessages.map(m => m.id);
+// Batch fetch reactions and attach them to messages
+async function attachProjectReactions(messages) {
+	const messageIds = messages.map(m => m.id);
 	let allReactions = [];
 
 	if (messageIds.length > 0) {
@@ -399,13 +537,70 @@ export async function getProjectMessages(projectId, userId, limit = 100, offset
 		reactionsByMessage[reaction.message_id].push(reaction);
 	});
 
-	// Process messages with reactions
-	const messagesWithReactions = filteredMessages.map(msg => ({
+	return messages.map(msg => ({
 		...msg,
 		reactions: reactionsByMessage[msg.id] || []
 	}));
+}
+
+// Get project messages (filter secret messages based on user)
+// Thread replies are left out of the channel; root messages carry thread summaries
+export async function getProjectMessages(projectId, userId, limit = 100, offset = 0) {
+	const result = await db.execute({
+		sql: `${PROJECT_MESSAGE_SELECT}
+          WHERE pm.project_id = ? AND pm.thread_root_id IS NULL
+          ORDER BY pm.created_at DESC
+          LIMIT ? OFFSET ?`,
+		args: [projectId, limit, offset]
+	});
+
+	// Filter messages - only show secret messages to sender and recipient
+	const filteredMessages = result.rows.filter(msg => {
+		if (msg.type === 'secret') {
+			return msg.sender_id === userId || msg.recipient_id === userId;
+		}
+		return true;
+	});
 
-	return messagesWithReactions.reverse();
+	const messagesWithReactions = await attachProjectReactions(filteredMessages);
+
+	const rootIds = filteredMessages.filter(msg => msg.type !== 'secret').map(msg => msg.id);
+	const threads = await getThreadSummaries(rootIds, userId);
+
+	return messagesWithReactions.map(msg => ({
+		...msg,
+		...threads.get(msg.id)
+	})).reverse();
+}
+
+// Get a thread: root message plus replies (oldest first)
+export async function getProjectThread(projectId, rootMessageId, userId, limit = 100, offset = 0) {
+	await resolveThreadRoot(projectId, rootMessageId);
+
+	const rootResult = await db.execute({
+		sql: `${PROJECT_MESSAGE_SELECT}
+          WHERE pm.id = ?`,
+		args: [rootMessageId]
+	});
+
+	const repliesResult = await db.execute({
+		sql: `${PROJECT_MESSAGE_SELECT}
+          WHERE pm.thread_root_id = ?
+          ORDER BY pm.created_at ASC
+          LIMIT ? OFFSET ?`,
+		args: [rootMessageId, limit, offset]
+	});
+
+	const [root, ...replies] = await attachProjectReactions([rootResult.rows[0], ...repliesResult.rows]);
+	const threads = await getThreadSummaries([rootMessageId], userId);
+
+	return {
+		root: {
+			...root,
+			...threads.get(rootMessageId)
+		},
+		replies
+	};
 }
 
 // Get new messages after timestamp (for cache updates)
@@ -428,7 +623,7 @@ export async function getNewMessages(projectId, userId, afterTimestamp) {
           LEFT JOIN users u2 ON pm.recipient_id = u2.id
           LEFT JOIN project_messages pm2 ON pm.reply_to_message_id = pm2.id
           LEFT JOIN users u3 ON pm2.sender_id = u3.id
-          WHERE pm.project_id = ? AND pm.created_at > ?
+          WHERE pm.project_id = ? AND pm.created_at > ? AND pm.thread_root_id IS NULL
           ORDER BY pm.created_at ASC`,
 		args: [projectId, afterTimestamp]
 	});
@@ -476,9 +671,14 @@ export async function getMessageCount(projectId) {
 // Get project members
 export async function getProjectMembers(projectId) {
 	const result = await db.execute({
-		sql: `SELECT pm.*, u.username, u.name, u.role, u.is_online, u.is_guest
+		sql: `SELECT pm.*, u.username, u.name, u.role, u.is_online, u.is_guest,
+              te.started_at as timer_started_at,
+              te.description as timer_description,
+              CASE WHEN te.id IS NULL THEN 0 ELSE 1 END as working_now
               FROM project_members pm
               JOIN users u ON pm.user_id = u.id
+              LEFT JOIN time_entries te ON te.project_id = pm.project_id
+                AND te.user_id = pm.user_id AND te.ended_at IS NULL
               WHERE pm.project_id = ?
               ORDER BY pm.joined_at DESC`,
 		args: [projectId]
@@ -487,11 +687,127 @@ export async function getProjectMembers(projectId) {
 	return result.rows;
 }
 
-// Complete project (creator only)
+// Move member's read cursor forward to messageId (default: newest message they can see)
+export async function markProjectMessagesRead(projectId, userId, messageId = null) {
+	const memberResult = await db.execute({
+		sql: `SELECT pm.last_read_message_id, pm.last_read_at, u.username
+              FROM project_members pm
+              JOIN users u ON pm.user_id = u.id
+              WHERE pm.project_id = ? AND pm.user_id = ?`,
+		args: [projectId, userId]
+	});
+
+	if (memberResult.rows.length === 0) {
+		throw new Error('You are not a member of this project');
+	}
+
+	const member = memberResult.rows[0];
+
+	const messageResult = messageId
+		? await db.execute({
+			sql: `SELECT id, created_at FROM project_messages
+            WHERE id = ? AND project_id = ? AND (type != 'secret' OR sender_id = ? OR recipient_id = ?)`,
+			args: [messageId, projectId, userId, userId]
+		})
+		: await db.execute({
+			sql: `SELECT id, created_at FROM project_messages
+            WHERE project_id = ? AND thread_root_id IS NULL AND (type != 'secret' OR sender_id = ? OR recipient_id = ?)
+            ORDER BY created_at DESC LIMIT 1`,
+			args: [projectId, userId, userId]
+		});
+
+	if (messageId && messageResult.rows.length === 0) {
+		throw new Error('Message not found');
+	}
+
+	const unchanged = {
+		project_id: projectId,
+		last_read_message_id: member.last_read_message_id,
+		last_read_at: member.last_read_at,
+		updated: false
+	};
+
+	const target = messageResult.rows[0];
+	if (!target) {
+		return unchanged;
+	}
+
+	// Cursors only move forward
+	const updateResult = await db.execute({
+		sql: `UPDATE project_members SET last_read_message_id = ?, last_read_at = ?
+          WHERE project_id = ? AND user_id = ? AND (last_read_at IS NULL OR last_read_at < ?)`,
+		args: [target.id, target.created_at, projectId, userId, target.created_at]
+	});
+
+	if (updateResult.rowsAffected === 0) {
+		return unchanged;
+	}
+
+	const cursor = {
+		user_id: userId,
+		username: member.username,
+		last_read_message_id: target.id,
+		last_read_at: target.created_at
+	};
+
+	try {
+		await broadcastProjectReadCursor(projectId, cursor);
+	} catch (wsError) {
+		console.error('WebSocket read cursor broadcast failed:', wsError);
+	}
+
+	return {
+		project_id: projectId,
+		last_read_message_id: target.id,
+		last_read_at: target.created_at,
+		updated: true
+	};
+}
+
+// Get members who have read a message (read cursor at or past it)
+export async function getProjectMessageReaders(projectId, messageId, userId) {
+	const messageResult = await db.execute({
+		sql: `SELECT sender_id, created_at FROM project_messages
+          WHERE id = ? AND project_id = ? AND (type != 'secret' OR sender_id = ? OR recipient_id = ?)`,
+		args: [messageId, projectId, userId, userId]
+	});
+
+	if (messageResult.rows.length === 0) {
+		throw new Error('Message not found');
+	}
+
+	const message = messageResult.rows[0];
+
+	const result = await db.execute({
+		sql: `SELECT pm.user_id, u.username, u.name, pm.last_read_at
+          FROM project_members pm
+          JOIN users u ON pm.user_id = u.id
+          WHERE pm.project_id = ? AND pm.user_id != ? AND pm.last_read_at >= ?
+          ORDER BY pm.last_read_at ASC`,
+		args: [projectId, message.sender_id, message.created_at]
+	});
+
+	return result.rows;
+}
+
+// Get a client member of project (member with the client project role)
+export async function getProjectClientMember(projectId, userId) {
+	const result = await db.execute({
+		sql: `SELECT pm.*, u.username, u.name, u.email, u.role as user_role
+              FROM project_members pm
+              JOIN users u ON pm.user_id = u.id
+              WHERE pm.project_id = ? AND pm.user_id = ? AND pm.role = 'client'`,
+		args: [projectId, userId]
+	});
+
+	return result.rows[0] || null;
+}
+
+// Complete project (creator or admin)
 export async function completeProject(projectId, userId) {
 	const project = await getProjectById(projectId);
 
-	if (project.creator_id !== userId) {
+	if (project.creator_id !== userId && !(await isAdminUser(userId))) {
 		throw new Error('Only project creator can complete the project');
 	}
 
@@ -512,11 +828,11 @@ export async function completeProject(projectId, userId) {
 	};
 }
 
-// Archive project immediately (creator only)
+// Archive project immediately (creator or admin)
 export async function archiveProject(projectId, userId) {
 	const project = await getProjectById(projectId);
 
-	if (project.creator_id !== userId) {
+	if (project.creator_id !== userId && !(await isAdminUser(userId))) {
 		throw new Error('Only project creator can archive the project');
 	}
 
@@ -621,6 +937,10 @@ export async function reactToProjectMessage(messageId, userId, emoji) {
 		throw new Error('You must be in the project to react to messages');
 	}
 
+	if (!hasProjectPermission(memberCheck.rows[0].role, 'react')) {
+		throw new Error(projectPermissionError('react'));
+	}
+
 	// Check if user can see this message (for secret messages)
 	if (message.type === 'secret') {
 		if (message.sender_id !== userId && message.recipient_id !== userId) {
@@ -656,6 +976,14 @@ export async function reactToProjectMessage(messageId, userId, emoji) {
 		console.error('WebSocket reaction broadcast failed:', wsError);
 	}
 
+	await notifyUser(message.sender_id, {
+		category: 'reactions',
+		type: 'project_reaction',
+		title: `${userResult.rows[0]?.name || userResult.rows[0]?.username} reacted ${emoji} to your message`,
+		data: { project_id: message.project_id, message_id: messageId, reaction_id: reactionId },
+		actorId: userId
+	});
+
 	return {
 		id: reactionId,
 		message_id: messageId,
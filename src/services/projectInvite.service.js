@@ -0,0 +1,298 @@
+import { randomBytes } from 'crypto';
+import { db } from '../config/db.js';
+import { generateId } from '../utils/idGenerator.js';
+import { joinProject } from './project.service.js';
+import { assertProjectPermission, getProjectMemberRole, getDefaultProjectRole } from './projectRole.service.js';
+
+// Roles an invite can grant (null = from the joiner's account type)
+const INVITE_ROLES = ['collaborator', 'client', 'viewer'];
+
+// Why an invite can't be used, by status
+const INVITE_STATUS_ERRORS = {
+	revoked: 'This invite has been revoked',
+	expired: 'This invite has expired',
+	used_up: 'This invite has reached its usage limit'
+};
+
+// Unguessable invite code (22 URL-safe characters)
+function generateInviteCode() {
+	return randomBytes(16).toString('base64url');
+}
+
+// Invite link the frontend opens
+function buildInviteUrl(code) {
+	return `${process.env.APP_URL || 'http://localhost:3000'}/join/${code}`;
+}
+
+// active, revoked, expired or used_up
+function getInviteStatus(invite, now = Date.now()) {
+	if (invite.revoked_at) {
+		return 'revoked';
+	}
+	if (invite.expires_at && invite.expires_at <= now) {
+		return 'expired';
+	}
+	if (invite.max_uses !== null && invite.use_count >= invite.max_uses) {
+		return 'used_up';
+	}
+	return 'active';
+}
+
+// Invite row with its link and status
+function formatInvite(invite) {
+	return {
+		...invite,
+		url: buildInviteUrl(invite.code),
+		status: getInviteStatus(invite)
+	};
+}
+
+// Lowercased email for the email lock
+function normalizeEmail(email) {
+	return String(email).trim().toLowerCase();
+}
+
+// Get invite by code with its project
+async function getInviteByCode(code) {
+	const result = await db.execute({
+		sql: `SELECT i.*, p.name as project_name, p.description as project_description, p.status as project_status,
+              u.name as creator_name
+              FROM project_invites i
+              JOIN projects p ON i.project_id = p.id
+              JOIN users u ON p.creator_id = u.id
+              WHERE i.code = ?`,
+		args: [String(code || '')]
+	});
+
+	const invite = result.rows[0];
+
+	if (!invite || invite.project_status !== 'active') {
+		throw new Error('Project not found or inactive');
+	}
+
+	return invite;
+}
+
+// Throw unless the invite can still be used
+function assertInviteUsable(invite) {
+	const status = getInviteStatus(invite);
+
+	if (status !== 'active') {
+		throw new Error(INVITE_STATUS_ERRORS[status]);
+	}
+}
+
+// Get invite in project
+async function getProjectInvite(projectId, inviteId) {
+	const result = await db.execute({
+		sql: 'SELECT * FROM project_invites WHERE id = ? AND project_id = ?',
+		args: [inviteId, projectId]
+	});
+
+	if (result.rows.length === 0) {
+		throw new Error('Invite not found');
+	}
+
+	return result.rows[0];
+}
+
+// Create invite (owner or collaborator)
+// options: { role?, max_uses?, expires_at?, email? } - all optional, no options = unlimited link
+export async function createProjectInvite(projectId, userId, options = {}) {
+	const { role = null, max_uses = null, expires_at = null, email = null } = options;
+
+	if (role !== null && !INVITE_ROLES.includes(role)) {
+		throw new Error(`Role must be one of: ${INVITE_ROLES.join(', ')}`);
+	}
+
+	if (max_uses !== null && (!Number.isInteger(max_uses) || max_uses < 1)) {
+		throw new Error('max_uses must be a positive whole number');
+	}
+
+	if (expires_at !== null && (typeof expires_at !== 'number' || expires_at <= Date.now())) {
+		throw new Error('expires_at must be a future timestamp');
+	}
+
+	if (email !== null && !String(email).includes('@')) {
+		throw new Error('Invalid email address');
+	}
+
+	await assertProjectPermission(projectId, userId, 'invite');
+
+	const invite = {
+		id: generateId(),
+		project_id: projectId,
+		code: generateInviteCode(),
+		role,
+		email: email === null ? null : normalizeEmail(email),
+		max_uses,
+		use_count: 0,
+		expires_at,
+		created_by: userId,
+		created_at: Date.now(),
+		revoked_at: null,
+		revoked_by: null
+	};
+
+	await db.execute({
+		sql: `INSERT INTO project_invites (id, project_id, code, role, email, max_uses, expires_at, created_by, created_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+		args: [
+			invite.id,
+			projectId,
+			invite.code,
+			role,
+			invite.email,
+			max_uses,
+			expires_at,
+			userId,
+			invite.created_at
+		]
+	});
+
+	return formatInvite(invite);
+}
+
+// Get project's invites, newest first (owner or collaborator)
+export async function getProjectInvites(projectId, userId) {
+	await assertProjectPermission(projectId, userId, 'invite');
+
+	const result = await db.execute({
+		sql: `SELECT i.*, u.username as created_by_username, u.name as created_by_name
+              FROM project_invites i
+              JOIN users u ON i.created_by = u.id
+              WHERE i.project_id = ?
+              ORDER BY i.created_at DESC`,
+		args: [projectId]
+	});
+
+	return result.rows.map(formatInvite);
+}
+
+// Revoke invite (project owner, admin or whoever created it)
+export async function revokeProjectInvite(projectId, inviteId, userId) {
+	const role = await assertProjectPermission(projectId, userId, 'invite');
+	const invite = await getProjectInvite(projectId, inviteId);
+
+	if (role !== 'owner' && role !== 'admin' && invite.created_by !== userId) {
+		throw new Error('Only the project owner or the invite creator can revoke this invite');
+	}
+
+	if (invite.revoked_at) {
+		return formatInvite(invite);
+	}
+
+	const now = Date.now();
+
+	await db.execute({
+		sql: 'UPDATE project_invites SET revoked_at = ?, revoked_by = ? WHERE id = ? AND revoked_at IS NULL',
+		args: [now, userId, inviteId]
+	});
+
+	return formatInvite({ ...invite, revoked_at: now, revoked_by: userId });
+}
+
+// Get who joined through an invite (owner or collaborator)
+export async function getProjectInviteUses(projectId, inviteId, userId) {
+	await assertProjectPermission(projectId, userId, 'invite');
+	await getProjectInvite(projectId, inviteId);
+
+	const result = await db.execute({
+		sql: `SELECT iu.*, u.username, u.name, u.is_guest
+              FROM project_invite_uses iu
+              LEFT JOIN users u ON iu.user_id = u.id
+              WHERE iu.invite_id = ?
+              ORDER BY iu.joined_at DESC`,
+		args: [inviteId]
+	});
+
+	return result.rows;
+}
+
+// Public invite preview (project and what joining gives you)
+export async function getInvitePreview(code) {
+	const invite = await getInviteByCode(code);
+	assertInviteUsable(invite);
+
+	return {
+		project: {
+			id: invite.project_id,
+			name: invite.project_name,
+			description: invite.project_description,
+			creator_name: invite.creator_name,
+			invite_code: invite.code
+		},
+		invite: {
+			role: invite.role,
+			expires_at: invite.expires_at,
+			email_required: Boolean(invite.email)
+		}
+	};
+}
+
+// Join project through an invite, counting the use and recording it in the audit trail
+export async function acceptProjectInvite(code, user) {
+	const invite = await getInviteByCode(code);
+	const project = { id: invite.project_id, name: invite.project_name, description: invite.project_description };
+
+	// Members opening a link again are fine even if it ran out since
+	const currentRole = await getProjectMemberRole(invite.project_id, user.id);
+	if (currentRole) {
+		return { message: 'Already in project', project, role: currentRole };
+	}
+
+	assertInviteUsable(invite);
+
+	// Email-locked invites only work for the verified owner of that address
+	if (invite.email) {
+		if (!user.email || normalizeEmail(user.email) !== invite.email) {
+			throw new Error('This invite was sent to a different email address');
+		}
+		if (!user.email_verified_at) {
+			throw new Error('Please verify your email address to accept this invite');
+		}
+	}
+
+	// Claim a use first so parallel joins can't go past max_uses
+	const now = Date.now();
+	const claimed = await db.execute({
+		sql: `UPDATE project_invites SET use_count = use_count + 1
+              WHERE id = ? AND revoked_at IS NULL
+              AND (expires_at IS NULL OR expires_at > ?)
+              AND (max_uses IS NULL OR use_count < max_uses)`,
+		args: [invite.id, now]
+	});
+
+	if (claimed.rowsAffected === 0) {
+		throw new Error('This invite is no longer valid');
+	}
+
+	const role = invite.role || getDefaultProjectRole(user);
+
+	// Give the use back if the join didn't happen
+	const releaseUse = () => db.execute({
+		sql: 'UPDATE project_invites SET use_count = use_count - 1 WHERE id = ?',
+		args: [invite.id]
+	});
+
+	let joined;
+	try {
+		joined = await joinProject(invite.project_id, user.id, role);
+	} catch (error) {
+		await releaseUse();
+		throw error;
+	}
+
+	// Joined by another request in the meantime
+	if (!joined.role) {
+		await releaseUse();
+		return { message: 'Already in project', project, role: await getProjectMemberRole(invite.project_id, user.id) };
+	}
+
+	await db.execute({
+		sql: 'INSERT INTO project_invite_uses (id, invite_id, project_id, user_id, role, joined_at) VALUES (?, ?, ?, ?, ?, ?)',
+		args: [generateId(), invite.id, invite.project_id, user.id, role, now]
+	});
+
+	return { message: 'Joined project successfully', project, role };
+}
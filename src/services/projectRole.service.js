@@ -0,0 +1,158 @@
+import { db } from '../config/db.js';
+import { broadcastProjectMemberRole } from './websocket.service.js';
+import { notifyUser } from './notification.service.js';
+
+// Per-project roles, stored on project_members.role
+// owner: the creator, collaborator: freelancers working on the project,
+// client: the people the work is for, viewer: read-only
+export const PROJECT_ROLES = ['owner', 'collaborator', 'client', 'viewer'];
+
+// Roles an owner can hand out (ownership stays with the creator)
+const ASSIGNABLE_ROLES = ['collaborator', 'client', 'viewer'];
+
+// Permission matrix: what each role may do in a project
+const PROJECT_PERMISSIONS = {
+	owner: ['post', 'upload', 'invite', 'react', 'secret', 'milestones', 'board', 'time', 'manage_members'],
+	collaborator: ['post', 'upload', 'invite', 'react', 'secret', 'milestones', 'board', 'time'],
+	client: ['post', 'upload', 'react', 'secret', 'board'],
+	viewer: []
+};
+
+// What a denied permission would have allowed (for error messages)
+const PERMISSION_ACTIONS = {
+	post: 'sending messages',
+	upload: 'sharing files',
+	invite: 'inviting people',
+	react: 'reacting to messages',
+	secret: 'sending secret messages',
+	milestones: 'managing milestones',
+	board: 'changing the board',
+	time: 'tracking time',
+	manage_members: 'changing member roles'
+};
+
+// Check if a project role allows an action
+export function hasProjectPermission(role, permission) {
+	return Boolean(PROJECT_PERMISSIONS[role]?.includes(permission));
+}
+
+// Error message for a denied action
+export function projectPermissionError(permission) {
+	return `Your project role does not allow ${PERMISSION_ACTIONS[permission] || permission}`;
+}
+
+// Map of every permission to whether the role has it (for clients to hide controls)
+export function getProjectPermissions(role) {
+	return Object.fromEntries(
+		Object.keys(PERMISSION_ACTIONS).map(permission => [permission, hasProjectPermission(role, permission)])
+	);
+}
+
+// Role a user gets when joining someone else's project
+export function getDefaultProjectRole(user) {
+	if (user.is_guest || ['client', 'guest'].includes(user.role)) {
+		return 'client';
+	}
+	return 'collaborator';
+}
+
+// Get user's role in project (null if not a member)
+export async function getProjectMemberRole(projectId, userId) {
+	const result = await db.execute({
+		sql: 'SELECT role FROM project_members WHERE project_id = ? AND user_id = ?',
+		args: [projectId, userId]
+	});
+
+	return result.rows[0]?.role || null;
+}
+
+// Check if user is a site admin (admins may act in any project, same as the project middleware)
+export async function isAdminUser(userId) {
+	const result = await db.execute({
+		sql: 'SELECT role FROM users WHERE id = ?',
+		args: [userId]
+	});
+
+	return result.rows[0]?.role === 'admin';
+}
+
+// Throw unless user is a member whose role allows the action (or an admin), returns the role ('admin' for admins)
+export async function assertProjectPermission(projectId, userId, permission) {
+	const role = await getProjectMemberRole(projectId, userId);
+
+	if (hasProjectPermission(role, permission)) {
+		return role;
+	}
+
+	if (await isAdminUser(userId)) {
+		return 'admin';
+	}
+
+	if (!role) {
+		throw new Error('You are not a member of this project');
+	}
+
+	throw new Error(projectPermissionError(permission));
+}
+
+// Change a member's role (owners only)
+export async function updateProjectMemberRole(projectId, actorId, memberId, role) {
+	if (!ASSIGNABLE_ROLES.includes(role)) {
+		throw new Error(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+	}
+
+	await assertProjectPermission(projectId, actorId, 'manage_members');
+
+	const memberResult = await db.execute({
+		sql: `SELECT pm.role, u.username, u.name, p.name as project_name
+              FROM project_members pm
+              JOIN users u ON pm.user_id = u.id
+              JOIN projects p ON pm.project_id = p.id
+              WHERE pm.project_id = ? AND pm.user_id = ?`,
+		args: [projectId, memberId]
+	});
+
+	if (memberResult.rows.length === 0) {
+		throw new Error('User is not a member of this project');
+	}
+
+	const member = memberResult.rows[0];
+
+	if (member.role === 'owner') {
+		throw new Error('The project owner\'s role cannot be changed');
+	}
+
+	const updated = {
+		project_id: projectId,
+		user_id: memberId,
+		username: member.username,
+		name: member.name,
+		role,
+		permissions: getProjectPermissions(role)
+	};
+
+	if (member.role === role) {
+		return updated;
+	}
+
+	await db.execute({
+		sql: 'UPDATE project_members SET role = ? WHERE project_id = ? AND user_id = ?',
+		args: [role, projectId, memberId]
+	});
+
+	try {
+		await broadcastProjectMemberRole(projectId, updated);
+	} catch (wsError) {
+		console.error('WebSocket role broadcast failed:', wsError);
+	}
+
+	await notifyUser(memberId, {
+		category: 'projects',
+		type: 'project_role_changed',
+		title: `You are now a ${role} in ${member.project_name}`,
+		data: { project_id: projectId, role },
+		actorId
+	});
+
+	return updated;
+}
@@ -0,0 +1,205 @@
+import { db } from '../config/db.js';
+
+const MAX_LIMIT = 100;
+
+// snippet() markers - swapped for <mark> tags after the text is HTML-escaped
+const MARK_START = '\u0001';
+const MARK_END = '\u0002';
+
+// Turn free text into a safe FTS5 query (every term must match, last term as prefix)
+function buildMatchQuery(query) {
+	const terms = String(query || '')
+		.split(/\s+/)
+		.map(term => term.replace(/[\u0000-\u001f]/g, '').trim())
+		.filter(Boolean);
+
+	if (terms.length === 0) {
+		throw new Error('Search query is required');
+	}
+
+	return terms
+		.map((term, index) => {
+			const quoted = `"${term.replace(/"/g, '""')}"`;
+			return index === terms.length - 1 ? `${quoted}*` : quoted;
+		})
+		.join(' ');
+}
+
+// Escape snippet text and convert markers into <mark> tags
+function formatSnippet(snippet) {
+	return String(snippet || '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(new RegExp(MARK_START, 'g'), '<mark>')
+		.replace(new RegExp(MARK_END, 'g'), '</mark>');
+}
+
+// Add optional sender/type/date filters for a message table alias
+function addCommonFilters(alias, filters, conditions, args) {
+	if (filters.senderId) {
+		conditions.push(`${alias}.sender_id = ?`);
+		args.push(filters.senderId);
+	}
+	if (filters.type) {
+		conditions.push(`${alias}.type = ?`);
+		args.push(filters.type);
+	}
+	if (filters.from) {
+		conditions.push(`${alias}.created_at >= ?`);
+		args.push(filters.from);
+	}
+	if (filters.to) {
+		conditions.push(`${alias}.created_at <= ?`);
+		args.push(filters.to);
+	}
+}
+
+// ORDER BY for a message table alias - each source has to pick its top rows in the
+// requested order, or 'recent' would only re-sort the most relevant matches
+function buildOrderBy(alias, filters) {
+	return filters.sort === 'recent' ? `${alias}.created_at DESC` : 'rank';
+}
+
+// Search P2P messages visible to user (same visibility rules as getMessages)
+async function searchChatMessages(userId, match, filters, fetchCount) {
+	const conditions = [
+		'messages_fts MATCH ?',
+		'cs.is_active = 1',
+		`((cs.user1_id = ? AND m.visible_to_user1 = 1) OR (cs.user2_id = ? AND m.visible_to_user2 = 1))`
+	];
+	const args = [match, userId, userId];
+
+	if (filters.sessionId) {
+		conditions.push('m.session_id = ?');
+		args.push(filters.sessionId);
+	}
+	addCommonFilters('m', filters, conditions, args);
+
+	args.push(fetchCount);
+
+	const result = await db.execute({
+		sql: `SELECT m.id, m.session_id, m.sender_id, m.type, m.content, m.caption, m.created_at,
+              u.username as sender_username,
+              snippet(messages_fts, -1, '${MARK_START}', '${MARK_END}', '…', 12) as snippet,
+              bm25(messages_fts) as rank
+              FROM messages_fts
+              JOIN messages m ON m.rowid = messages_fts.rowid
+              JOIN chat_sessions cs ON m.session_id = cs.id
+              JOIN users u ON m.sender_id = u.id
+              WHERE ${conditions.join(' AND ')}
+              ORDER BY ${buildOrderBy('m', filters)}
+              LIMIT ?`,
+		args
+	});
+
+	return result.rows.map(row => ({
+		source: 'chat',
+		id: row.id,
+		session_id: row.session_id,
+		project_id: null,
+		project_name: null,
+		sender_id: row.sender_id,
+		sender_username: row.sender_username,
+		type: row.type,
+		content: row.content,
+		caption: row.caption,
+		snippet: formatSnippet(row.snippet),
+		created_at: row.created_at,
+		rank: row.rank
+	}));
+}
+
+// Search project messages in user's projects (secret messages only for sender/recipient)
+async function searchProjectMessages(userId, match, filters, fetchCount) {
+	const conditions = [
+		'project_messages_fts MATCH ?',
+		`pm.project_id IN (SELECT project_id FROM project_members WHERE user_id = ?)`,
+		`(pm.type != 'secret' OR pm.sender_id = ? OR pm.recipient_id = ?)`
+	];
+	const args = [match, userId, userId, userId];
+
+	if (filters.projectId) {
+		conditions.push('pm.project_id = ?');
+		args.push(filters.projectId);
+	}
+	addCommonFilters('pm', filters, conditions, args);
+
+	args.push(fetchCount);
+
+	const result = await db.execute({
+		sql: `SELECT pm.id, pm.project_id, pm.sender_id, pm.recipient_id, pm.type, pm.content, pm.caption, pm.created_at,
+              p.name as project_name,
+              u.username as sender_username,
+              snippet(project_messages_fts, -1, '${MARK_START}', '${MARK_END}', '…', 12) as snippet,
+              bm25(project_messages_fts) as rank
+              FROM project_messages_fts
+              JOIN project_messages pm ON pm.rowid = project_messages_fts.rowid
+              JOIN projects p ON pm.project_id = p.id
+              JOIN users u ON pm.sender_id = u.id
+              WHERE ${conditions.join(' AND ')}
+              ORDER BY ${buildOrderBy('pm', filters)}
+              LIMIT ?`,
+		args
+	});
+
+	return result.rows.map(row => ({
+		source: 'project',
+		id: row.id,
+		session_id: null,
+		project_id: row.project_id,
+		project_name: row.project_name,
+		sender_id: row.sender_id,
+		recipient_id: row.recipient_id,
+		sender_username: row.sender_username,
+		type: row.type,
+		content: row.content,
+		caption: row.caption,
+		snippet: formatSnippet(row.snippet),
+		created_at: row.created_at,
+		rank: row.rank
+	}));
+}
+
+// Search messages across P2P chats and projects
+// filters: { scope: 'all'|'chats'|'projects', senderId, type, from, to, projectId, sessionId, sort: 'relevance'|'recent', limit, offset }
+export async function searchMessages(userId, query, filters = {}) {
+	const match = buildMatchQuery(query);
+
+	const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), MAX_LIMIT);
+	const offset = Math.max(parseInt(filters.offset) || 0, 0);
+	const fetchCount = limit + offset;
+
+	// A project filter implies project scope, a session filter implies chat scope
+	let scope = filters.scope || 'all';
+	if (filters.projectId) scope = 'projects';
+	if (filters.sessionId) scope = 'chats';
+
+	if (!['all', 'chats', 'projects'].includes(scope)) {
+		throw new Error('Scope must be all, chats or projects');
+	}
+
+	const results = [];
+
+	if (scope === 'all' || scope === 'chats') {
+		results.push(...await searchChatMessages(userId, match, filters, fetchCount));
+	}
+	if (scope === 'all' || scope === 'projects') {
+		results.push(...await searchProjectMessages(userId, match, filters, fetchCount));
+	}
+
+	// bm25 ranks are lower-is-better
+	if (filters.sort === 'recent') {
+		results.sort((a, b) => b.created_at - a.created_at);
+	} else {
+		results.sort((a, b) => a.rank - b.rank || b.created_at - a.created_at);
+	}
+
+	return {
+		query,
+		limit,
+		offset,
+		results: results.slice(offset, offset + limit)
+	};
+}
@@ -0,0 +1,204 @@
+import { db } from '../config/db.js';
+import { generateId } from '../utils/idGenerator.js';
+import {
+	generateToken,
+	generateRefreshToken,
+	getRefreshTokenSessionId,
+	hashToken,
+	ACCESS_TOKEN_TTL_SECONDS,
+	REFRESH_TOKEN_TTL_MS
+} from '../utils/jwt.js';
+import { closeSessionConnections, getUserConnections } from './websocket.service.js';
+
+// Build the token payload returned to clients
+function buildTokenResponse(user, sessionId, refreshToken) {
+	return {
+		session_id: sessionId,
+		token: generateToken(user, sessionId),
+		refresh_token: refreshToken,
+		expires_in: ACCESS_TOKEN_TTL_SECONDS
+	};
+}
+
+// Create session for a device and issue access + refresh tokens
+export async function createSession(user, device = {}) {
+	const sessionId = generateId();
+	const refreshToken = generateRefreshToken(sessionId);
+	const now = Date.now();
+
+	await db.execute({
+		sql: `INSERT INTO user_sessions (id, user_id, login_at, is_active, device_name, user_agent, ip_address,
+          refresh_token_hash, expires_at, last_used_at)
+          VALUES (?, ?, ?, 1, ?, ?, ?, ?, ?, ?)`,
+		args: [
+			sessionId,
+			user.id,
+			now,
+			device.device_name || null,
+			device.user_agent || null,
+			device.ip_address || null,
+			hashToken(refreshToken),
+			now + REFRESH_TOKEN_TTL_MS,
+			now
+		]
+	});
+
+	return buildTokenResponse(user, sessionId, refreshToken);
+}
+
+// Exchange refresh token for a new token pair (refresh token is rotated on every use)
+export async function refreshSession(refreshToken, device = {}) {
+	const sessionId = getRefreshTokenSessionId(refreshToken);
+	const now = Date.now();
+
+	const result = await db.execute({
+		sql: `SELECT us.*, u.username, u.role, u.is_guest
+          FROM user_sessions us
+          JOIN users u ON us.user_id = u.id
+          WHERE us.id = ?`,
+		args: [sessionId]
+	});
+
+	if (result.rows.length === 0 || !result.rows[0].refresh_token_hash) {
+		throw new Error('Invalid refresh token');
+	}
+
+	const session = result.rows[0];
+
+	if (!session.is_active) {
+		throw new Error('Session has been revoked');
+	}
+
+	if (session.expires_at < now) {
+		await revokeSession(session.user_id, session.id);
+		throw new Error('Session expired, please log in again');
+	}
+
+	// An already-rotated token being replayed means it leaked - kill the session
+	if (session.refresh_token_hash !== hashToken(refreshToken)) {
+		await revokeSession(session.user_id, session.id);
+		throw new Error('Refresh token reuse detected, session revoked');
+	}
+
+	const nextRefreshToken = generateRefreshToken(session.id);
+
+	// Compare-and-swap so two concurrent refreshes can't both succeed
+	const updateResult = await db.execute({
+		sql: `UPDATE user_sessions
+          SET refresh_token_hash = ?, expires_at = ?, last_used_at = ?,
+              user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address)
+          WHERE id = ? AND refresh_token_hash = ? AND is_active = 1`,
+		args: [
+			hashToken(nextRefreshToken),
+			now + REFRESH_TOKEN_TTL_MS,
+			now,
+			device.user_agent || null,
+			device.ip_address || null,
+			session.id,
+			session.refresh_token_hash
+		]
+	});
+
+	if (updateResult.rowsAffected === 0) {
+		throw new Error('Invalid refresh token');
+	}
+
+	const user = {
+		id: session.user_id,
+		username: session.username,
+		role: session.role,
+		is_guest: session.is_guest
+	};
+
+	return buildTokenResponse(user, session.id, nextRefreshToken);
+}
+
+// Check that the session behind an access token hasn't been revoked
+export async function assertActiveSession(sessionId, userId) {
+	if (!sessionId) {
+		throw new Error('Session expired, please log in again');
+	}
+
+	const result = await db.execute({
+		sql: 'SELECT is_active, expires_at FROM user_sessions WHERE id = ? AND user_id = ?',
+		args: [sessionId, userId]
+	});
+
+	if (result.rows.length === 0 || !result.rows[0].is_active) {
+		throw new Error('Session has been revoked');
+	}
+
+	if (result.rows[0].expires_at && result.rows[0].expires_at < Date.now()) {
+		throw new Error('Session expired, please log in again');
+	}
+}
+
+// Get user's active sessions (devices)
+export async function getUserSessions(userId, currentSessionId = null) {
+	const result = await db.execute({
+		sql: `SELECT id, device_name, user_agent, ip_address, login_at, last_used_at, expires_at
+          FROM user_sessions
+          WHERE user_id = ? AND is_active = 1 AND expires_at > ?
+          ORDER BY last_used_at DESC`,
+		args: [userId, Date.now()]
+	});
+
+	const sockets = getUserConnections(userId);
+
+	return result.rows.map(session => ({
+		...session,
+		is_current: session.id === currentSessionId,
+		connections: sockets.filter(socket => socket.session_id === session.id)
+	}));
+}
+
+// Count user's active sessions
+export async function countActiveSessions(userId) {
+	const result = await db.execute({
+		sql: 'SELECT COUNT(*) as count FROM user_sessions WHERE user_id = ? AND is_active = 1 AND expires_at > ?',
+		args: [userId, Date.now()]
+	});
+
+	return result.rows[0].count;
+}
+
+// Revoke a single session (sign out one device)
+export async function revokeSession(userId, sessionId) {
+	const result = await db.execute({
+		sql: 'UPDATE user_sessions SET is_active = 0, logout_at = ?, refresh_token_hash = NULL WHERE id = ? AND user_id = ? AND is_active = 1',
+		args: [Date.now(), sessionId, userId]
+	});
+
+	if (result.rowsAffected === 0) {
+		throw new Error('Session not found');
+	}
+
+	closeSessionConnections(userId, [sessionId]);
+
+	return { message: 'Session revoked' };
+}
+
+// Revoke all of a user's sessions, optionally keeping the current one
+export async function revokeAllSessions(userId, exceptSessionId = null) {
+	const activeResult = await db.execute({
+		sql: 'SELECT id FROM user_sessions WHERE user_id = ? AND is_active = 1 AND id != ?',
+		args: [userId, exceptSessionId || '']
+	});
+
+	const sessionIds = activeResult.rows.map(row => row.id);
+
+	if (sessionIds.length > 0) {
+		await db.execute({
+			sql: `UPDATE user_sessions SET is_active = 0, logout_at = ?, refresh_token_hash = NULL
+            WHERE user_id = ? AND is_active = 1 AND id != ?`,
+			args: [Date.now(), userId, exceptSessionId || '']
+		});
+
+		closeSessionConnections(userId, sessionIds);
+	}
+
+	return {
+		message: 'Sessions revoked',
+		revoked: sessionIds.length
+	};
+}
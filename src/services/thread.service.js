@@ -0,0 +1,160 @@
+import { db } from '../config/db.js';
+import { generateId } from '../utils/idGenerator.js';
+
+// How many of the latest repliers are shown on a root message
+const LATEST_REPLIERS_LIMIT = 3;
+
+// Get a message that can hold a thread (not secret, not itself a thread reply)
+export async function resolveThreadRoot(projectId, rootMessageId) {
+	const result = await db.execute({
+		sql: 'SELECT * FROM project_messages WHERE id = ? AND project_id = ?',
+		args: [rootMessageId, projectId]
+	});
+
+	if (result.rows.length === 0) {
+		throw new Error('Thread not found');
+	}
+
+	const root = result.rows[0];
+
+	if (root.thread_root_id) {
+		throw new Error('Replies cannot start their own thread');
+	}
+
+	if (root.type === 'secret') {
+		throw new Error('Secret messages cannot have threads');
+	}
+
+	return root;
+}
+
+// Follow a thread on the user's behalf (root author and repliers) - keeps an explicit unfollow
+export async function autoFollowThread(projectId, rootMessageId, userIds) {
+	const now = Date.now();
+
+	await db.batch([...new Set(userIds)].map(userId => ({
+		sql: `INSERT OR IGNORE INTO project_thread_follows
+          (id, project_id, root_message_id, user_id, is_following, created_at, updated_at)
+          VALUES (?, ?, ?, ?, 1, ?, ?)`,
+		args: [generateId(), projectId, rootMessageId, userId, now, now]
+	})), 'write');
+}
+
+// Follow or unfollow a thread
+async function setThreadFollow(projectId, rootMessageId, userId, following) {
+	const member = await db.execute({
+		sql: 'SELECT id FROM project_members WHERE project_id = ? AND user_id = ?',
+		args: [projectId, userId]
+	});
+
+	if (member.rows.length === 0) {
+		throw new Error('You are not a member of this project');
+	}
+
+	await resolveThreadRoot(projectId, rootMessageId);
+
+	const now = Date.now();
+
+	await db.execute({
+		sql: `INSERT INTO project_thread_follows
+          (id, project_id, root_message_id, user_id, is_following, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(root_message_id, user_id) DO UPDATE SET is_following = excluded.is_following, updated_at = excluded.updated_at`,
+		args: [generateId(), projectId, rootMessageId, userId, following ? 1 : 0, now, now]
+	});
+
+	return {
+		project_id: projectId,
+		thread_root_id: rootMessageId,
+		following
+	};
+}
+
+// Follow a thread
+export async function followThread(projectId, rootMessageId, userId) {
+	return setThreadFollow(projectId, rootMessageId, userId, true);
+}
+
+// Unfollow a thread
+export async function unfollowThread(projectId, rootMessageId, userId) {
+	return setThreadFollow(projectId, rootMessageId, userId, false);
+}
+
+// Get ids of users following a thread
+export async function getThreadFollowerIds(rootMessageId) {
+	const result = await db.execute({
+		sql: 'SELECT user_id FROM project_thread_follows WHERE root_message_id = ? AND is_following = 1',
+		args: [rootMessageId]
+	});
+
+	return result.rows.map(row => row.user_id);
+}
+
+// Get reply count, last reply time and latest repliers for root messages
+// Returns Map(rootId -> summary); following is only set when userId is given
+export async function getThreadSummaries(rootMessageIds, userId = null) {
+	const summaries = new Map();
+
+	if (rootMessageIds.length === 0) {
+		return summaries;
+	}
+
+	const placeholders = rootMessageIds.map(() => '?').join(',');
+
+	const countsResult = await db.execute({
+		sql: `SELECT thread_root_id, COUNT(*) as reply_count, MAX(created_at) as last_reply_at
+          FROM project_messages
+          WHERE thread_root_id IN (${placeholders}) AND deleted_at IS NULL
+          GROUP BY thread_root_id`,
+		args: rootMessageIds
+	});
+
+	const repliersResult = await db.execute({
+		sql: `SELECT pm.thread_root_id, pm.sender_id as user_id, u.username, u.name, MAX(pm.created_at) as last_reply_at
+          FROM project_messages pm
+          JOIN users u ON pm.sender_id = u.id
+          WHERE pm.thread_root_id IN (${placeholders}) AND pm.deleted_at IS NULL
+          GROUP BY pm.thread_root_id, pm.sender_id
+          ORDER BY last_reply_at DESC`,
+		args: rootMessageIds
+	});
+
+	let followed = new Set();
+	if (userId) {
+		const followsResult = await db.execute({
+			sql: `SELECT root_message_id FROM project_thread_follows
+            WHERE user_id = ? AND is_following = 1 AND root_message_id IN (${placeholders})`,
+			args: [userId, ...rootMessageIds]
+		});
+		followed = new Set(followsResult.rows.map(row => row.root_message_id));
+	}
+
+	for (const rootId of rootMessageIds) {
+		summaries.set(rootId, {
+			thread_reply_count: 0,
+			thread_last_reply_at: null,
+			thread_participants: [],
+			...(userId && { thread_following: followed.has(rootId) })
+		});
+	}
+
+	for (const row of countsResult.rows) {
+		const summary = summaries.get(row.thread_root_id);
+		summary.thread_reply_count = row.reply_count;
+		summary.thread_last_reply_at = row.last_reply_at;
+	}
+
+	for (const row of repliersResult.rows) {
+		const participants = summaries.get(row.thread_root_id).thread_participants;
+		if (participants.length < LATEST_REPLIERS_LIMIT) {
+			participants.push({
+				user_id: row.user_id,
+				username: row.username,
+				name: row.name,
+				last_reply_at: row.last_reply_at
+			});
+		}
+	}
+
+	return summaries;
+}
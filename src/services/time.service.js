@@ -0,0 +1,327 @@
+import { db } from '../config/db.js';
+import { generateId } from '../utils/idGenerator.js';
+import { broadcastProjectTimer } from './websocket.service.js';
+import { hasProjectPermission, projectPermissionError } from './projectRole.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only freelancers in the project (creator or collaborators) track time
+async function getTrackingMember(projectId, userId) {
+	const result = await db.execute({
+		sql: `SELECT u.id, u.username, u.name, u.role, pm.role as project_role
+              FROM project_members pm
+              JOIN users u ON pm.user_id = u.id
+              WHERE pm.project_id = ? AND pm.user_id = ?`,
+		args: [projectId, userId]
+	});
+
+	if (result.rows.length === 0) {
+		throw new Error('You must be in the project to track time');
+	}
+
+	const user = result.rows[0];
+
+	if (user.role !== 'freelancer') {
+		throw new Error('Only freelancers can track time');
+	}
+
+	return user;
+}
+
+// Check that member's project role allows logging new time (stopping a running timer always works)
+function assertCanLogTime(member) {
+	if (!hasProjectPermission(member.project_role, 'time')) {
+		throw new Error(projectPermissionError('time'));
+	}
+}
+
+// Get time entry by ID
+export async function getTimeEntryById(projectId, entryId) {
+	const result = await db.execute({
+		sql: `SELECT te.*, u.username, u.name
+              FROM time_entries te
+              JOIN users u ON te.user_id = u.id
+              WHERE te.id = ? AND te.project_id = ?`,
+		args: [entryId, projectId]
+	});
+
+	if (result.rows.length === 0) {
+		throw new Error('Time entry not found');
+	}
+
+	return result.rows[0];
+}
+
+// Get running timer for user in project (null if none)
+export async function getRunningTimer(projectId, userId) {
+	const result = await db.execute({
+		sql: `SELECT * FROM time_entries
+              WHERE project_id = ? AND user_id = ? AND ended_at IS NULL`,
+		args: [projectId, userId]
+	});
+
+	return result.rows[0] || null;
+}
+
+// Get all running timers in project ("working now")
+export async function getActiveTimers(projectId) {
+	const result = await db.execute({
+		sql: `SELECT te.*, u.username, u.name
+              FROM time_entries te
+              JOIN users u ON te.user_id = u.id
+              WHERE te.project_id = ? AND te.ended_at IS NULL
+              ORDER BY te.started_at ASC`,
+		args: [projectId]
+	});
+
+	return result.rows;
+}
+
+// Start timer
+export async function startTimer(projectId, userId, description = null) {
+	const user = await getTrackingMember(projectId, userId);
+	assertCanLogTime(user);
+
+	if (await getRunningTimer(projectId, userId)) {
+		throw new Error('A timer is already running in this project');
+	}
+
+	const entryId = generateId();
+	const now = Date.now();
+
+	// The running-timer unique index turns a parallel start into a no-op
+	const inserted = await db.execute({
+		sql: `INSERT OR IGNORE INTO time_entries (id, project_id, user_id, description, started_at, is_manual, billable, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, 0, 1, ?, ?)`,
+		args: [entryId, projectId, userId, description, now, now, now]
+	});
+
+	if (inserted.rowsAffected === 0) {
+		throw new Error('A timer is already running in this project');
+	}
+
+	const entry = await getTimeEntryById(projectId, entryId);
+
+	try {
+		await broadcastProjectTimer(projectId, user, 'started', entry);
+	} catch (wsError) {
+		console.error('WebSocket timer broadcast failed:', wsError);
+	}
+
+	return entry;
+}
+
+// Stop running timer
+export async function stopTimer(projectId, userId) {
+	const user = await getTrackingMember(projectId, userId);
+	const running = await getRunningTimer(projectId, userId);
+
+	if (!running) {
+		throw new Error('No timer is running in this project');
+	}
+
+	const now = Date.now();
+	const durationSeconds = Math.round((now - running.started_at) / 1000);
+
+	await db.execute({
+		sql: `UPDATE time_entries SET ended_at = ?, duration_seconds = ?, updated_at = ? WHERE id = ?`,
+		args: [now, durationSeconds, now, running.id]
+	});
+
+	const entry = await getTimeEntryById(projectId, running.id);
+
+	try {
+		await broadcastProjectTimer(projectId, user, 'stopped', entry);
+	} catch (wsError) {
+		console.error('WebSocket timer broadcast failed:', wsError);
+	}
+
+	return entry;
+}
+
+// Add manual time entry
+export async function addManualEntry(projectId, userId, data) {
+	const { description, started_at, ended_at, duration_minutes, billable = true } = data;
+
+	assertCanLogTime(await getTrackingMember(projectId, userId));
+
+	const startedAt = Number(started_at);
+	if (!Number.isFinite(startedAt) || startedAt <= 0) {
+		throw new Error('started_at is required');
+	}
+
+	// Accept either an end time or a duration
+	let endedAt;
+	if (ended_at !== undefined) {
+		endedAt = Number(ended_at);
+	} else if (duration_minutes !== undefined) {
+		endedAt = startedAt + Number(duration_minutes) * 60 * 1000;
+	} else {
+		throw new Error('ended_at or duration_minutes is required');
+	}
+
+	if (!Number.isFinite(endedAt) || endedAt <= startedAt) {
+		throw new Error('Time entry must end after it starts');
+	}
+
+	if (endedAt > Date.now()) {
+		throw new Error('Time entry cannot end in the future');
+	}
+
+	const entryId = generateId();
+	const now = Date.now();
+
+	await db.execute({
+		sql: `INSERT INTO time_entries
+              (id, project_id, user_id, description, started_at, ended_at, duration_seconds, is_manual, billable, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)`,
+		args: [
+			entryId,
+			projectId,
+			userId,
+			description || null,
+			startedAt,
+			endedAt,
+			Math.round((endedAt - startedAt) / 1000),
+			billable ? 1 : 0,
+			now,
+			now
+		]
+	});
+
+	return getTimeEntryById(projectId, entryId);
+}
+
+// Delete own time entry (not once it has been invoiced)
+export async function deleteTimeEntry(projectId, entryId, userId) {
+	const entry = await getTimeEntryById(projectId, entryId);
+
+	if (entry.user_id !== userId) {
+		throw new Error('You can only delete your own time entries');
+	}
+
+	const invoiced = await db.execute({
+		sql: `SELECT ii.id FROM invoice_items ii
+              JOIN invoices i ON ii.invoice_id = i.id
+              WHERE ii.source_type = 'time_entry' AND ii.source_id = ? AND i.status != 'void'`,
+		args: [entryId]
+	});
+
+	if (invoiced.rows.length > 0) {
+		throw new Error('Time entry has already been invoiced');
+	}
+
+	await db.execute({
+		sql: 'DELETE FROM time_entries WHERE id = ?',
+		args: [entryId]
+	});
+
+	return { message: 'Time entry deleted' };
+}
+
+// Get completed time entries for project (optional user and date range filters)
+export async function getTimeEntries(projectId, filters = {}) {
+	const { userId, from, to } = filters;
+
+	const conditions = ['te.project_id = ?', 'te.ended_at IS NOT NULL'];
+	const args = [projectId];
+
+	if (userId) {
+		conditions.push('te.user_id = ?');
+		args.push(userId);
+	}
+	if (from) {
+		conditions.push('te.started_at >= ?');
+		args.push(from);
+	}
+	if (to) {
+		conditions.push('te.started_at < ?');
+		args.push(to);
+	}
+
+	const result = await db.execute({
+		sql: `SELECT te.*, u.username, u.name
+              FROM time_entries te
+              JOIN users u ON te.user_id = u.id
+              WHERE ${conditions.join(' AND ')}
+              ORDER BY te.started_at ASC`,
+		args
+	});
+
+	return result.rows;
+}
+
+// Get Monday 00:00 UTC of the week containing timestamp
+function getWeekStart(timestamp) {
+	const date = new Date(timestamp);
+	const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+	return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday);
+}
+
+// Weekly timesheet - seconds per user per day (UTC, entries count on the day they started)
+export async function getWeeklyTimesheet(projectId, weekOf = Date.now(), userId = null) {
+	const weekStart = getWeekStart(weekOf);
+	const weekEnd = weekStart + 7 * DAY_MS;
+
+	const entries = await getTimeEntries(projectId, { userId, from: weekStart, to: weekEnd });
+
+	const days = Array.from({ length: 7 }, (_, i) =>
+		new Date(weekStart + i * DAY_MS).toISOString().substring(0, 10));
+
+	const byUser = {};
+	entries.forEach(entry => {
+		if (!byUser[entry.user_id]) {
+			byUser[entry.user_id] = {
+				user_id: entry.user_id,
+				username: entry.username,
+				name: entry.name,
+				days: Object.fromEntries(days.map(day => [day, 0])),
+				total_seconds: 0,
+				billable_seconds: 0
+			};
+		}
+
+		const row = byUser[entry.user_id];
+		const day = new Date(entry.started_at).toISOString().substring(0, 10);
+		row.days[day] += entry.duration_seconds;
+		row.total_seconds += entry.duration_seconds;
+		if (entry.billable) {
+			row.billable_seconds += entry.duration_seconds;
+		}
+	});
+
+	const users = Object.values(byUser);
+
+	return {
+		week_start: days[0],
+		week_end: days[6],
+		days,
+		users,
+		total_seconds: users.reduce((sum, row) => sum + row.total_seconds, 0)
+	};
+}
+
+// Quote a CSV field when needed
+function csvField(value) {
+	const text = String(value ?? '');
+	return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export time entries as CSV
+export async function exportTimeEntriesCsv(projectId, filters = {}) {
+	const entries = await getTimeEntries(projectId, filters);
+
+	const header = ['date', 'user', 'description', 'started_at', 'ended_at', 'hours', 'billable', 'manual'];
+	const rows = entries.map(entry => [
+		new Date(entry.started_at).toISOString().substring(0, 10),
+		entry.username,
+		entry.description,
+		new Date(entry.started_at).toISOString(),
+		new Date(entry.ended_at).toISOString(),
+		(entry.duration_seconds / 3600).toFixed(2),
+		entry.billable ? 'yes' : 'no',
+		entry.is_manual ? 'yes' : 'no'
+	]);
+
+	return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,308 @@
+import { randomBytes } from 'crypto';
+import { db } from '../config/db.js';
+import { generateId } from '../utils/idGenerator.js';
+import { hashToken } from '../utils/jwt.js';
+import {
+	generateTotpSecret,
+	verifyTotp,
+	buildOtpauthUri,
+	encryptSecret,
+	decryptSecret
+} from '../utils/totp.js';
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Freelancer Chat';
+const RECOVERY_CODE_COUNT = 10;
+
+// Second login step: how long it stays open and how many wrong codes it takes
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+// Roles covered by the "staff must use 2FA" setting
+const STAFF_ROLES = ['admin', 'moderator'];
+const ADMIN_2FA_SETTING = 'require_admin_2fa';
+
+// Get user's 2FA columns
+async function getTwoFactorUser(userId) {
+	const result = await db.execute({
+		sql: 'SELECT id, username, email, role, is_guest, totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = ?',
+		args: [userId]
+	});
+
+	if (result.rows.length === 0) {
+		throw new Error('User not found');
+	}
+
+	return result.rows[0];
+}
+
+// Normalize recovery code for hashing ("ABCDE-12345" and "abcde12345" match)
+function normalizeRecoveryCode(code) {
+	return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Replace user's recovery codes, returns the new plain codes (shown once)
+async function createRecoveryCodes(userId) {
+	const now = Date.now();
+	const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+		const hex = randomBytes(5).toString('hex');
+		return `${hex.substring(0, 5)}-${hex.substring(5)}`;
+	});
+
+	await db.batch([
+		{
+			sql: 'DELETE FROM user_recovery_codes WHERE user_id = ?',
+			args: [userId]
+		},
+		...codes.map(code => ({
+			sql: 'INSERT INTO user_recovery_codes (id, user_id, code_hash, created_at) VALUES (?, ?, ?, ?)',
+			args: [generateId(), userId, hashToken(normalizeRecoveryCode(code)), now]
+		}))
+	], 'write');
+
+	return codes;
+}
+
+// Check authenticator or recovery code for a user with 2FA enabled.
+// Each TOTP step and each recovery code works once.
+async function verifySecondFactor(user, code) {
+	const step = verifyTotp(decryptSecret(user.totp_secret), code);
+
+	if (step !== null) {
+		const result = await db.execute({
+			sql: 'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+			args: [step, user.id, step]
+		});
+		return result.rowsAffected > 0;
+	}
+
+	const result = await db.execute({
+		sql: 'UPDATE user_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+		args: [Date.now(), user.id, hashToken(normalizeRecoveryCode(code))]
+	});
+
+	return result.rowsAffected > 0;
+}
+
+// Load user with 2FA enabled and check their code
+async function assertSecondFactor(userId, code) {
+	const user = await getTwoFactorUser(userId);
+
+	if (!user.totp_enabled_at) {
+		throw new Error('Two-factor authentication is not enabled');
+	}
+
+	if (!code || !(await verifySecondFactor(user, code))) {
+		throw new Error('Invalid authentication code');
+	}
+
+	return user;
+}
+
+// Check if admins and moderators must use 2FA
+export async function isAdminTwoFactorRequired() {
+	const result = await db.execute({
+		sql: 'SELECT value FROM system_settings WHERE key = ?',
+		args: [ADMIN_2FA_SETTING]
+	});
+
+	return result.rows[0]?.value === 'true';
+}
+
+// Require (or stop requiring) 2FA for admins and moderators
+export async function setAdminTwoFactorRequired(adminId, required) {
+	if (typeof required !== 'boolean') {
+		throw new Error('required must be true or false');
+	}
+
+	// Don't let an admin lock themselves out of the admin panel
+	if (required) {
+		const admin = await getTwoFactorUser(adminId);
+		if (!admin.totp_enabled_at) {
+			throw new Error('Enable two-factor authentication on your own account first');
+		}
+	}
+
+	await db.execute({
+		sql: `INSERT INTO system_settings (key, value, updated_by, updated_at) VALUES (?, ?, ?, ?)
+          ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+		args: [ADMIN_2FA_SETTING, String(required), adminId, Date.now()]
+	});
+
+	return { required };
+}
+
+// Check if user must enable 2FA before using staff tools
+export async function needsStaffTwoFactor(user) {
+	return STAFF_ROLES.includes(user.role) && !user.totp_enabled_at && await isAdminTwoFactorRequired();
+}
+
+// Check if user has 2FA enabled
+export async function isTwoFactorEnabled(userId) {
+	const user = await getTwoFactorUser(userId);
+	return Boolean(user.totp_enabled_at);
+}
+
+// Get user's 2FA status
+export async function getTwoFactorStatus(userId) {
+	const user = await getTwoFactorUser(userId);
+
+	const codesResult = await db.execute({
+		sql: 'SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+		args: [userId]
+	});
+
+	return {
+		enabled: Boolean(user.totp_enabled_at),
+		enabled_at: user.totp_enabled_at || null,
+		setup_pending: Boolean(user.totp_secret && !user.totp_enabled_at),
+		recovery_codes_remaining: user.totp_enabled_at ? codesResult.rows[0].count : 0,
+		required: STAFF_ROLES.includes(user.role) && await isAdminTwoFactorRequired()
+	};
+}
+
+// Start enrollment: new secret and provisioning URI for the authenticator app
+export async function beginTwoFactorSetup(userId) {
+	const user = await getTwoFactorUser(userId);
+
+	if (user.is_guest) {
+		throw new Error('Guest accounts cannot use two-factor authentication');
+	}
+
+	if (user.totp_enabled_at) {
+		throw new Error('Two-factor authentication is already enabled');
+	}
+
+	const secret = generateTotpSecret();
+
+	await db.execute({
+		sql: 'UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?',
+		args: [encryptSecret(secret), userId]
+	});
+
+	return {
+		secret,
+		otpauth_uri: buildOtpauthUri(secret, user.email || user.username, TOTP_ISSUER)
+	};
+}
+
+// Finish enrollment with a code from the app, returns recovery codes (shown once)
+export async function enableTwoFactor(userId, code) {
+	const user = await getTwoFactorUser(userId);
+
+	if (user.totp_enabled_at) {
+		throw new Error('Two-factor authentication is already enabled');
+	}
+
+	if (!user.totp_secret) {
+		throw new Error('Start two-factor setup first');
+	}
+
+	const step = verifyTotp(decryptSecret(user.totp_secret), code);
+
+	if (step === null) {
+		throw new Error('Invalid authentication code');
+	}
+
+	await db.execute({
+		sql: 'UPDATE users SET totp_enabled_at = ?, totp_last_step = ? WHERE id = ?',
+		args: [Date.now(), step, userId]
+	});
+
+	return {
+		message: 'Two-factor authentication enabled',
+		recovery_codes: await createRecoveryCodes(userId)
+	};
+}
+
+// Turn 2FA off (needs a current authenticator or recovery code)
+export async function disableTwoFactor(userId, code) {
+	const user = await assertSecondFactor(userId, code);
+
+	if (STAFF_ROLES.includes(user.role) && await isAdminTwoFactorRequired()) {
+		throw new Error('Two-factor authentication is required for your role');
+	}
+
+	await db.batch([
+		{
+			sql: 'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?',
+			args: [userId]
+		},
+		{
+			sql: 'DELETE FROM user_recovery_codes WHERE user_id = ?',
+			args: [userId]
+		}
+	], 'write');
+
+	return { message: 'Two-factor authentication disabled' };
+}
+
+// Replace recovery codes (needs a current authenticator or recovery code)
+export async function regenerateRecoveryCodes(userId, code) {
+	await assertSecondFactor(userId, code);
+
+	return {
+		message: 'Recovery codes regenerated',
+		recovery_codes: await createRecoveryCodes(userId)
+	};
+}
+
+// Open second login step after the password (or identity provider) check passed
+export async function createTwoFactorChallenge(userId) {
+	const token = randomBytes(32).toString('base64url');
+	const now = Date.now();
+
+	await db.batch([
+		{
+			sql: 'DELETE FROM two_factor_challenges WHERE expires_at < ?',
+			args: [now]
+		},
+		{
+			sql: `INSERT INTO two_factor_challenges (id, user_id, token_hash, attempts, created_at, expires_at)
+            VALUES (?, ?, ?, 0, ?, ?)`,
+			args: [generateId(), userId, hashToken(token), now, now + CHALLENGE_TTL_MS]
+		}
+	], 'write');
+
+	return {
+		two_factor_required: true,
+		challenge_token: token,
+		expires_in: CHALLENGE_TTL_MS / 1000
+	};
+}
+
+// Finish second login step, returns the user id to create a session for
+export async function completeTwoFactorChallenge(challengeToken, code) {
+	const result = await db.execute({
+		sql: 'SELECT * FROM two_factor_challenges WHERE token_hash = ?',
+		args: [hashToken(String(challengeToken || ''))]
+	});
+
+	const challenge = result.rows[0];
+
+	if (!challenge || challenge.expires_at < Date.now() || challenge.attempts >= CHALLENGE_MAX_ATTEMPTS) {
+		throw new Error('Login expired, please sign in again');
+	}
+
+	// Count the attempt first so parallel guesses can't exceed the limit
+	const counted = await db.execute({
+		sql: 'UPDATE two_factor_challenges SET attempts = attempts + 1 WHERE id = ? AND attempts < ?',
+		args: [challenge.id, CHALLENGE_MAX_ATTEMPTS]
+	});
+
+	if (counted.rowsAffected === 0) {
+		throw new Error('Login expired, please sign in again');
+	}
+
+	await assertSecondFactor(challenge.user_id, code);
+
+	const claimed = await db.execute({
+		sql: 'DELETE FROM two_factor_challenges WHERE id = ?',
+		args: [challenge.id]
+	});
+
+	if (claimed.rowsAffected === 0) {
+		throw new Error('Login expired, please sign in again');
+	}
+
+	return challenge.user_id;
+}
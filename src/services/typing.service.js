@@ -0,0 +1,178 @@
+import { db } from '../config/db.js';
+import { broadcastChatTyping, broadcastProjectTyping } from './websocket.service.js';
+
+// A typing indicator expires unless the client re-sends typing_start within this window
+export const TYPING_TTL_MS = 6000;
+// Repeated typing_start frames inside this window are ignored
+const TYPING_THROTTLE_MS = 2000;
+
+// One row per user per chat/project, so upserts keep the table small
+function indicatorId(target, userId) {
+	return target.session_id ? `s:${target.session_id}:${userId}` : `p:${target.project_id}:${userId}`;
+}
+
+// Resolve typing target and check the user belongs to it
+// target: { session_id } or { project_id }
+async function resolveTarget(target, userId) {
+	if (target.session_id) {
+		const result = await db.execute({
+			sql: 'SELECT id, user1_id, user2_id FROM chat_sessions WHERE id = ? AND is_active = 1',
+			args: [target.session_id]
+		});
+
+		if (result.rows.length === 0) {
+			throw new Error('Chat session not found');
+		}
+
+		const session = result.rows[0];
+		if (session.user1_id !== userId && session.user2_id !== userId) {
+			throw new Error('User is not part of this chat session');
+		}
+
+		return { session };
+	}
+
+	if (target.project_id) {
+		const result = await db.execute({
+			sql: 'SELECT id FROM project_members WHERE project_id = ? AND user_id = ?',
+			args: [target.project_id, userId]
+		});
+
+		if (result.rows.length === 0) {
+			throw new Error('You are not a member of this project');
+		}
+
+		return { projectId: target.project_id };
+	}
+
+	throw new Error('session_id or project_id is required');
+}
+
+// Relay typing state to the other chat participant or project members
+async function relayTyping(resolved, user, isTyping) {
+	const expiresIn = isTyping ? TYPING_TTL_MS : null;
+
+	if (resolved.session) {
+		return broadcastChatTyping(resolved.session, user, isTyping, expiresIn);
+	}
+	return broadcastProjectTyping(resolved.projectId, user, isTyping, expiresIn);
+}
+
+// Get public user fields for typing frames
+async function getTypingUser(userId) {
+	const result = await db.execute({
+		sql: 'SELECT id, username, name FROM users WHERE id = ?',
+		args: [userId]
+	});
+
+	if (result.rows.length === 0) {
+		throw new Error('User not found');
+	}
+
+	return result.rows[0];
+}
+
+// User started typing (throttled)
+export async function startTyping(userId, target) {
+	const resolved = await resolveTarget(target, userId);
+	const id = indicatorId(target, userId);
+	const now = Date.now();
+
+	const existing = await db.execute({
+		sql: 'SELECT is_typing, updated_at FROM typing_indicators WHERE id = ?',
+		args: [id]
+	});
+
+	if (existing.rows.length > 0 && existing.rows[0].is_typing && now - existing.rows[0].updated_at < TYPING_THROTTLE_MS) {
+		return { throttled: true };
+	}
+
+	await db.execute({
+		sql: `INSERT INTO typing_indicators (id, session_id, project_id, user_id, is_typing, updated_at)
+          VALUES (?, ?, ?, ?, 1, ?)
+          ON CONFLICT(id) DO UPDATE SET is_typing = 1, updated_at = excluded.updated_at`,
+		args: [id, target.session_id || null, target.session_id ? null : target.project_id, userId, now]
+	});
+
+	await relayTyping(resolved, await getTypingUser(userId), true);
+
+	return { throttled: false };
+}
+
+// User stopped typing
+export async function stopTyping(userId, target) {
+	const resolved = await resolveTarget(target, userId);
+
+	const result = await db.execute({
+		sql: 'UPDATE typing_indicators SET is_typing = 0, updated_at = ? WHERE id = ? AND is_typing = 1',
+		args: [Date.now(), indicatorId(target, userId)]
+	});
+
+	// Only relay an actual state change
+	if (result.rowsAffected > 0) {
+		await relayTyping(resolved, await getTypingUser(userId), false);
+	}
+
+	return { stopped: result.rowsAffected > 0 };
+}
+
+// Stop every indicator for a user (e.g. their last socket closed)
+export async function stopAllTyping(userId) {
+	const result = await db.execute({
+		sql: 'SELECT session_id, project_id FROM typing_indicators WHERE user_id = ? AND is_typing = 1',
+		args: [userId]
+	});
+
+	for (const row of result.rows) {
+		try {
+			await stopTyping(userId, { session_id: row.session_id, project_id: row.project_id });
+		} catch (error) {
+			// Chat ended or user left the project - just clear the row
+			await db.execute({
+				sql: 'UPDATE typing_indicators SET is_typing = 0 WHERE id = ?',
+				args: [indicatorId(row, userId)]
+			});
+		}
+	}
+}
+
+// Expire indicators whose client stopped refreshing them and relay typing_stop
+export async function expireTypingIndicators() {
+	const result = await db.execute({
+		sql: 'SELECT user_id, session_id, project_id FROM typing_indicators WHERE is_typing = 1 AND updated_at < ?',
+		args: [Date.now() - TYPING_TTL_MS]
+	});
+
+	for (const row of result.rows) {
+		try {
+			await stopTyping(row.user_id, { session_id: row.session_id, project_id: row.project_id });
+		} catch (error) {
+			await db.execute({
+				sql: 'UPDATE typing_indicators SET is_typing = 0 WHERE id = ?',
+				args: [indicatorId(row, row.user_id)]
+			});
+		}
+	}
+
+	return result.rows.length;
+}
+
+// Get users currently typing in a chat session or project (excluding the requester)
+export async function getTypingUsers(userId, target) {
+	await resolveTarget(target, userId);
+
+	const column = target.session_id ? 'session_id' : 'project_id';
+	const result = await db.execute({
+		sql: `SELECT ti.user_id, u.username, u.name, ti.updated_at
+          FROM typing_indicators ti
+          JOIN users u ON ti.user_id = u.id
+          WHERE ti.${column} = ? AND ti.is_typing = 1 AND ti.updated_at >= ? AND ti.user_id != ?
+          ORDER BY ti.updated_at ASC`,
+		args: [target.session_id || target.project_id, Date.now() - TYPING_TTL_MS, userId]
+	});
+
+	return result.rows.map(row => ({
+		...row,
+		expires_at: row.updated_at + TYPING_TTL_MS
+	}));
+}
@@ -1,8 +1,14 @@
 import { db } from '../config/db.js';
 import { hashPassword, comparePassword } from '../utils/password.js';
 import { generateId } from '../utils/idGenerator.js';
+import { isValidEmail } from '../utils/mailMessage.js';
 import { handleUserLogout } from './chat.service.js';
 import { markUserProjectsForDeletion } from './project.service.js'; // RENAMED from markUserRoomsForDeletion
+import { revokeSession, revokeAllSessions, countActiveSessions } from './session.service.js';
+import { assertLoginAllowed, recordLoginFailure, clearLoginFailures } from './loginLockout.service.js';
+
+// Users updated per last_seen_at statement
+const LAST_SEEN_BATCH_SIZE = 500;
 
 // Create guest user (clients joining via invite)
 export async function createGuestUser(data) {
@@ -25,9 +31,6 @@ export async function createGuestUser(data) {
 		args: [userId, guestUsername, name || username || 'Guest', gender || null, age || null, now, now]
 	});
 
-	// Create user session
-	await createUserSession(userId);
-
 	return {
 		id: userId,
 		username: guestUsername,
@@ -50,6 +53,10 @@ export async function registerUser(data) {
 		throw new Error('Username, email, password, and name are required');
 	}
 
+	if (!isValidEmail(email)) {
+		throw new Error('Invalid email address');
+	}
+
 	// Validate age if provided
 	if (age && age < 18) {
 		throw new Error('You must be 18 or older');
@@ -87,9 +94,6 @@ export async function registerUser(data) {
 		args: [userId, username, email, hashedPassword, name, gender || null, age || null, now, now]
 	});
 
-	// Create user session
-	await createUserSession(userId);
-
 	return {
 		id: userId,
 		username,
@@ -99,6 +103,7 @@ export async function registerUser(data) {
 		age: age || null,
 		role: 'freelancer',
 		is_guest: false,
+		email_verified_at: null,
 		plan: 'free',
 		storage_used: 0
 	};
@@ -113,6 +118,10 @@ export async function registerClient(data) {
 		throw new Error('Username, email, password, and name are required');
 	}
 
+	if (!isValidEmail(email)) {
+		throw new Error('Invalid email address');
+	}
+
 	// Validate age if provided
 	if (age && age < 18) {
 		throw new Error('You must be 18 or older');
@@ -150,9 +159,6 @@ export async function registerClient(data) {
 		args: [userId, username, email, hashedPassword, name, gender || null, age || null, now, now]
 	});
 
-	// Create user session
-	await createUserSession(userId);
-
 	return {
 		id: userId,
 		username,
@@ -162,6 +168,7 @@ export async function registerClient(data) {
 		age: age || null,
 		role: 'client',
 		is_guest: false,
+		email_verified_at: null,
 		plan: 'free',
 		storage_used: 0
 	};
@@ -175,12 +182,17 @@ export async function loginUser(usernameOrEmail, password) {
 		args: [usernameOrEmail, usernameOrEmail]
 	});
 
-	if (result.rows.length === 0) {
+	const user = result.rows[0];
+
+	// Lock out by account when it exists, so username and email share one failure count
+	const lockoutKey = user ? `user:${user.id}` : `login:${usernameOrEmail}`;
+	await assertLoginAllowed(lockoutKey);
+
+	if (!user) {
+		await recordLoginFailure(lockoutKey);
 		throw new Error('Invalid credentials');
 	}
 
-	const user = result.rows[0];
-
 	// Check if guest (guests don't have passwords)
 	if (user.is_guest) {
 		throw new Error('Guest users cannot login with password');
@@ -188,6 +200,7 @@ export async function loginUser(usernameOrEmail, password) {
 
 	// Check if user has a password (some users might not)
 	if (!user.password) {
+		await recordLoginFailure(lockoutKey);
 		throw new Error('Invalid credentials');
 	}
 
@@ -195,9 +208,12 @@ export async function loginUser(usernameOrEmail, password) {
 	const isValid = await comparePassword(password, user.password);
 
 	if (!isValid) {
+		await recordLoginFailure(lockoutKey);
 		throw new Error('Invalid credentials');
 	}
 
+	await clearLoginFailures(lockoutKey);
+
 	// Update last login and online status
 	const now = Date.now();
 	await db.execute({
@@ -205,8 +221,114 @@ export async function loginUser(usernameOrEmail, password) {
 		args: [now, user.id]
 	});
 
-	// Create user session
-	await createUserSession(user.id);
+	return {
+		id: user.id,
+		username: user.username,
+		email: user.email,
+		name: user.name,
+		gender: user.gender,
+		age: user.age,
+		role: user.role,
+		is_guest: false,
+		email_verified_at: user.email_verified_at,
+		plan: user.plan,
+		storage_used: user.storage_used
+	};
+}
+
+// Pick an unused username from the identity's preferred username, email or name
+async function generateUsernameFromClaims(claims) {
+	const base = (claims.preferred_username || claims.email?.split('@')[0] || claims.name || 'user')
+		.toLowerCase()
+		.replace(/[^a-z0-9_.-]/g, '')
+		.substring(0, 20) || 'user';
+
+	if (await checkUsernameAvailable(base)) {
+		return base;
+	}
+
+	return `${base}-${generateId().substring(0, 6)}`;
+}
+
+// Sign in with an OpenID Connect identity - claims come from a verified ID token.
+// Known identities sign in to their user; otherwise the identity is linked to the user with the same
+// email (verified by both the provider and this app), or a new account is created with the given role ('client' or 'freelancer')
+export async function loginWithOidcIdentity(provider, claims, role = 'client') {
+	if (!['client', 'freelancer'].includes(role)) {
+		throw new Error('Role must be client or freelancer');
+	}
+
+	const now = Date.now();
+	const email = claims.email ? String(claims.email).trim() : null;
+	const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+	const identityResult = await db.execute({
+		sql: 'SELECT user_id FROM user_identities WHERE provider = ? AND subject = ?',
+		args: [provider, claims.sub]
+	});
+
+	let userId = identityResult.rows[0]?.user_id;
+
+	if (!userId) {
+		const existingResult = email
+			? await db.execute({ sql: 'SELECT id, is_guest, email_verified_at FROM users WHERE email = ?', args: [email] })
+			: { rows: [] };
+		const existing = existingResult.rows[0];
+
+		if (existing && !emailVerified) {
+			throw new Error('An account with this email already exists - sign in with your password instead');
+		}
+
+		if (existing && existing.is_guest) {
+			throw new Error('Guest accounts cannot be linked');
+		}
+
+		// Anyone can register an address they don't own - linking to an unverified account would
+		// hand the real owner's sign-in to whoever registered it (and their password keeps working)
+		if (existing && !existing.email_verified_at) {
+			throw new Error('An account with this email already exists - sign in with your password and verify your email first');
+		}
+
+		if (existing) {
+			userId = existing.id;
+		} else {
+			userId = generateId();
+
+			await db.execute({
+				sql: `INSERT INTO users (id, username, email, email_verified_at, name, is_guest, role, plan, storage_used, created_at, last_login, is_online)
+              VALUES (?, ?, ?, ?, ?, 0, ?, 'free', 0, ?, ?, 1)`,
+				args: [
+					userId,
+					await generateUsernameFromClaims(claims),
+					email,
+					email && emailVerified ? now : null,
+					claims.name || claims.given_name || claims.preferred_username || 'User',
+					role,
+					now,
+					now
+				]
+			});
+		}
+
+		await db.execute({
+			sql: `INSERT INTO user_identities (id, user_id, provider, subject, email, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)`,
+			args: [generateId(), userId, provider, claims.sub, email, now]
+		});
+	}
+
+	await db.batch([
+		{
+			sql: 'UPDATE users SET last_login = ?, is_online = 1 WHERE id = ?',
+			args: [now, userId]
+		},
+		{
+			sql: 'UPDATE user_identities SET last_login_at = ?, email = COALESCE(?, email) WHERE provider = ? AND subject = ?',
+			args: [now, email, provider, claims.sub]
+		}
+	], 'write');
+
+	const user = await getUserById(userId);
 
 	return {
 		id: user.id,
@@ -217,6 +339,7 @@ export async function loginUser(usernameOrEmail, password) {
 		age: user.age,
 		role: user.role,
 		is_guest: false,
+		email_verified_at: user.email_verified_at,
 		plan: user.plan,
 		storage_used: user.storage_used
 	};
@@ -225,7 +348,7 @@ export async function loginUser(usernameOrEmail, password) {
 // Get user by ID
 export async function getUserById(userId) {
 	const result = await db.execute({
-		sql: 'SELECT id, username, email, name, gender, age, role, is_guest, plan, storage_used, is_online, last_seen_at FROM users WHERE id = ?',
+		sql: 'SELECT id, username, email, email_verified_at, name, gender, age, role, is_guest, plan, storage_used, is_online, last_seen_at, totp_enabled_at FROM users WHERE id = ?',
 		args: [userId]
 	});
 
@@ -236,22 +359,27 @@ export async function getUserById(userId) {
 	return result.rows[0];
 }
 
-// Logout user
-export async function logoutUser(userId) {
+// Logout user - signs out one session, or every session when sessionId is omitted
+export async function logoutUser(userId, sessionId = null) {
 	const now = Date.now();
 
+	if (sessionId) {
+		await revokeSession(userId, sessionId);
+
+		// Still signed in on another device - stay online and keep chats
+		if (await countActiveSessions(userId) > 0) {
+			return { message: 'Logged out successfully' };
+		}
+	} else {
+		await revokeAllSessions(userId);
+	}
+
 	// Set user offline and update last_seen_at
 	await db.execute({
 		sql: 'UPDATE users SET is_online = 0, last_seen_at = ? WHERE id = ?',
 		args: [now, userId]
 	});
 
-	// Update user session (set logout time)
-	await db.execute({
-		sql: 'UPDATE user_sessions SET logout_at = ?, is_active = 0 WHERE user_id = ? AND is_active = 1',
-		args: [now, userId]
-	});
-
 	// Mark chat sessions for deletion check
 	await db.execute({
 		sql: `UPDATE chat_sessions 
@@ -269,17 +397,17 @@ export async function logoutUser(userId) {
 	return { message: 'Logged out successfully' };
 }
 
-// Create user session on login
-export async function createUserSession(userId) {
-	const sessionId = generateId();
+// Record that users are still around (instances refresh this for their connected users)
+export async function touchLastSeen(userIds) {
 	const now = Date.now();
 
-	await db.execute({
-		sql: 'INSERT INTO user_sessions (id, user_id, login_at, is_active) VALUES (?, ?, ?, 1)',
-		args: [sessionId, userId, now]
-	});
-
-	return sessionId;
+	for (let i = 0; i < userIds.length; i += LAST_SEEN_BATCH_SIZE) {
+		const batch = userIds.slice(i, i + LAST_SEEN_BATCH_SIZE);
+		await db.execute({
+			sql: `UPDATE users SET last_seen_at = ? WHERE id IN (${batch.map(() => '?').join(', ')})`,
+			args: [now, ...batch]
+		});
+	}
 }
 
 // Update profile
@@ -1,25 +1,150 @@
 import { db } from '../config/db.js';
+import { pubsub } from '../config/pubsub.js';
+import { generateId } from '../utils/idGenerator.js';
+import { recordUserEvent, getUserEventsSince } from './outbox.service.js';
 
-// Store active connections: userId -> WebSocket
+// Store active connections on this instance: userId -> Map(connectionId -> WebSocket)
+// A user can be connected from several tabs/devices at once
 const connections = new Map();
 
-// Send message to a specific user
-export function sendToUser(userId, data) {
-	const ws = connections.get(userId);
-	if (ws && ws.readyState === WebSocket.OPEN) {
-		ws.send(JSON.stringify(data));
+// Events are fanned out to every server instance over this channel; each
+// instance delivers to the sockets it holds and ignores its own publishes
+const REALTIME_CHANNEL = 'realtime:events';
+const NODE_ID = generateId();
+
+// Message-level project events that follow project channels (see join_project_channel)
+const PROJECT_CHANNEL_EVENTS = [
+	'new_message',
+	'message_edited',
+	'message_reacted',
+	'reaction_removed',
+	'thread_reply',
+	'thread_updated',
+	'project_read',
+	'typing_start',
+	'typing_stop'
+];
+
+// Check if socket should get an event: once a socket opens a project channel it only
+// gets channel events for the projects it has open; sockets that never opened one get everything.
+// Notifications, mentions, presence, board and timer events always go through.
+function isSubscribedTo(ws, data) {
+	const projectId = data.data?.project_id;
+
+	if (!projectId || !ws.data.channelMode || !PROJECT_CHANNEL_EVENTS.includes(data.type)) {
 		return true;
 	}
-	return false;
+
+	return ws.data.projectChannels.has(projectId);
+}
+
+// Send to this instance's sockets for a user
+function sendToLocalUser(userId, data) {
+	const sockets = connections.get(userId);
+	if (!sockets) {
+		return false;
+	}
+
+	const payload = JSON.stringify(data);
+	let sent = false;
+
+	for (const ws of sockets.values()) {
+		if (ws.readyState === WebSocket.OPEN && isSubscribedTo(ws, data)) {
+			ws.send(payload);
+			sent = true;
+		}
+	}
+
+	return sent;
+}
+
+// Called when a P2P message published by another instance reaches a recipient's socket here
+// (set by chat.service, which can't be imported from this module without a cycle)
+let remoteChatDeliveryHandler = null;
+
+// Register handler(recipientId, messageId) for delivery receipts of messages from other instances
+export function onRemoteChatDelivery(handler) {
+	remoteChatDeliveryHandler = handler;
+}
+
+// Publish to the other server instances
+function publishToCluster(message) {
+	pubsub.publish(REALTIME_CHANNEL, { ...message, origin: NODE_ID })
+		.catch(error => console.error('Realtime publish failed:', error.message));
+}
+
+// Send message to a specific user (every open socket they have, on any instance)
+// Returns whether a socket on this instance received it
+export function sendToUser(userId, data) {
+	publishToCluster({ kind: 'send', user_id: userId, data });
+	return sendToLocalUser(userId, data);
+}
+
+// Subscribe this instance to realtime events published by other instances
+export async function startRealtimeFanout() {
+	await pubsub.subscribe(REALTIME_CHANNEL, (message) => {
+		if (message.origin === NODE_ID) {
+			return;
+		}
+
+		if (message.kind === 'send') {
+			const delivered = sendToLocalUser(message.user_id, message.data);
+
+			// The sending instance only knows about its own sockets, so the receipt is written here
+			const { type, data } = message.data;
+			if (delivered && type === 'new_message' && data?.session_id && remoteChatDeliveryHandler) {
+				Promise.resolve(remoteChatDeliveryHandler(message.user_id, data.message.id))
+					.catch(error => console.error('Remote delivery receipt failed:', error.message));
+			}
+		} else if (message.kind === 'close_sessions') {
+			closeLocalSessionConnections(message.user_id, message.session_ids);
+		}
+	});
+
+	console.log(`📡 Realtime fan-out using ${pubsub.name} pub/sub (node ${NODE_ID})`);
+}
+
+// Send event that must survive disconnects - stored in the user's outbox first
+// so clients that were offline get it replayed on reconnect (frames carry a seq)
+export async function deliverToUser(userId, data) {
+	let event = data;
+
+	try {
+		const seq = await recordUserEvent(userId, data);
+		event = { ...data, seq };
+	} catch (error) {
+		console.error('Outbox write failed:', error);
+	}
+
+	return sendToUser(userId, event);
+}
+
+// Replay missed outbox events to a reconnecting socket
+export async function replayUserEvents(ws, userId, lastSeq) {
+	const { events, latest_seq, gap } = await getUserEventsSince(userId, lastSeq);
+
+	for (const event of events) {
+		ws.send(JSON.stringify({ ...event, replayed: true }));
+	}
+
+	ws.send(JSON.stringify({
+		type: 'sync_complete',
+		replayed: events.length,
+		latest_seq,
+		gap // true = events were missed beyond the outbox, refetch via REST
+	}));
+
+	return events.length;
 }
 
 // Broadcast message to chat participants (excluding sender)
-export function broadcastNewMessage(session, message, senderUsername) {
+// Returns whether the recipient had an open socket on this instance
+export async function broadcastNewMessage(session, message, senderUsername) {
 	const recipientId = session.user1_id === message.sender_id
 		? session.user2_id
 		: session.user1_id;
 
-	sendToUser(recipientId, {
+	return deliverToUser(recipientId, {
 		type: 'new_message',
 		data: {
 			session_id: session.id,
@@ -31,6 +156,17 @@ export function broadcastNewMessage(session, message, senderUsername) {
 	});
 }
 
+// Tell a sender their messages were delivered or read
+export async function broadcastMessageStatus(senderId, sessionId, status) {
+	return deliverToUser(senderId, {
+		type: 'message_status',
+		data: {
+			session_id: sessionId,
+			...status
+		}
+	});
+}
+
 // Broadcast reaction to P2P chat participant
 export async function broadcastChatReaction(sessionId, reaction, messageId) {
 	// Get session details
@@ -51,7 +187,7 @@ export async function broadcastChatReaction(sessionId, reaction, messageId) {
 		? session.user2_id
 		: session.user1_id;
 
-	if (sendToUser(recipientId, {
+	if (await deliverToUser(recipientId, {
 		type: 'message_reacted',
 		data: {
 			session_id: sessionId,
@@ -86,7 +222,7 @@ export async function broadcastChatReactionRemoval(sessionId, reactionId, messag
 		? session.user2_id
 		: session.user1_id;
 
-	if (sendToUser(recipientId, {
+	if (await deliverToUser(recipientId, {
 		type: 'reaction_removed',
 		data: {
 			session_id: sessionId,
@@ -101,11 +237,26 @@ export async function broadcastChatReactionRemoval(sessionId, reactionId, messag
 	return 0;
 }
 
+// Broadcast edited message to the other chat participant
+export async function broadcastChatMessageEdit(session, message) {
+	const recipientId = session.user1_id === message.sender_id
+		? session.user2_id
+		: session.user1_id;
+
+	return await deliverToUser(recipientId, {
+		type: 'message_edited',
+		data: {
+			session_id: message.session_id,
+			message
+		}
+	}) ? 1 : 0;
+}
+
 // ========================================
 // PROJECT WEBSOCKET FUNCTIONS (was Room)
 // ========================================
 
-// Broadcast message to all project members (excluding sender)
+// Broadcast message to all project members (excluding sender, secret messages only to their recipient)
 export async function broadcastProjectMessage(projectId, message, excludeUserId = null) {
 	// Get all project members
 	const members = await db.execute({
@@ -119,8 +270,11 @@ export async function broadcastProjectMessage(projectId, message, excludeUserId
 		if (excludeUserId && member.user_id === excludeUserId) {
 			continue; // Skip sender
 		}
+		if ((message.type === 'secret' || message.recipient_id) && member.user_id !== message.recipient_id) {
+			continue;
+		}
 
-		if (sendToUser(member.user_id, {
+		if (await deliverToUser(member.user_id, {
 			type: 'new_message',
 			data: {
 				project_id: projectId,
@@ -138,6 +292,53 @@ export async function broadcastProjectMessage(projectId, message, excludeUserId
 	return sentCount;
 }
 
+// Broadcast thread reply: followers get the reply, other members only the updated thread summary
+export async function broadcastThreadReply(projectId, message, thread, followerIds) {
+	const members = await db.execute({
+		sql: 'SELECT user_id FROM project_members WHERE project_id = ?',
+		args: [projectId]
+	});
+
+	const followers = new Set(followerIds);
+	let sentCount = 0;
+
+	for (const member of members.rows) {
+		if (member.user_id === message.sender_id) {
+			continue; // Skip sender
+		}
+
+		const event = followers.has(member.user_id)
+			? { type: 'thread_reply', data: { project_id: projectId, thread_root_id: message.thread_root_id, message, thread } }
+			: { type: 'thread_updated', data: { project_id: projectId, thread_root_id: message.thread_root_id, thread } };
+
+		if (await deliverToUser(member.user_id, event)) {
+			sentCount++;
+		}
+	}
+
+	console.log(`🧵 Broadcast thread reply to ${sentCount} project members`);
+	return sentCount;
+}
+
+// Push a new notification (with the user's unread count for badges)
+export function sendNotification(userId, notification, unreadCount) {
+	return sendToUser(userId, {
+		type: 'notification',
+		data: {
+			notification,
+			unread_count: unreadCount
+		}
+	});
+}
+
+// Notify a user they were mentioned in a project message
+export function sendMentionNotification(userId, mention) {
+	return sendToUser(userId, {
+		type: 'mention',
+		data: mention
+	});
+}
+
 // Broadcast reaction to project members
 export async function broadcastProjectReaction(projectId, reaction, messageId) {
 	const members = await db.execute({
@@ -148,7 +349,7 @@ export async function broadcastProjectReaction(projectId, reaction, messageId) {
 	let sentCount = 0;
 
 	for (const member of members.rows) {
-		if (sendToUser(member.user_id, {
+		if (await deliverToUser(member.user_id, {
 			type: 'message_reacted',
 			data: {
 				project_id: projectId,
@@ -178,7 +379,7 @@ export async function broadcastProjectPresence(projectId, user, action) {
 			continue; // Don't send to the user who joined/left
 		}
 
-		if (sendToUser(member.user_id, {
+		if (await deliverToUser(member.user_id, {
 			type: 'project_presence',
 			data: {
 				project_id: projectId,
@@ -194,6 +395,27 @@ export async function broadcastProjectPresence(projectId, user, action) {
 	return sentCount;
 }
 
+// Broadcast member role change to project members (including the member)
+export async function broadcastProjectMemberRole(projectId, member) {
+	const members = await db.execute({
+		sql: 'SELECT user_id FROM project_members WHERE project_id = ?',
+		args: [projectId]
+	});
+
+	let sentCount = 0;
+
+	for (const { user_id } of members.rows) {
+		if (await deliverToUser(user_id, {
+			type: 'project_member_role',
+			data: member
+		})) {
+			sentCount++;
+		}
+	}
+
+	return sentCount;
+}
+
 // Broadcast reaction removal to project members
 export async function broadcastProjectReactionRemoval(projectId, reactionId, messageId) {
 	const members = await db.execute({
@@ -204,7 +426,7 @@ export async function broadcastProjectReactionRemoval(projectId, reactionId, mes
 	let sentCount = 0;
 
 	for (const member of members.rows) {
-		if (sendToUser(member.user_id, {
+		if (await deliverToUser(member.user_id, {
 			type: 'reaction_removed',
 			data: {
 				project_id: projectId,
@@ -220,6 +442,172 @@ export async function broadcastProjectReactionRemoval(projectId, reactionId, mes
 	return sentCount;
 }
 
+// Broadcast member's read cursor (also to the reader's other devices)
+export async function broadcastProjectReadCursor(projectId, cursor) {
+	const members = await db.execute({
+		sql: 'SELECT user_id FROM project_members WHERE project_id = ?',
+		args: [projectId]
+	});
+
+	let sentCount = 0;
+
+	for (const member of members.rows) {
+		if (await deliverToUser(member.user_id, {
+			type: 'project_read',
+			data: {
+				project_id: projectId,
+				...cursor
+			}
+		})) {
+			sentCount++;
+		}
+	}
+
+	return sentCount;
+}
+
+// Broadcast edited message to project members (secret messages only to their recipient)
+export async function broadcastProjectMessageEdit(projectId, message) {
+	const members = await db.execute({
+		sql: 'SELECT user_id FROM project_members WHERE project_id = ?',
+		args: [projectId]
+	});
+
+	let sentCount = 0;
+
+	for (const member of members.rows) {
+		if (member.user_id === message.sender_id) {
+			continue; // Skip editor
+		}
+		if (message.type === 'secret' && member.user_id !== message.recipient_id) {
+			continue;
+		}
+
+		if (await deliverToUser(member.user_id, {
+			type: 'message_edited',
+			data: {
+				project_id: projectId,
+				message
+			}
+		})) {
+			sentCount++;
+		}
+	}
+
+	console.log(`✏️ Broadcast message edit to ${sentCount} project members`);
+	return sentCount;
+}
+
+// Broadcast timer started/stopped so members see who is working now
+export async function broadcastProjectTimer(projectId, user, action, entry) {
+	const members = await db.execute({
+		sql: 'SELECT user_id FROM project_members WHERE project_id = ?',
+		args: [projectId]
+	});
+
+	let sentCount = 0;
+
+	for (const member of members.rows) {
+		if (member.user_id === user.id) {
+			continue; // Don't send to the user who started/stopped the timer
+		}
+
+		if (sendToUser(member.user_id, {
+			type: 'project_timer',
+			data: {
+				project_id: projectId,
+				user,
+				action, // 'started' or 'stopped'
+				entry
+			}
+		})) {
+			sentCount++;
+		}
+	}
+
+	console.log(`⏱️ Broadcast timer ${action} to ${sentCount} project members`);
+	return sentCount;
+}
+
+// Broadcast task board change (card created/updated/moved/deleted, column changes, comments)
+export async function broadcastBoardUpdate(projectId, action, data, excludeUserId = null) {
+	const members = await db.execute({
+		sql: 'SELECT user_id FROM project_members WHERE project_id = ?',
+		args: [projectId]
+	});
+
+	let sentCount = 0;
+
+	for (const member of members.rows) {
+		if (excludeUserId && member.user_id === excludeUserId) {
+			continue; // Skip the user who made the change
+		}
+
+		if (sendToUser(member.user_id, {
+			type: 'board_update',
+			data: {
+				project_id: projectId,
+				action,
+				...data
+			}
+		})) {
+			sentCount++;
+		}
+	}
+
+	console.log(`📋 Broadcast board ${action} to ${sentCount} project members`);
+	return sentCount;
+}
+
+// ========================================
+// TYPING INDICATORS (ephemeral - not stored in the outbox)
+// ========================================
+
+// Relay typing_start/typing_stop to the other chat participant
+export function broadcastChatTyping(session, user, isTyping, expiresIn = null) {
+	const recipientId = session.user1_id === user.id
+		? session.user2_id
+		: session.user1_id;
+
+	return sendToUser(recipientId, {
+		type: isTyping ? 'typing_start' : 'typing_stop',
+		data: {
+			session_id: session.id,
+			user,
+			expires_in: expiresIn // ms until the indicator should be hidden if not refreshed
+		}
+	}) ? 1 : 0;
+}
+
+// Relay typing_start/typing_stop to project members (excluding the typer)
+export async function broadcastProjectTyping(projectId, user, isTyping, expiresIn = null) {
+	const members = await db.execute({
+		sql: 'SELECT user_id FROM project_members WHERE project_id = ?',
+		args: [projectId]
+	});
+
+	let sentCount = 0;
+
+	for (const member of members.rows) {
+		if (member.user_id === user.id) {
+			continue; // Don't echo back to the typer
+		}
+
+		if (sendToUser(member.user_id, {
+			type: isTyping ? 'typing_start' : 'typing_stop',
+			data: {
+				project_id: projectId,
+				user,
+				expires_in: expiresIn
+			}
+		})) {
+			sentCount++;
+		}
+	}
+
+	return sentCount;
+}
+
 // ========================================
 // BACKWARD COMPATIBILITY (DEPRECATED)
 // ========================================
@@ -233,29 +621,112 @@ export const broadcastRoomReactionRemoval = broadcastProjectReactionRemoval;
 // CONNECTION MANAGEMENT
 // ========================================
 
-// Add connection
-export function addConnection(userId, ws) {
-	connections.set(userId, ws);
-	console.log(`✅ User ${userId} connected. Total connections: ${connections.size}`);
+// Add connection - returns the new connection id
+export function addConnection(userId, ws, device = {}) {
+	const connectionId = generateId();
+
+	ws.data.connectionId = connectionId;
+	ws.data.device = {
+		device_name: device.device_name || null,
+		user_agent: device.user_agent || null,
+		ip_address: device.ip_address || null
+	};
+	ws.data.connectedAt = Date.now();
+
+	let sockets = connections.get(userId);
+	if (!sockets) {
+		sockets = new Map();
+		connections.set(userId, sockets);
+	}
+	sockets.set(connectionId, ws);
+
+	console.log(`✅ User ${userId} connected (${sockets.size} socket(s)). Total users: ${connections.size}`);
+	return connectionId;
 }
 
-// Remove connection
-export function removeConnection(userId) {
+// Remove connection - returns true when it was the user's last socket
+export function removeConnection(userId, connectionId) {
+	const sockets = connections.get(userId);
+	if (!sockets) {
+		return false;
+	}
+
+	sockets.delete(connectionId);
+
+	if (sockets.size > 0) {
+		console.log(`➖ User ${userId} closed a socket (${sockets.size} remaining)`);
+		return false;
+	}
+
 	connections.delete(userId);
-	console.log(`❌ User ${userId} disconnected. Total connections: ${connections.size}`);
+	console.log(`❌ User ${userId} disconnected. Total users: ${connections.size}`);
+	return true;
 }
 
-// Get connection count
+// Close this instance's sockets authenticated with revoked sessions
+function closeLocalSessionConnections(userId, sessionIds) {
+	const sockets = connections.get(userId);
+	if (!sockets) {
+		return;
+	}
+
+	for (const ws of [...sockets.values()]) {
+		if (sessionIds.includes(ws.data?.sessionId)) {
+			if (ws.readyState === WebSocket.OPEN) {
+				ws.send(JSON.stringify({ type: 'session_revoked' }));
+			}
+			ws.close();
+		}
+	}
+}
+
+// Close connections authenticated with revoked sessions (on every instance)
+export function closeSessionConnections(userId, sessionIds) {
+	publishToCluster({ kind: 'close_sessions', user_id: userId, session_ids: sessionIds });
+	closeLocalSessionConnections(userId, sessionIds);
+}
+
+// Get total number of open sockets on this instance
 export function getConnectionCount() {
-	return connections.size;
+	let count = 0;
+	for (const sockets of connections.values()) {
+		count += sockets.size;
+	}
+	return count;
 }
 
-// Get all connected users
+// Get users connected to this instance
 export function getConnectedUsers() {
 	return Array.from(connections.keys());
 }
 
-// Check if user is connected
+// Check if user has at least one open socket on this instance
 export function isUserConnected(userId) {
-	return connections.has(userId) && connections.get(userId).readyState === WebSocket.OPEN;
+	const sockets = connections.get(userId);
+	if (!sockets) {
+		return false;
+	}
+
+	for (const ws of sockets.values()) {
+		if (ws.readyState === WebSocket.OPEN) {
+			return true;
+		}
+	}
+	return false;
+}
+
+// Get user's open sockets with device metadata
+export function getUserConnections(userId) {
+	const sockets = connections.get(userId);
+	if (!sockets) {
+		return [];
+	}
+
+	return Array.from(sockets.values()).map(ws => ({
+		connection_id: ws.data.connectionId,
+		session_id: ws.data.sessionId || null,
+		connected_at: ws.data.connectedAt,
+		project_channels: Array.from(ws.data.projectChannels || []),
+		...ws.data.device
+	}));
 }
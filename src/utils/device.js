@@ -0,0 +1,24 @@
+// Describe the requesting device (stored on user sessions so users can tell them apart)
+export function getDeviceInfo(c) {
+	const forwardedFor = c.req.header('X-Forwarded-For');
+
+	return {
+		device_name: c.req.header('X-Device-Name') || null,
+		user_agent: c.req.header('User-Agent') || null,
+		ip_address: (forwardedFor ? forwardedFor.split(',')[0].trim() : c.req.header('X-Real-IP')) || null
+	};
+}
+
+// Client IP for rate limiting - proxy headers only count when TRUST_PROXY=true,
+// otherwise anyone could pick a fresh address per request
+export function getClientIp(c) {
+	if (process.env.TRUST_PROXY === 'true') {
+		const forwardedFor = c.req.header('X-Forwarded-For');
+		const proxied = forwardedFor ? forwardedFor.split(',')[0].trim() : c.req.header('X-Real-IP');
+		if (proxied) {
+			return proxied;
+		}
+	}
+
+	return c.env?.requestIP?.(c.req.raw)?.address || 'unknown';
+}
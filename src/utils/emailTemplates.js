@@ -0,0 +1,181 @@
+// Render outgoing emails - every template returns { subject, text, html }
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Escape text for HTML output
+function escapeHtml(value) {
+	return String(value ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+// Shorten long message previews
+function truncate(value, length = 140) {
+	const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+	return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+}
+
+// Format timestamp as YYYY-MM-DD HH:MM UTC
+function formatDateTime(timestamp) {
+	return `${new Date(timestamp).toISOString().substring(0, 16).replace('T', ' ')} UTC`;
+}
+
+// Wrap body HTML in the shared email layout
+function layout(title, bodyHtml) {
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:24px;background:#f4f5f7;font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#1f2933;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    ${bodyHtml}
+    <p style="margin-top:32px;font-size:12px;color:#7b8794;">
+      You can change which emails you get in your <a href="${APP_URL}/settings/notifications">notification settings</a>.
+    </p>
+  </div>
+</body>
+</html>`;
+}
+
+// Render one digest section as text and HTML
+function renderSection(heading, items) {
+	return {
+		text: `${heading}\n${items.map(item => `  - ${item.text}`).join('\n')}`,
+		html: `<h3 style="margin:24px 0 8px;font-size:16px;">${escapeHtml(heading)}</h3>
+    <ul style="padding-left:20px;margin:0;">
+      ${items.map(item => `<li style="margin-bottom:6px;">${item.html}</li>`).join('\n      ')}
+    </ul>`
+	};
+}
+
+// Line for a notification in the digest
+function notificationItem(notification) {
+	const body = notification.body ? truncate(notification.body) : null;
+	return {
+		text: body ? `${notification.title} - ${body}` : notification.title,
+		html: `${escapeHtml(notification.title)}${body ? `<br><span style="color:#616e7c;">${escapeHtml(body)}</span>` : ''}`
+	};
+}
+
+// Digest of everything the user missed
+// digest: { projects: [{ id, name, unread_count, messages: [{ sender_name, content }] }],
+//           friendRequests, milestones, other: notification rows }
+export function renderDigestEmail(user, digest) {
+	const sections = [];
+
+	if (digest.projects.length > 0) {
+		sections.push(renderSection('Unread project messages', digest.projects.map(project => {
+			const previews = project.messages.map(message => `${message.sender_name}: ${truncate(message.content, 80)}`);
+			const link = `${APP_URL}/projects/${project.id}`;
+			return {
+				text: `${project.name} (${project.unread_count} unread) ${link}${previews.map(p => `\n      ${p}`).join('')}`,
+				html: `<a href="${link}"><strong>${escapeHtml(project.name)}</strong></a> - ${project.unread_count} unread
+        ${previews.map(p => `<br><span style="color:#616e7c;">${escapeHtml(p)}</span>`).join('')}`
+			};
+		})));
+	}
+
+	if (digest.friendRequests.length > 0) {
+		sections.push(renderSection('Friend requests', digest.friendRequests.map(notificationItem)));
+	}
+
+	if (digest.milestones.length > 0) {
+		sections.push(renderSection('Milestones', digest.milestones.map(notificationItem)));
+	}
+
+	if (digest.other.length > 0) {
+		sections.push(renderSection('Other notifications', digest.other.map(notificationItem)));
+	}
+
+	const unreadMessages = digest.projects.reduce((sum, project) => sum + project.unread_count, 0);
+	const notificationCount = digest.friendRequests.length + digest.milestones.length + digest.other.length;
+	const parts = [];
+	if (unreadMessages > 0) parts.push(`${unreadMessages} unread message${unreadMessages === 1 ? '' : 's'}`);
+	if (notificationCount > 0) parts.push(`${notificationCount} notification${notificationCount === 1 ? '' : 's'}`);
+
+	const subject = `You have ${parts.join(' and ')}`;
+	const greeting = `Hi ${user.name || user.username},`;
+	const intro = 'Here is what happened while you were away.';
+
+	return {
+		subject,
+		text: `${greeting}\n\n${intro}\n\n${sections.map(s => s.text).join('\n\n')}\n\nOpen the app: ${APP_URL}\n`,
+		html: layout(subject, `<p>${escapeHtml(greeting)}</p>
+    <p>${intro}</p>
+    ${sections.map(s => s.html).join('\n    ')}
+    <p style="margin-top:24px;"><a href="${APP_URL}">Open the app</a></p>`)
+	};
+}
+
+// Sent immediately when an account is banned
+// ban: { reason, is_permanent, expires_at }
+export function renderBanNoticeEmail(user, ban) {
+	const subject = ban.is_permanent
+		? 'Your account has been permanently banned'
+		: 'Your account has been temporarily banned';
+	const until = ban.is_permanent ? 'This ban does not expire.' : `The ban ends on ${formatDateTime(ban.expires_at)}.`;
+	const reason = ban.reason ? `Reason: ${ban.reason}` : 'No reason was given.';
+	const greeting = `Hi ${user.name || user.username},`;
+
+	return {
+		subject,
+		text: `${greeting}\n\n${subject}. ${until}\n\n${reason}\n\nIf you think this is a mistake, reply to this email.\n`,
+		html: layout(subject, `<p>${escapeHtml(greeting)}</p>
+    <p><strong>${escapeHtml(subject)}.</strong> ${escapeHtml(until)}</p>
+    <p>${escapeHtml(reason)}</p>
+    <p>If you think this is a mistake, reply to this email.</p>`)
+	};
+}
+
+// Sent immediately when a ban is lifted
+export function renderUnbanNoticeEmail(user) {
+	const subject = 'Your ban has been lifted';
+	const greeting = `Hi ${user.name || user.username},`;
+
+	return {
+		subject,
+		text: `${greeting}\n\nYour account ban has been lifted and you can sign in again.\n\n${APP_URL}\n`,
+		html: layout(subject, `<p>${escapeHtml(greeting)}</p>
+    <p>Your account ban has been lifted and you can sign in again.</p>
+    <p><a href="${APP_URL}">Open the app</a></p>`)
+	};
+}
+
+// Link to confirm the account's email address
+export function renderVerifyEmail(user, link, expiresInHours) {
+	const subject = 'Confirm your email address';
+	const greeting = `Hi ${user.name || user.username},`;
+	const intro = 'Please confirm this is your email address by opening the link below.';
+	const expiry = `The link expires in ${expiresInHours} hours. If you didn't create an account, ignore this email.`;
+
+	return {
+		subject,
+		text: `${greeting}\n\n${intro}\n\n${link}\n\n${expiry}\n`,
+		html: layout(subject, `<p>${escapeHtml(greeting)}</p>
+    <p>${intro}</p>
+    <p><a href="${escapeHtml(link)}">Confirm email address</a></p>
+    <p style="color:#616e7c;">${escapeHtml(expiry)}</p>`)
+	};
+}
+
+// Link to choose a new password
+export function renderPasswordResetEmail(user, link, expiresInMinutes) {
+	const subject = 'Reset your password';
+	const greeting = `Hi ${user.name || user.username},`;
+	const intro = 'Someone asked to reset the password for your account. Open the link below to choose a new one.';
+	const expiry = `The link expires in ${expiresInMinutes} minutes and works once. If you didn't ask for this, ignore this email - your password stays the same.`;
+
+	return {
+		subject,
+		text: `${greeting}\n\n${intro}\n\n${link}\n\n${expiry}\n`,
+		html: layout(subject, `<p>${escapeHtml(greeting)}</p>
+    <p>${intro}</p>
+    <p><a href="${escapeHtml(link)}">Reset password</a></p>
+    <p style="color:#616e7c;">${escapeHtml(expiry)}</p>`)
+	};
+}
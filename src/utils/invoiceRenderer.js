@@ -0,0 +1,251 @@
+// Render invoices as standalone HTML or PDF documents
+
+// Format amount with currency code (e.g. "USD 1,250.00")
+export function formatMoney(amount, currency = 'USD') {
+	const value = Number(amount || 0).toLocaleString('en-US', {
+		minimumFractionDigits: 2,
+		maximumFractionDigits: 2
+	});
+	return `${currency} ${value}`;
+}
+
+// Format timestamp as YYYY-MM-DD
+function formatDate(timestamp) {
+	if (!timestamp) return '-';
+	return new Date(timestamp).toISOString().substring(0, 10);
+}
+
+// Escape text for HTML output
+function escapeHtml(value) {
+	return String(value ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+// Render invoice as HTML page
+export function renderInvoiceHtml(invoice) {
+	const rows = invoice.items.map(item => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="num">${escapeHtml(item.quantity)}</td>
+          <td class="num">${escapeHtml(formatMoney(item.unit_price, invoice.currency))}</td>
+          <td class="num">${escapeHtml(formatMoney(item.amount, invoice.currency))}</td>
+        </tr>`).join('');
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 800px; margin: 40px auto; }
+    h1 { margin-bottom: 4px; }
+    .meta, .parties { display: flex; justify-content: space-between; margin-bottom: 24px; }
+    .status { text-transform: uppercase; font-weight: bold; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    .totals td { border: none; }
+    .total td { font-weight: bold; font-size: 1.1em; }
+  </style>
+</head>
+<body>
+  <h1>Invoice ${escapeHtml(invoice.number)}</h1>
+  <div class="meta">
+    <div>
+      <div>Project: ${escapeHtml(invoice.project_name)}</div>
+      <div>Issued: ${formatDate(invoice.sent_at || invoice.created_at)}</div>
+      <div>Due: ${formatDate(invoice.due_date)}</div>
+    </div>
+    <div class="status">${escapeHtml(invoice.status)}</div>
+  </div>
+  <div class="parties">
+    <div>
+      <strong>From</strong><br>
+      ${escapeHtml(invoice.creator_name)}<br>
+      ${escapeHtml(invoice.creator_email)}
+    </div>
+    <div>
+      <strong>Bill to</strong><br>
+      ${escapeHtml(invoice.client_name || '-')}<br>
+      ${escapeHtml(invoice.client_email)}
+    </div>
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>Description</th>
+        <th class="num">Qty</th>
+        <th class="num">Unit price</th>
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr class="totals"><td colspan="3" class="num">Subtotal</td><td class="num">${escapeHtml(formatMoney(invoice.subtotal, invoice.currency))}</td></tr>
+      <tr class="totals"><td colspan="3" class="num">Tax (${escapeHtml(invoice.tax_rate)}%)</td><td class="num">${escapeHtml(formatMoney(invoice.tax_amount, invoice.currency))}</td></tr>
+      <tr class="totals total"><td colspan="3" class="num">Total</td><td class="num">${escapeHtml(formatMoney(invoice.total, invoice.currency))}</td></tr>
+    </tfoot>
+  </table>
+  ${invoice.notes ? `<p>${escapeHtml(invoice.notes)}</p>` : ''}
+</body>
+</html>`;
+}
+
+// ========================================
+// PDF OUTPUT (single font, text only)
+// ========================================
+
+const PAGE_WIDTH = 595;   // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const LINE_HEIGHT = 16;
+
+// Escape text for a PDF string literal (Helvetica only covers Latin-1)
+function pdfText(value) {
+	return String(value ?? '')
+		.replace(/[^\x20-\xff]/g, '?')
+		.replace(/\\/g, '\\\\')
+		.replace(/\(/g, '\\(')
+		.replace(/\)/g, '\\)');
+}
+
+// Approximate Helvetica text width so numbers can be right-aligned
+function textWidth(text, size) {
+	return String(text).length * size * 0.5;
+}
+
+// Truncate long descriptions so they don't run into the number columns
+function truncate(text, maxChars) {
+	const value = String(text ?? '');
+	return value.length > maxChars ? `${value.substring(0, maxChars - 3)}...` : value;
+}
+
+// Render invoice as PDF (returns Buffer)
+export function renderInvoicePdf(invoice) {
+	const pages = [];
+	let ops = [];
+	let y = PAGE_HEIGHT - MARGIN;
+
+	const newPage = () => {
+		pages.push(ops);
+		ops = [];
+		y = PAGE_HEIGHT - MARGIN;
+	};
+
+	const text = (x, value, size = 10, bold = false) => {
+		ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y} Td (${pdfText(value)}) Tj ET`);
+	};
+
+	const rightText = (right, value, size = 10, bold = false) => {
+		text(Math.round(right - textWidth(value, size)), value, size, bold);
+	};
+
+	const nextLine = (lines = 1) => {
+		y -= LINE_HEIGHT * lines;
+		if (y < MARGIN) newPage();
+	};
+
+	const right = PAGE_WIDTH - MARGIN;
+
+	// Header
+	text(MARGIN, `Invoice ${invoice.number}`, 20, true);
+	rightText(right, String(invoice.status).toUpperCase(), 12, true);
+	nextLine(2);
+	text(MARGIN, `Project: ${invoice.project_name || '-'}`);
+	nextLine();
+	text(MARGIN, `Issued: ${formatDate(invoice.sent_at || invoice.created_at)}`);
+	nextLine();
+	text(MARGIN, `Due: ${formatDate(invoice.due_date)}`);
+	nextLine(2);
+
+	// Parties
+	text(MARGIN, 'From', 10, true);
+	text(300, 'Bill to', 10, true);
+	nextLine();
+	text(MARGIN, invoice.creator_name || '-');
+	text(300, invoice.client_name || '-');
+	nextLine();
+	text(MARGIN, invoice.creator_email || '');
+	text(300, invoice.client_email || '');
+	nextLine(2);
+
+	// Line items
+	text(MARGIN, 'Description', 10, true);
+	rightText(340, 'Qty', 10, true);
+	rightText(440, 'Unit price', 10, true);
+	rightText(right, 'Amount', 10, true);
+	nextLine();
+
+	for (const item of invoice.items) {
+		text(MARGIN, truncate(item.description, 45));
+		rightText(340, String(item.quantity));
+		rightText(440, formatMoney(item.unit_price, invoice.currency));
+		rightText(right, formatMoney(item.amount, invoice.currency));
+		nextLine();
+	}
+
+	// Totals
+	nextLine();
+	rightText(440, 'Subtotal');
+	rightText(right, formatMoney(invoice.subtotal, invoice.currency));
+	nextLine();
+	rightText(440, `Tax (${invoice.tax_rate}%)`);
+	rightText(right, formatMoney(invoice.tax_amount, invoice.currency));
+	nextLine();
+	rightText(440, 'Total', 12, true);
+	rightText(right, formatMoney(invoice.total, invoice.currency), 12, true);
+	nextLine(2);
+
+	if (invoice.notes) {
+		for (const line of String(invoice.notes).split('\n')) {
+			text(MARGIN, truncate(line, 95));
+			nextLine();
+		}
+	}
+
+	pages.push(ops);
+
+	return buildPdf(pages.filter(page => page.length > 0));
+}
+
+// Assemble PDF objects and cross-reference table
+function buildPdf(pages) {
+	// 1: catalog, 2: page tree, 3-4: fonts, then a page + content stream per page
+	const objects = [];
+	const pageIds = pages.map((_, i) => 5 + i * 2);
+
+	objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+	objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+	objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+	objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+	pages.forEach((ops, i) => {
+		const pageId = pageIds[i];
+		const stream = ops.join('\n');
+		objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+			`/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+		objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+	});
+
+	let output = '%PDF-1.4\n';
+	const offsets = [];
+
+	for (let id = 1; id < objects.length; id++) {
+		offsets[id] = Buffer.byteLength(output, 'latin1');
+		output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+	}
+
+	const xrefOffset = Buffer.byteLength(output, 'latin1');
+	output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+	for (let id = 1; id < objects.length; id++) {
+		output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+	}
+	output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+	return Buffer.from(output, 'latin1');
+}
@@ -1,15 +1,21 @@
 import jwt from 'jsonwebtoken';
+import { randomBytes, createHash } from 'crypto';
 
-export function generateToken(user) {
+// Access tokens are short-lived; long-lived access comes from rotating refresh tokens
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+export function generateToken(user, sessionId) {
 	return jwt.sign(
 		{
 			userId: user.id,
 			username: user.username,
 			role: user.role,
-			isGuest: user.is_guest
+			isGuest: user.is_guest,
+			sessionId
 		},
 		process.env.JWT_SECRET,
-		{ expiresIn: '7d' }
+		{ expiresIn: ACCESS_TOKEN_TTL_SECONDS }
 	);
 }
 
@@ -20,3 +26,20 @@ export function verifyToken(token) {
 		throw new Error('Invalid or expired token');
 	}
 }
+
+// Refresh tokens are opaque: "<sessionId>.<secret>", only the secret's hash is stored
+export function generateRefreshToken(sessionId) {
+	return `${sessionId}.${randomBytes(32).toString('base64url')}`;
+}
+
+export function getRefreshTokenSessionId(token) {
+	const [sessionId, secret] = String(token || '').split('.');
+	if (!sessionId || !secret) {
+		throw new Error('Invalid refresh token');
+	}
+	return sessionId;
+}
+
+export function hashToken(value) {
+	return createHash('sha256').update(value).digest('hex');
+}
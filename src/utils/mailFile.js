@@ -0,0 +1,40 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { buildMimeMessage } from './mailMessage.js';
+
+// Local mail transports for development and testing.
+// Transport interface shared with mailSmtp.js:
+//   send({ from, to, subject, text, html? }) -> Promise<{ id }>
+
+// Write each message as an .eml file (open with any mail client)
+export function createFileTransport(dir) {
+	return {
+		name: 'file',
+
+		async send(mail) {
+			const { id, raw } = buildMimeMessage(mail);
+			const safeTo = mail.to.replace(/[^\w.@-]/g, '_');
+			const unique = id.slice(1, id.indexOf('@')); // "<timestamp.random@host>"
+
+			await mkdir(dir, { recursive: true });
+			await writeFile(join(dir, `${unique}-${safeTo}.eml`), raw);
+
+			return { id };
+		}
+	};
+}
+
+// Print messages to the console (default when no MAIL_URL is set)
+export function createConsoleTransport() {
+	return {
+		name: 'console',
+
+		async send(mail) {
+			const { id } = buildMimeMessage(mail);
+
+			console.log(`📧 Mail to ${mail.to}: ${mail.subject}\n${mail.text}\n`);
+
+			return { id };
+		}
+	};
+}
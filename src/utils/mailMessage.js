@@ -0,0 +1,93 @@
+import { randomBytes } from 'crypto';
+
+// Build RFC 5322 messages for the mail transports (text + optional HTML alternative).
+// Bodies are base64 encoded so any UTF-8 content survives SMTP unchanged.
+
+// Plain user@host - no whitespace, control characters, angle brackets or quotes
+const EMAIL_PATTERN = /^[^\s\x00-\x1f\x7f<>()@",;:\\]+@[a-z0-9-]+(\.[a-z0-9-]+)*$/i;
+
+// Check if value is a plain email address
+export function isValidEmail(value) {
+	return typeof value === 'string' && value.length <= 254 && EMAIL_PATTERN.test(value);
+}
+
+// Extract bare address from "Name <user@host>"
+// Throws on anything that could break out of a header line or an SMTP command
+export function extractAddress(value) {
+	const text = String(value);
+
+	if (/[\r\n]/.test(text)) {
+		throw new Error('Invalid email address: line breaks are not allowed');
+	}
+
+	const match = /<([^>]*)>$/.exec(text.trim());
+	const address = (match ? match[1] : text).trim();
+
+	if (!isValidEmail(address)) {
+		throw new Error(`Invalid email address: ${address}`);
+	}
+
+	return address;
+}
+
+// Encode header value if it isn't plain ASCII
+function encodeHeader(value) {
+	return /^[\x20-\x7e]*$/.test(value)
+		? value
+		: `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+// Base64 body wrapped at 76 characters
+function encodeBody(value) {
+	return Buffer.from(value).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// Build raw message - mail: { from, to, subject, text, html? }
+// Returns { id, raw } where id is the Message-ID
+export function buildMimeMessage(mail) {
+	const domain = extractAddress(mail.from).split('@')[1];
+	extractAddress(mail.to); // From and To go into the headers as given, so both must be clean
+	const id = `<${Date.now()}.${randomBytes(8).toString('hex')}@${domain}>`;
+
+	const headers = [
+		`From: ${mail.from}`,
+		`To: ${mail.to}`,
+		`Subject: ${encodeHeader(mail.subject)}`,
+		`Date: ${new Date().toUTCString()}`,
+		`Message-ID: ${id}`,
+		'MIME-Version: 1.0'
+	];
+
+	const textPart = [
+		'Content-Type: text/plain; charset=utf-8',
+		'Content-Transfer-Encoding: base64',
+		'',
+		encodeBody(mail.text)
+	].join('\r\n');
+
+	if (!mail.html) {
+		return { id, raw: `${headers.join('\r\n')}\r\n${textPart}\r\n` };
+	}
+
+	const boundary = `----=_Part_${randomBytes(12).toString('hex')}`;
+	const htmlPart = [
+		'Content-Type: text/html; charset=utf-8',
+		'Content-Transfer-Encoding: base64',
+		'',
+		encodeBody(mail.html)
+	].join('\r\n');
+
+	const raw = [
+		...headers,
+		`Content-Type: multipart/alternative; boundary="${boundary}"`,
+		'',
+		`--${boundary}`,
+		textPart,
+		`--${boundary}`,
+		htmlPart,
+		`--${boundary}--`,
+		''
+	].join('\r\n');
+
+	return { id, raw };
+}
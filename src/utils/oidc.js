@@ -0,0 +1,150 @@
+import jwt from 'jsonwebtoken';
+import { randomBytes, createHash, createPublicKey } from 'crypto';
+
+// OpenID Connect relying-party helpers: discovery, PKCE, code exchange and ID token checks.
+// provider: { issuer, clientId, clientSecret, redirectUri, scopes } from config/oidc.js
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// issuer -> { metadata, keys: Map(kid -> KeyObject), fetchedAt }
+const providerCache = new Map();
+
+// Fetch JSON, failing with the provider's error description when there is one
+async function fetchJson(url, options) {
+	const response = await fetch(url, options);
+	const body = await response.json().catch(() => ({}));
+
+	if (!response.ok) {
+		throw new Error(body.error_description || body.error || `Request to ${url} failed with ${response.status}`);
+	}
+
+	return body;
+}
+
+// Load provider metadata and signing keys (cached, keys refreshed on unknown kid)
+async function getProviderState(provider, refreshKeys = false) {
+	let state = providerCache.get(provider.issuer);
+
+	if (!state || Date.now() - state.fetchedAt > DISCOVERY_TTL_MS) {
+		const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+
+		if (metadata.issuer.replace(/\/$/, '') !== provider.issuer) {
+			throw new Error(`OIDC discovery returned issuer ${metadata.issuer}, expected ${provider.issuer}`);
+		}
+
+		state = { metadata, keys: null, fetchedAt: Date.now() };
+		providerCache.set(provider.issuer, state);
+	}
+
+	if (!state.keys || refreshKeys) {
+		const jwks = await fetchJson(state.metadata.jwks_uri);
+		state.keys = new Map(jwks.keys
+			.filter(key => !key.use || key.use === 'sig')
+			.map(key => [key.kid || null, createPublicKey({ key, format: 'jwk' })]));
+	}
+
+	return state;
+}
+
+// Random URL-safe string (state, nonce, PKCE verifier)
+export function randomToken() {
+	return randomBytes(32).toString('base64url');
+}
+
+// PKCE S256 challenge for a code verifier
+export function pkceChallenge(verifier) {
+	return createHash('sha256').update(verifier).digest('base64url');
+}
+
+// Build the URL the browser is sent to for sign-in
+export async function buildAuthorizationUrl(provider, { state, nonce, codeVerifier }) {
+	const { metadata } = await getProviderState(provider);
+	const url = new URL(metadata.authorization_endpoint);
+
+	url.search = new URLSearchParams({
+		response_type: 'code',
+		client_id: provider.clientId,
+		redirect_uri: provider.redirectUri,
+		scope: provider.scopes,
+		state,
+		nonce,
+		code_challenge: pkceChallenge(codeVerifier),
+		code_challenge_method: 'S256'
+	}).toString();
+
+	return url.toString();
+}
+
+// Exchange authorization code for tokens at the token endpoint
+export async function exchangeCode(provider, code, codeVerifier) {
+	const { metadata } = await getProviderState(provider);
+	const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+	const params = new URLSearchParams({
+		grant_type: 'authorization_code',
+		code,
+		redirect_uri: provider.redirectUri,
+		client_id: provider.clientId,
+		code_verifier: codeVerifier
+	});
+
+	// client_secret_basic is the spec default; fall back to client_secret_post
+	if (provider.clientSecret) {
+		const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+		if (methods.includes('client_secret_basic')) {
+			const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+			headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+		} else {
+			params.set('client_secret', provider.clientSecret);
+		}
+	}
+
+	const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params });
+
+	if (!tokens.id_token) {
+		throw new Error('Identity provider did not return an ID token');
+	}
+
+	return tokens;
+}
+
+// Verify ID token signature and claims, returns the claims
+export async function verifyIdToken(provider, idToken, nonce) {
+	const decoded = jwt.decode(idToken, { complete: true });
+
+	if (!decoded) {
+		throw new Error('Malformed ID token');
+	}
+
+	const kid = decoded.header.kid || null;
+	let state = await getProviderState(provider);
+
+	// Providers rotate keys - refetch once when the kid is new
+	if (!state.keys.has(kid)) {
+		state = await getProviderState(provider, true);
+	}
+
+	const key = state.keys.get(kid) || (kid === null && state.keys.size === 1 ? [...state.keys.values()][0] : null);
+
+	if (!key) {
+		throw new Error('ID token is signed with an unknown key');
+	}
+
+	let claims;
+	try {
+		claims = jwt.verify(idToken, key, {
+			algorithms: ID_TOKEN_ALGORITHMS,
+			issuer: state.metadata.issuer,
+			audience: provider.clientId
+		});
+	} catch (error) {
+		throw new Error(`Invalid ID token: ${error.message}`);
+	}
+
+	if (claims.nonce !== nonce) {
+		throw new Error('Invalid ID token: nonce mismatch');
+	}
+
+	return claims;
+}
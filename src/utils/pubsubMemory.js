@@ -0,0 +1,46 @@
+// In-process pub/sub adapter (default, single instance).
+// Adapter interface shared with pubsubRedis.js:
+//   publish(channel, message) -> Promise   message is any JSON-serializable value
+//   subscribe(channel, handler) -> Promise handler(message) is called for every publish
+//   close() -> Promise
+export function createMemoryPubSub() {
+	const handlers = new Map(); // channel -> Set(handler)
+
+	return {
+		name: 'memory',
+
+		async publish(channel, message) {
+			const channelHandlers = handlers.get(channel);
+			if (!channelHandlers) {
+				return 0;
+			}
+
+			// Round-trip through JSON so subscribers see the same shape as with Redis
+			const payload = JSON.stringify(message);
+
+			// Deliver asynchronously, like a real broker
+			queueMicrotask(() => {
+				for (const handler of channelHandlers) {
+					try {
+						handler(JSON.parse(payload));
+					} catch (error) {
+						console.error(`Pub/sub handler error on ${channel}:`, error);
+					}
+				}
+			});
+
+			return channelHandlers.size;
+		},
+
+		async subscribe(channel, handler) {
+			if (!handlers.has(channel)) {
+				handlers.set(channel, new Set());
+			}
+			handlers.get(channel).add(handler);
+		},
+
+		async close() {
+			handlers.clear();
+		}
+	};
+}
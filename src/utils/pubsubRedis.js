@@ -0,0 +1,260 @@
+import net from 'net';
+
+// Redis pub/sub adapter speaking RESP directly over TCP (no client library needed).
+// Same interface as pubsubMemory.js. Uses one connection for PUBLISH and one for
+// SUBSCRIBE (a subscribed Redis connection can't run other commands).
+
+const MAX_BUFFERED_COMMANDS = 1000;
+const MAX_RECONNECT_DELAY_MS = 5000;
+
+// Encode command as RESP array of bulk strings
+function encodeCommand(args) {
+	let out = `*${args.length}\r\n`;
+	for (const arg of args) {
+		const value = String(arg);
+		out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+	}
+	return out;
+}
+
+// Parse one RESP reply from buffer at pos - returns { value, pos } or null if incomplete
+function parseReply(buffer, pos) {
+	const lineEnd = buffer.indexOf('\r\n', pos);
+	if (lineEnd === -1) {
+		return null;
+	}
+
+	const prefix = String.fromCharCode(buffer[pos]);
+	const line = buffer.toString('utf8', pos + 1, lineEnd);
+	const next = lineEnd + 2;
+
+	switch (prefix) {
+		case '+':
+			return { value: line, pos: next };
+		case '-':
+			return { value: new Error(line), pos: next };
+		case ':':
+			return { value: parseInt(line), pos: next };
+		case '$': {
+			const length = parseInt(line);
+			if (length === -1) {
+				return { value: null, pos: next };
+			}
+			if (buffer.length < next + length + 2) {
+				return null;
+			}
+			return { value: buffer.toString('utf8', next, next + length), pos: next + length + 2 };
+		}
+		case '*': {
+			const count = parseInt(line);
+			if (count === -1) {
+				return { value: null, pos: next };
+			}
+			const items = [];
+			let cursor = next;
+			for (let i = 0; i < count; i++) {
+				const item = parseReply(buffer, cursor);
+				if (!item) {
+					return null;
+				}
+				items.push(item.value);
+				cursor = item.pos;
+			}
+			return { value: items, pos: cursor };
+		}
+		default:
+			throw new Error(`Unexpected RESP reply type "${prefix}"`);
+	}
+}
+
+// Reconnecting RESP connection
+// onReady(send) runs after every (re)connect, before buffered commands are flushed
+// onPush(reply) receives pub/sub pushes ("message" arrays) instead of the reply queue
+function createConnection(url, { onReady, onPush }) {
+	let socket = null;
+	let connected = false;
+	let closing = false;
+	let attempts = 0;
+	let buffer = Buffer.alloc(0);
+	const pending = []; // { resolve, reject } in command order
+	const queued = []; // commands issued while disconnected
+
+	function write(args) {
+		return new Promise((resolve, reject) => {
+			pending.push({ resolve, reject });
+			socket.write(encodeCommand(args));
+		});
+	}
+
+	function handleReply(reply) {
+		if (Array.isArray(reply) && (reply[0] === 'message' || reply[0] === 'pmessage') && onPush) {
+			onPush(reply);
+			return;
+		}
+
+		const waiter = pending.shift();
+		if (!waiter) {
+			return;
+		}
+		if (reply instanceof Error) {
+			waiter.reject(reply);
+		} else {
+			waiter.resolve(reply);
+		}
+	}
+
+	function connect() {
+		socket = net.createConnection({
+			host: url.hostname || '127.0.0.1',
+			port: parseInt(url.port) || 6379
+		});
+
+		socket.on('connect', async () => {
+			attempts = 0;
+			buffer = Buffer.alloc(0);
+
+			try {
+				if (url.password) {
+					const auth = url.username
+						? ['AUTH', decodeURIComponent(url.username), decodeURIComponent(url.password)]
+						: ['AUTH', decodeURIComponent(url.password)];
+					await write(auth);
+				}
+				if (onReady) {
+					await onReady(write);
+				}
+			} catch (error) {
+				console.error('Redis pub/sub setup failed:', error.message);
+				socket.destroy();
+				return;
+			}
+
+			connected = true;
+			while (queued.length > 0) {
+				const { args, resolve, reject } = queued.shift();
+				write(args).then(resolve, reject);
+			}
+		});
+
+		socket.on('data', (chunk) => {
+			buffer = Buffer.concat([buffer, chunk]);
+			let pos = 0;
+			let reply;
+			while (pos < buffer.length && (reply = parseReply(buffer, pos))) {
+				pos = reply.pos;
+				handleReply(reply.value);
+			}
+			buffer = buffer.subarray(pos);
+		});
+
+		socket.on('error', (error) => {
+			console.error('Redis pub/sub connection error:', error.message);
+		});
+
+		socket.on('close', () => {
+			connected = false;
+
+			// Replies for in-flight commands are lost with the socket
+			while (pending.length > 0) {
+				pending.shift().reject(new Error('Redis connection closed'));
+			}
+
+			if (!closing) {
+				attempts++;
+				const delay = Math.min(attempts * 500, MAX_RECONNECT_DELAY_MS);
+				setTimeout(connect, delay);
+			}
+		});
+	}
+
+	connect();
+
+	return {
+		send(args) {
+			if (connected) {
+				return write(args);
+			}
+
+			if (queued.length >= MAX_BUFFERED_COMMANDS) {
+				return Promise.reject(new Error('Redis unavailable, command buffer full'));
+			}
+
+			return new Promise((resolve, reject) => {
+				queued.push({ args, resolve, reject });
+			});
+		},
+
+		close() {
+			closing = true;
+			while (queued.length > 0) {
+				queued.shift().reject(new Error('Redis connection closed'));
+			}
+			socket.end();
+		}
+	};
+}
+
+// Create Redis pub/sub adapter from a redis:// URL
+export function createRedisPubSub(redisUrl) {
+	const url = new URL(redisUrl);
+	const handlers = new Map(); // channel -> Set(handler)
+
+	const publisher = createConnection(url, {});
+
+	const subscriber = createConnection(url, {
+		// Re-subscribe after every reconnect
+		async onReady(send) {
+			// One channel per command so each confirmation matches one pending reply
+			for (const channel of handlers.keys()) {
+				await send(['SUBSCRIBE', channel]);
+			}
+		},
+		onPush([, channel, payload]) {
+			const channelHandlers = handlers.get(channel);
+			if (!channelHandlers) {
+				return;
+			}
+
+			let message;
+			try {
+				message = JSON.parse(payload);
+			} catch (error) {
+				console.error(`Invalid pub/sub payload on ${channel}`);
+				return;
+			}
+
+			for (const handler of channelHandlers) {
+				try {
+					handler(message);
+				} catch (error) {
+					console.error(`Pub/sub handler error on ${channel}:`, error);
+				}
+			}
+		}
+	});
+
+	return {
+		name: 'redis',
+
+		async publish(channel, message) {
+			return publisher.send(['PUBLISH', channel, JSON.stringify(message)]);
+		},
+
+		async subscribe(channel, handler) {
+			const isNew = !handlers.has(channel);
+			if (isNew) {
+				handlers.set(channel, new Set());
+			}
+			handlers.get(channel).add(handler);
+
+			if (isNew) {
+				await subscriber.send(['SUBSCRIBE', channel]);
+			}
+		},
+
+		async close() {
+			publisher.close();
+			subscriber.close();
+		}
+	};
+}
@@ -0,0 +1,77 @@
+// In-process sliding window rate limiter.
+// Uses the sliding window counter approximation: the previous fixed window's count is weighted
+// by how much of it still overlaps the sliding window, so memory is O(1) per key.
+// Counters live in this process only - with several instances each one enforces its own limit.
+
+// Error the routes turn into 429 Too Many Requests (retryAfterMs optional)
+export function rateLimitError(message, retryAfterMs = null) {
+	const error = new Error(message);
+	error.status = 429;
+	error.retryAfter = retryAfterMs ? Math.max(1, Math.ceil(retryAfterMs / 1000)) : null;
+	return error;
+}
+
+// limiter: { windowMs, max } - hit(key) counts a request and says whether it's allowed
+export function createRateLimiter({ windowMs, max }) {
+	const windows = new Map(); // key -> { start, count, previousCount }
+
+	// Move entry to the fixed window containing now
+	const rollover = (entry, start) => {
+		if (entry.start !== start) {
+			entry.previousCount = entry.start === start - windowMs ? entry.count : 0;
+			entry.count = 0;
+			entry.start = start;
+		}
+		return entry;
+	};
+
+	// Time until one more request fits
+	const computeRetryAfter = (entry, now) => {
+		const { start, count, previousCount } = entry;
+
+		// Still room in this window once enough of the previous one slides out
+		if (count < max && previousCount > 0) {
+			return start + windowMs * (1 - (max - count - 1) / previousCount) - now;
+		}
+
+		// Current window is full - wait until it is weighted down in the next one
+		return start + windowMs + windowMs * (1 - (max - 1) / Math.max(count, 1)) - now;
+	};
+
+	return {
+		windowMs,
+		max,
+
+		hit(key, now = Date.now()) {
+			const start = now - (now % windowMs);
+			const entry = rollover(windows.get(key) || { start, count: 0, previousCount: 0 }, start);
+			windows.set(key, entry);
+
+			const weight = 1 - (now - start) / windowMs;
+			const used = entry.previousCount * weight + entry.count;
+			const resetMs = start + windowMs - now;
+
+			if (used + 1 > max) {
+				return { allowed: false, limit: max, remaining: 0, resetMs, retryAfterMs: computeRetryAfter(entry, now) };
+			}
+
+			entry.count++;
+
+			return { allowed: true, limit: max, remaining: Math.max(0, Math.floor(max - used - 1)), resetMs, retryAfterMs: 0 };
+		},
+
+		reset(key) {
+			windows.delete(key);
+		},
+
+		// Drop keys with no requests in the last two windows
+		prune(now = Date.now()) {
+			const oldest = now - (now % windowMs) - windowMs;
+			for (const [key, entry] of windows) {
+				if (entry.start < oldest) {
+					windows.delete(key);
+				}
+			}
+		}
+	};
+}
@@ -0,0 +1,132 @@
+import { createHmac, createCipheriv, createDecipheriv, createHash, randomBytes, timingSafeEqual } from 'crypto';
+
+// Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30 second steps)
+// as used by Google Authenticator, 1Password, Authy, etc.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Encode bytes as unpadded base32 (the format authenticator apps expect)
+function base32Encode(buffer) {
+	let bits = 0;
+	let value = 0;
+	let output = '';
+
+	for (const byte of buffer) {
+		value = (value << 8) | byte;
+		bits += 8;
+
+		while (bits >= 5) {
+			output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+	}
+
+	if (bits > 0) {
+		output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+	}
+
+	return output;
+}
+
+// Decode base32 secret (case and padding insensitive)
+function base32Decode(input) {
+	const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+	let bits = 0;
+	let value = 0;
+	const bytes = [];
+
+	for (const char of clean) {
+		const index = BASE32_ALPHABET.indexOf(char);
+		if (index === -1) {
+			throw new Error('Invalid base32 secret');
+		}
+
+		value = (value << 5) | index;
+		bits += 5;
+
+		if (bits >= 8) {
+			bytes.push((value >>> (bits - 8)) & 255);
+			bits -= 8;
+		}
+	}
+
+	return Buffer.from(bytes);
+}
+
+// Generate new base32 secret (160 bits)
+export function generateTotpSecret() {
+	return base32Encode(randomBytes(20));
+}
+
+// Code for a time step
+function generateCode(secret, step) {
+	const counter = Buffer.alloc(8);
+	counter.writeBigUInt64BE(BigInt(step));
+
+	const hmac = createHmac('sha1', base32Decode(secret)).update(counter).digest();
+	const offset = hmac[hmac.length - 1] & 15;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+	return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Check a code, allowing one step of clock drift either way.
+// Returns the matched time step (callers reject steps at or before the last one used) or null
+export function verifyTotp(secret, code, now = Date.now()) {
+	const normalized = String(code || '').replace(/\s/g, '');
+	if (!/^\d{6}$/.test(normalized)) {
+		return null;
+	}
+
+	const current = Math.floor(now / 1000 / STEP_SECONDS);
+
+	for (const step of [current - 1, current, current + 1]) {
+		const expected = generateCode(secret, step);
+		if (timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+			return step;
+		}
+	}
+
+	return null;
+}
+
+// otpauth:// URI for the authenticator app (rendered as a QR code by the client)
+export function buildOtpauthUri(secret, accountName, issuer) {
+	const label = encodeURIComponent(`${issuer}:${accountName}`);
+	const params = new URLSearchParams({
+		secret,
+		issuer,
+		algorithm: 'SHA1',
+		digits: String(DIGITS),
+		period: String(STEP_SECONDS)
+	});
+
+	return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Secrets are stored encrypted (AES-256-GCM) with a key derived from TOTP_ENCRYPTION_KEY or JWT_SECRET
+function getEncryptionKey() {
+	return createHash('sha256')
+		.update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+		.digest();
+}
+
+// Encrypt secret as "iv.tag.ciphertext" (base64url parts)
+export function encryptSecret(secret) {
+	const iv = randomBytes(12);
+	const cipher = createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+	const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+	return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+// Decrypt secret stored by encryptSecret
+export function decryptSecret(value) {
+	const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+	const decipher = createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+	decipher.setAuthTag(tag);
+
+	return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}